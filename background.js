@@ -1,4 +1,10 @@
 // ZenTree Tabs - Background Service Worker
+// Single source of truth for the tab tree: nesting, collapsed state, custom titles and
+// visit history are tracked here even while no side panel is open. Side panels read the
+// state and send their edits through runtime messages (see handleMessage below), and are
+// told about changes with TREE_CHANGED / VISIT_HISTORY_CHANGED broadcasts.
+
+importScripts("shared/tree-persistence.js", "shared/tree-model.js", "shared/settings.js");
 
 // Allows users to open the side panel by clicking the action toolbar icon
 chrome.sidePanel
@@ -7,4 +13,1066 @@ chrome.sidePanel
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log("ZenTree Tabs installed.");
+  scheduleStorageCleanup();
+  enqueue(() => {});
+});
+
+// Wake up on browser start so restored tabs get re-mapped before anything else happens
+chrome.runtime.onStartup.addListener(() => {
+  scheduleStorageCleanup();
+  enqueue(() => {});
+});
+
+// --- State ---
+// { parentOverrides, collapsedState, customTitles }, edited through shared/tree-model.js
+let treeState = ZenTreeModel.createState();
+
+// Tab visit order (VS Code–style back/forward): per-window or global across windows (persisted in session storage)
+let visitHistoryByWindow = Object.create(null); // { [windowId]: { order: number[], index: number } }
+let visitOrderGlobal = { order: [], index: -1 }; // when visitOrderAcrossWindows is true
+let visitOrderAcrossWindows = false;
+let navigatingByArrows = false;
+
+// What happens to the children of a closed tab (see ZenTreeModel.CLOSE_POLICIES)
+let closePolicy = ZenTreeModel.DEFAULT_CLOSE_POLICY;
+// Where new tabs land (see ZenTreeModel.placeNewTab)
+let placementRules = ZenTreeModel.DEFAULT_PLACEMENT_RULES;
+// Pull new tabs into their parent's tab group, so the tree can show them nested
+let groupChildrenWithParent = false;
+// Mirror settings through chrome.storage.sync (see Settings Sync below)
+let settingsSyncEnabled = false;
+
+const VISIT_HISTORY_STORAGE_KEY = "ztVisitHistory";
+const VISIT_HISTORY_GLOBAL_STORAGE_KEY = "ztVisitHistoryGlobal";
+
+// The worker is torn down when idle, so state is reloaded lazily on the first event after a wake-up.
+let readyPromise = null;
+function ready() {
+  if (!readyPromise) readyPromise = loadState();
+  return readyPromise;
+}
+
+// Handlers run one after another so overlapping tab events can't interleave their read-modify-write.
+let queue = Promise.resolve();
+function enqueue(fn) {
+  const run = queue.then(() => ready()).then(fn);
+  queue = run.catch((err) => console.error("ZenTree background error:", err));
+  return run;
+}
+
+async function loadState() {
+  await restoreTreeAfterRestart();
+  await ZenTreeSettings.migrateStorage().catch((e) => console.warn("Settings migration failed", e));
+
+  const [localRes, settings, syncRes, sessionRes] = await Promise.all([
+    chrome.storage.local.get({ parentOverrides: {}, collapsedState: [], customTitles: {} }),
+    ZenTreeSettings.load(["visitOrderAcrossWindows", "closePolicy", "placementRules", "groupChildrenWithParent"]),
+    chrome.storage.local.get({ [ZenTreeSettings.SYNC_ENABLED_KEY]: false }),
+    chrome.storage.session.get([VISIT_HISTORY_STORAGE_KEY, VISIT_HISTORY_GLOBAL_STORAGE_KEY]),
+  ]);
+  treeState = ZenTreeModel.deserialize(localRes);
+  visitOrderAcrossWindows = settings.visitOrderAcrossWindows;
+  closePolicy = settings.closePolicy;
+  placementRules = settings.placementRules;
+  groupChildrenWithParent = settings.groupChildrenWithParent;
+  settingsSyncEnabled = syncRes[ZenTreeSettings.SYNC_ENABLED_KEY] === true;
+  visitHistoryByWindow = sessionRes[VISIT_HISTORY_STORAGE_KEY] || Object.create(null);
+  visitOrderGlobal = sessionRes[VISIT_HISTORY_GLOBAL_STORAGE_KEY] || { order: [], index: -1 };
+
+  await crystallizeExistingTabs();
+  // Loops and junk entries from older versions or hand-edited storage
+  const repairs = ZenTreeModel.repairTree(treeState);
+  if (repairs.invalid + repairs.selfParents + repairs.cycles.length > 0) await saveTreeState();
+  await seedVisitHistory();
+  await loadWorkspaces();
+}
+
+// Tabs opened before the worker first ran (e.g. right after install) still carry their opener;
+// record it now so the link survives the opener being closed.
+async function crystallizeExistingTabs() {
+  const tabs = await chrome.tabs.query({});
+  const liveIds = new Set(tabs.map((t) => t.id));
+  let changed = false;
+  for (const tab of tabs) {
+    if (treeState.parentOverrides.has(tab.id)) continue;
+    const parentId = ZenTreeModel.defaultParent(tab);
+    if (parentId === ZenTreeModel.ROOT || liveIds.has(parentId)) {
+      treeState.parentOverrides.set(tab.id, parentId);
+      changed = true;
+    }
+  }
+  if (changed) await saveTreeState();
+}
+
+async function saveTreeState() {
+  await chrome.storage.local.set(ZenTreeModel.serialize(treeState));
+}
+
+// Persist, then tell any open side panels to re-render
+async function commitTreeState() {
+  await saveTreeState();
+  broadcast({ type: "TREE_CHANGED", state: ZenTreeModel.serialize(treeState) });
+  scheduleFingerprintSave();
+}
+
+function broadcast(message) {
+  // Rejects with "Receiving end does not exist" when no side panel is open; that's fine.
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
+// --- Restart Recovery ---
+// Tab IDs are reassigned on browser restart. We keep fingerprints of every tab
+// (see shared/tree-persistence.js) and re-map the saved tree onto the restored tabs.
+
+let treeRestoreDone = false;
+let fingerprintSaveTimeout;
+let lastWindowClosingAt = 0;
+
+async function restoreTreeAfterRestart() {
+  const { FINGERPRINTS_STORAGE_KEY, SESSION_MARKER_KEY } = ZenTreePersistence;
+  try {
+    const marker = await chrome.storage.session.get(SESSION_MARKER_KEY);
+    if (marker[SESSION_MARKER_KEY]) return; // Same browser session: IDs are still valid
+
+    await waitForTabsToSettle();
+    const [stored, liveTabs] = await Promise.all([
+      chrome.storage.local.get([
+        FINGERPRINTS_STORAGE_KEY,
+        "parentOverrides",
+        "collapsedState",
+        "customTitles",
+        WORKSPACES_STORAGE_KEY,
+      ]),
+      chrome.tabs.query({}),
+    ]);
+
+    // No fingerprints yet (first run after upgrading): nothing to re-map against
+    if (stored[FINGERPRINTS_STORAGE_KEY]) {
+      const idMap = ZenTreePersistence.matchRestoredTabs(stored[FINGERPRINTS_STORAGE_KEY], liveTabs);
+      const remapped = ZenTreePersistence.remapTreeState(ZenTreeModel.deserialize(stored), idMap);
+      await chrome.storage.local.set({
+        ...ZenTreeModel.serialize(remapped),
+        [FINGERPRINTS_STORAGE_KEY]: ZenTreePersistence.captureFingerprints(liveTabs, remapped.parentOverrides),
+      });
+      if (stored[WORKSPACES_STORAGE_KEY]) {
+        await chrome.storage.local.set({
+          [WORKSPACES_STORAGE_KEY]: remapWorkspaceState(stored[WORKSPACES_STORAGE_KEY], idMap),
+        });
+      }
+    }
+
+    await chrome.storage.session.set({ [SESSION_MARKER_KEY]: Date.now() });
+  } catch (e) {
+    console.warn("Tree restore after restart failed", e);
+  }
+  treeRestoreDone = true;
+}
+
+// On browser start the worker can run before session restore has finished creating tabs.
+// Wait until the tab count stops changing (or give up after a few seconds).
+async function waitForTabsToSettle() {
+  let lastCount = -1;
+  for (let i = 0; i < 10; i++) {
+    const count = (await chrome.tabs.query({})).length;
+    if (count > 0 && count === lastCount) return;
+    lastCount = count;
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+}
+
+function scheduleFingerprintSave() {
+  // Never overwrite the previous session's fingerprints before they've been used
+  if (!treeRestoreDone) return;
+  if (fingerprintSaveTimeout) clearTimeout(fingerprintSaveTimeout);
+  // A window just closed: this may be the browser quitting, so hold off long enough
+  // that we don't record the half-closed state as the one to restore.
+  const delay = Date.now() - lastWindowClosingAt < 5000 ? 5000 : 1000;
+  fingerprintSaveTimeout = setTimeout(saveTabFingerprints, delay);
+}
+
+async function saveTabFingerprints() {
+  try {
+    const tabs = await chrome.tabs.query({});
+    await chrome.storage.local.set({
+      [ZenTreePersistence.FINGERPRINTS_STORAGE_KEY]: ZenTreePersistence.captureFingerprints(tabs, treeState.parentOverrides),
+    });
+  } catch (e) {
+    console.warn("Failed to save tab fingerprints", e);
+  }
+}
+
+// --- Storage Cleanup ---
+// Closed tabs are normally forgotten as they close, but a closing window keeps its tree (it
+// may be the browser quitting) and older versions never cleaned up. A periodic pass drops
+// whatever is left for tabs that no longer exist.
+
+const CLEANUP_ALARM = "zt-storage-cleanup";
+const CLEANUP_PERIOD_MINUTES = 60;
+
+function scheduleStorageCleanup() {
+  chrome.alarms.create(CLEANUP_ALARM, { periodInMinutes: CLEANUP_PERIOD_MINUTES });
+}
+
+// Also the "Repair Tree" / "Clean Up Now" buttons in settings
+async function repairTreeState() {
+  const liveTabIds = (await chrome.tabs.query({})).map((t) => t.id);
+  const report = ZenTreeModel.repairTree(treeState, liveTabIds);
+  if (report.invalid + report.selfParents + report.cycles.length + report.closedTabs > 0) await commitTreeState();
+  return report;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== CLEANUP_ALARM) return;
+  enqueue(async () => {
+    // Windows closing one after another may be the browser quitting: leave their tree for the restore
+    if (Date.now() - lastWindowClosingAt < 60000) return;
+    await repairTreeState();
+  });
+});
+
+// --- Settings Sync ---
+// Opt-in per device: settings (never tab state) are mirrored through chrome.storage.sync.
+// Every change is timestamped, so when two devices change the same setting the later change
+// wins (ZenTreeSettings.mergeSynced).
+
+const settingsFromSync = new Map(); // key -> JSON of a value we are writing locally from sync
+
+async function syncSettings() {
+  const { KEYS, MODIFIED_KEY, SYNC_META_KEY, SYNC_STATUS_KEY } = ZenTreeSettings;
+  try {
+    const [local, remote] = await Promise.all([
+      chrome.storage.local.get([...KEYS, MODIFIED_KEY]),
+      chrome.storage.sync.get([...KEYS, SYNC_META_KEY]),
+    ]);
+    const remoteModified = remote[SYNC_META_KEY] || {};
+    const { toLocal, toRemote, modified } = ZenTreeSettings.mergeSynced(
+      { values: local, modified: local[MODIFIED_KEY] || {} },
+      { values: remote, modified: remoteModified },
+    );
+    Object.entries(toLocal).forEach(([key, value]) => settingsFromSync.set(key, JSON.stringify(value)));
+    await chrome.storage.local.set({ ...toLocal, [MODIFIED_KEY]: modified });
+    if (Object.keys(toRemote).length > 0 || JSON.stringify(modified) !== JSON.stringify(remoteModified)) {
+      await chrome.storage.sync.set({ ...toRemote, [SYNC_META_KEY]: modified });
+    }
+    await chrome.storage.local.set({ [SYNC_STATUS_KEY]: { at: Date.now() } });
+  } catch (e) {
+    // Usually the sync quota (per item or per minute); the next change tries again
+    console.warn("Settings sync failed", e);
+    await chrome.storage.local.set({ [SYNC_STATUS_KEY]: { at: Date.now(), error: e.message } });
+  }
+}
+
+// A setting changed on this device (not by syncSettings): note when, then share it
+function onLocalSettingsChanged(changes) {
+  const keys = Object.keys(changes).filter((key) => {
+    if (!ZenTreeSettings.KEYS.includes(key)) return false;
+    const fromSync = settingsFromSync.get(key);
+    settingsFromSync.delete(key);
+    return fromSync === undefined || fromSync !== JSON.stringify(changes[key].newValue);
+  });
+  if (keys.length === 0) return;
+  enqueue(async () => {
+    const { MODIFIED_KEY } = ZenTreeSettings;
+    const { [MODIFIED_KEY]: modified = {} } = await chrome.storage.local.get(MODIFIED_KEY);
+    keys.forEach((key) => {
+      modified[key] = Date.now();
+    });
+    await chrome.storage.local.set({ [MODIFIED_KEY]: modified });
+    if (settingsSyncEnabled) await syncSettings();
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local") {
+    onLocalSettingsChanged(changes);
+    const enabledChange = changes[ZenTreeSettings.SYNC_ENABLED_KEY];
+    if (enabledChange) {
+      enqueue(async () => {
+        settingsSyncEnabled = enabledChange.newValue === true;
+        if (settingsSyncEnabled) await syncSettings();
+      });
+    }
+  } else if (area === "sync") {
+    const relevant = [...ZenTreeSettings.KEYS, ZenTreeSettings.SYNC_META_KEY].some((key) => key in changes);
+    if (relevant) {
+      enqueue(async () => {
+        if (settingsSyncEnabled) await syncSettings();
+      });
+    }
+  }
 });
+
+// --- Visit History ---
+
+function saveVisitHistory() {
+  chrome.storage.session
+    .set({
+      [VISIT_HISTORY_STORAGE_KEY]: visitHistoryByWindow,
+      [VISIT_HISTORY_GLOBAL_STORAGE_KEY]: visitOrderGlobal,
+    })
+    .catch(() => {});
+  broadcast({ type: "VISIT_HISTORY_CHANGED" });
+}
+
+// Make sure the active tab is in the history (first run, or after switching modes)
+async function seedVisitHistory() {
+  const activeTabs = await chrome.tabs.query({ active: true });
+  let changed = false;
+  for (const tab of activeTabs) {
+    const state = visitHistoryByWindow[tab.windowId];
+    if (!state || state.order.length === 0) {
+      visitHistoryByWindow[tab.windowId] = { order: [tab.id], index: 0 };
+      changed = true;
+    }
+  }
+  if (visitOrderAcrossWindows && visitOrderGlobal.order.length === 0) {
+    const [focused] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (focused) {
+      visitOrderGlobal = { order: [focused.id], index: 0 };
+      changed = true;
+    }
+  }
+  if (changed) saveVisitHistory();
+}
+
+function getVisitState(windowId) {
+  return visitOrderAcrossWindows ? visitOrderGlobal : visitHistoryByWindow[windowId];
+}
+
+function recordVisit(state, tabId) {
+  const i = state.order.indexOf(tabId);
+  if (navigatingByArrows) {
+    // Stepping through history: move the cursor, keep the forward entries
+    if (i !== -1) state.index = i;
+    return;
+  }
+  if (i !== -1) {
+    state.index = i;
+    state.order = state.order.slice(0, i + 1);
+  } else {
+    state.order.push(tabId);
+    state.index = state.order.length - 1;
+  }
+}
+
+function forgetVisit(state, tabId) {
+  const i = state.order.indexOf(tabId);
+  if (i === -1) return false;
+  state.order.splice(i, 1);
+  if (state.index >= state.order.length) state.index = Math.max(0, state.order.length - 1);
+  else if (state.index >= i) state.index = Math.max(0, state.index - 1);
+  return true;
+}
+
+async function navigateVisitHistory(windowId, direction) {
+  const state = getVisitState(windowId);
+  if (!state || state.order.length <= 1) return;
+  const nextIndex = state.index + direction;
+  if (nextIndex < 0 || nextIndex >= state.order.length) return;
+
+  state.index = nextIndex;
+  const tabId = state.order[nextIndex];
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    // onActivated won't fire for a tab that's already active, so only flag real switches
+    navigatingByArrows = !tab.active;
+    if (visitOrderAcrossWindows) {
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+    await chrome.tabs.update(tabId, { active: true });
+  } catch (e) {
+    console.warn("Visit navigation failed", e);
+    navigatingByArrows = false;
+  }
+  saveVisitHistory();
+}
+
+// --- Tree Helpers ---
+
+async function joinParentGroup(tab, parentId) {
+  const parent = await chrome.tabs.get(parentId).catch(() => undefined);
+  if (!parent || parent.windowId !== tab.windowId || parent.groupId === -1 || parent.groupId === tab.groupId) return;
+  // Fails for pinned tabs, which can't be grouped; they stay where they are
+  await chrome.tabs.group({ tabIds: [tab.id], groupId: parent.groupId }).catch(() => {});
+}
+
+// The tab that was active when `tab` was created. Handlers run in order, so the new tab's own
+// activation hasn't been recorded yet when its onCreated runs.
+async function getPreviouslyActiveTab(tab) {
+  const state = visitHistoryByWindow[tab.windowId];
+  const tabId = state && state.order[state.index];
+  if (tabId === undefined || tabId === tab.id) return undefined;
+  return chrome.tabs.get(tabId).catch(() => undefined);
+}
+
+let carriedTabs = new Set(); // Tabs we're moving between windows ourselves (subtree carry, workspace switches)
+let movedAlone = new Set(); // Tabs moved to another window without the tabs nested under them
+
+function replaceTabId(oldId, newId) {
+  ZenTreeModel.replaceTabId(treeState, oldId, newId);
+
+  const swap = (state) => {
+    state.order = state.order.map((id) => (id === oldId ? newId : id));
+  };
+  swap(visitOrderGlobal);
+  Object.values(visitHistoryByWindow).forEach(swap);
+
+  if (tabWorkspaces.has(oldId)) {
+    tabWorkspaces.set(newId, tabWorkspaces.get(oldId));
+    tabWorkspaces.delete(oldId);
+  }
+  workspaces.forEach((ws) => {
+    if (ws.lastActiveTabId === oldId) ws.lastActiveTabId = newId;
+  });
+}
+
+// Runs outside the queue: while the user is still dragging, Chrome refuses tab edits for a moment.
+async function carrySubtree(tabIds, windowId, index) {
+  tabIds.forEach((id) => carriedTabs.add(id));
+  for (let attempt = 0; attempt < 10; attempt++) {
+    try {
+      await chrome.tabs.move(tabIds, { windowId, index });
+      return;
+    } catch (e) {
+      if (!/dragging/i.test(e.message)) {
+        console.warn("Failed to move subtree to new window", e);
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+  }
+  tabIds.forEach((id) => carriedTabs.delete(id));
+}
+
+/**
+ * Moves just these tabs into a new window: onAttached leaves the rest of their subtrees
+ * behind instead of carrying it along (the selection toolbar's "move to new window").
+ */
+async function moveTabsToNewWindow(tabIds) {
+  tabIds.forEach((id) => movedAlone.add(id));
+  let windowId;
+  try {
+    windowId = (await chrome.windows.create({ tabId: tabIds[0], focused: true })).id;
+    if (tabIds.length > 1) await chrome.tabs.move(tabIds.slice(1), { windowId, index: -1 });
+  } finally {
+    // Tabs that didn't make it never see onAttached
+    const arrived = windowId === undefined ? [] : (await chrome.tabs.query({ windowId })).map((t) => t.id);
+    tabIds.filter((id) => !arrived.includes(id)).forEach((id) => movedAlone.delete(id));
+  }
+  return windowId;
+}
+
+// --- Workspaces ---
+// Arc-style spaces: every tab belongs to a workspace and each window shows one workspace at a
+// time. Switching parks the window's tabs (groups included) in a minimized "parked" window and
+// discards them, then moves the target workspace's tabs back in. Tabs keep their IDs across
+// windows, so nesting, collapsed state and custom titles come back as they were.
+
+const WORKSPACES_STORAGE_KEY = "ztWorkspaces";
+const ACTIVE_WORKSPACES_STORAGE_KEY = "ztActiveWorkspaces";
+const PARKED_PAGE_URL = chrome.runtime.getURL("parked.html");
+
+let workspaces = [{ id: "default", name: "Default" }]; // [{ id, name, lastActiveTabId }]
+let tabWorkspaces = new Map(); // tabId -> workspaceId (pinned tabs are shared by every workspace)
+let activeWorkspaceByWindow = Object.create(null); // { [windowId]: workspaceId } (session storage)
+
+async function loadWorkspaces() {
+  const [localRes, sessionRes] = await Promise.all([
+    chrome.storage.local.get(WORKSPACES_STORAGE_KEY),
+    chrome.storage.session.get(ACTIVE_WORKSPACES_STORAGE_KEY),
+  ]);
+  const stored = localRes[WORKSPACES_STORAGE_KEY];
+  if (stored && stored.workspaces && stored.workspaces.length > 0) {
+    workspaces = stored.workspaces;
+    tabWorkspaces = new Map(Object.entries(stored.tabWorkspaces || {}).map(([k, v]) => [Number(k), v]));
+  }
+  activeWorkspaceByWindow = sessionRes[ACTIVE_WORKSPACES_STORAGE_KEY] || Object.create(null);
+  await reconcileWorkspaces();
+}
+
+// Drop closed tabs, and work out which workspace each window is showing when we don't know yet
+// (first run, or after a browser restart cleared session storage).
+async function reconcileWorkspaces() {
+  const tabs = await chrome.tabs.query({});
+  const liveIds = new Set(tabs.map((t) => t.id));
+  const knownIds = new Set(workspaces.map((ws) => ws.id));
+  for (const [tabId, wsId] of tabWorkspaces) {
+    if (!liveIds.has(tabId)) tabWorkspaces.delete(tabId);
+    else if (!knownIds.has(wsId)) tabWorkspaces.set(tabId, workspaces[0].id);
+  }
+
+  const parkedWindowId = findParkedWindowId(tabs);
+  const tabsByWindow = new Map();
+  tabs.forEach((tab) => {
+    if (tab.windowId === parkedWindowId) return;
+    if (!tabsByWindow.has(tab.windowId)) tabsByWindow.set(tab.windowId, []);
+    tabsByWindow.get(tab.windowId).push(tab);
+  });
+  for (const windowId of Object.keys(activeWorkspaceByWindow)) {
+    if (!tabsByWindow.has(Number(windowId))) delete activeWorkspaceByWindow[windowId];
+  }
+
+  for (const [windowId, windowTabs] of tabsByWindow) {
+    let wsId = activeWorkspaceByWindow[windowId];
+    if (!knownIds.has(wsId)) {
+      // Majority vote among the window's tabs
+      const votes = new Map();
+      windowTabs.forEach((tab) => {
+        const id = tabWorkspaces.get(tab.id);
+        if (id && !tab.pinned) votes.set(id, (votes.get(id) || 0) + 1);
+      });
+      wsId = workspaces[0].id;
+      let best = 0;
+      for (const [id, count] of votes) {
+        if (count > best) {
+          wsId = id;
+          best = count;
+        }
+      }
+      activeWorkspaceByWindow[windowId] = wsId;
+    }
+    windowTabs.forEach((tab) => {
+      if (!tabWorkspaces.has(tab.id)) tabWorkspaces.set(tab.id, wsId);
+    });
+  }
+  await saveWorkspaces();
+}
+
+async function saveWorkspaces() {
+  await Promise.all([
+    chrome.storage.local.set({
+      [WORKSPACES_STORAGE_KEY]: { workspaces, tabWorkspaces: Object.fromEntries(tabWorkspaces) },
+    }),
+    chrome.storage.session.set({ [ACTIVE_WORKSPACES_STORAGE_KEY]: activeWorkspaceByWindow }),
+  ]);
+  broadcast({ type: "WORKSPACES_CHANGED" });
+}
+
+// Used by restart recovery: tab IDs in the stored membership belong to the previous session.
+function remapWorkspaceState(stored, idMap) {
+  const remapped = {};
+  for (const [tabId, wsId] of Object.entries(stored.tabWorkspaces || {})) {
+    const newId = idMap.get(Number(tabId));
+    if (newId !== undefined) remapped[newId] = wsId;
+  }
+  return {
+    workspaces: (stored.workspaces || []).map((ws) => ({
+      ...ws,
+      lastActiveTabId: idMap.get(ws.lastActiveTabId),
+    })),
+    tabWorkspaces: remapped,
+  };
+}
+
+function isParkedPage(tab) {
+  return (tab.url || tab.pendingUrl) === PARKED_PAGE_URL;
+}
+
+function findParkedWindowId(tabs) {
+  const placeholder = tabs.find(isParkedPage);
+  return placeholder ? placeholder.windowId : null;
+}
+
+function getActiveWorkspace(windowId) {
+  const wsId = activeWorkspaceByWindow[windowId];
+  return workspaces.some((ws) => ws.id === wsId) ? wsId : workspaces[0].id;
+}
+
+async function ensureParkedWindow() {
+  const existing = findParkedWindowId(await chrome.tabs.query({}));
+  if (existing !== null) return existing;
+  // The placeholder page stays active so every parked tab can be discarded
+  const win = await chrome.windows.create({ url: PARKED_PAGE_URL, focused: false, state: "minimized" });
+  return win.id;
+}
+
+// Moves tabs to the end of another window in their current order. Grouped tabs travel as a
+// whole group so the group (title, color, collapsed) survives the trip.
+async function moveTabsPreservingGroups(tabs, windowId) {
+  const sorted = [...tabs].sort((a, b) => a.index - b.index);
+  const movedGroups = new Set();
+  for (const tab of sorted) {
+    const isGrouped = tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE;
+    if (isGrouped && movedGroups.has(tab.groupId)) continue;
+    carriedTabs.add(tab.id);
+    try {
+      if (isGrouped) {
+        movedGroups.add(tab.groupId);
+        sorted.filter((t) => t.groupId === tab.groupId).forEach((t) => carriedTabs.add(t.id));
+        await chrome.tabGroups.move(tab.groupId, { windowId, index: -1 });
+      } else {
+        await chrome.tabs.move(tab.id, { windowId, index: -1 });
+      }
+    } catch (e) {
+      console.warn("Failed to move tab for workspace switch", e);
+      carriedTabs.delete(tab.id);
+    }
+  }
+}
+
+async function describeWorkspaces(windowId) {
+  const counts = new Map();
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach((tab) => {
+    const wsId = tabWorkspaces.get(tab.id);
+    if (wsId && !tab.pinned && !isParkedPage(tab)) counts.set(wsId, (counts.get(wsId) || 0) + 1);
+  });
+  return {
+    activeId: getActiveWorkspace(windowId),
+    workspaces: workspaces.map((ws) => ({ id: ws.id, name: ws.name, tabCount: counts.get(ws.id) || 0 })),
+  };
+}
+
+async function switchWorkspace(windowId, targetId) {
+  const currentId = getActiveWorkspace(windowId);
+  const target = workspaces.find((ws) => ws.id === targetId);
+  if (!target || targetId === currentId) return;
+
+  // Pinned tabs are shared by every workspace and stay put
+  const leaving = (await chrome.tabs.query({ windowId })).filter((t) => !t.pinned);
+  const current = workspaces.find((ws) => ws.id === currentId);
+  const activeTab = leaving.find((t) => t.active);
+  if (current && activeTab) current.lastActiveTabId = activeTab.id;
+  leaving.forEach((t) => tabWorkspaces.set(t.id, currentId));
+
+  const parkedWindowId = await ensureParkedWindow();
+  activeWorkspaceByWindow[windowId] = targetId;
+
+  // Bring the target tabs in first: a window closes once its last tab leaves
+  const arriving = (await chrome.tabs.query({ windowId: parkedWindowId })).filter(
+    (t) => !isParkedPage(t) && tabWorkspaces.get(t.id) === targetId,
+  );
+  if (arriving.length > 0) {
+    await moveTabsPreservingGroups(arriving, windowId);
+    const focusId = arriving.some((t) => t.id === target.lastActiveTabId)
+      ? target.lastActiveTabId
+      : arriving[0].id;
+    await chrome.tabs.update(focusId, { active: true }).catch(() => {});
+  } else {
+    const tab = await chrome.tabs.create({ windowId, active: true });
+    tabWorkspaces.set(tab.id, targetId);
+  }
+
+  await moveTabsPreservingGroups(leaving, parkedWindowId);
+  // Parked tabs don't need to stay in memory; they reload when their workspace comes back
+  for (const tab of leaving) {
+    chrome.tabs.discard(tab.id).catch(() => {});
+  }
+  await saveWorkspaces();
+}
+
+async function deleteWorkspace(windowId, workspaceId) {
+  if (workspaces.length <= 1) return { error: "Can't delete the last workspace" };
+  if (Object.values(activeWorkspaceByWindow).includes(workspaceId)) {
+    return { error: "Switch every window away from this workspace first" };
+  }
+  // Its tabs aren't thrown away: they join the workspace shown in this window
+  const destinationId = getActiveWorkspace(windowId);
+  const parkedWindowId = findParkedWindowId(await chrome.tabs.query({}));
+  if (parkedWindowId !== null) {
+    const orphans = (await chrome.tabs.query({ windowId: parkedWindowId })).filter(
+      (t) => !isParkedPage(t) && tabWorkspaces.get(t.id) === workspaceId,
+    );
+    orphans.forEach((t) => tabWorkspaces.set(t.id, destinationId));
+    await moveTabsPreservingGroups(orphans, windowId);
+  }
+  workspaces = workspaces.filter((ws) => ws.id !== workspaceId);
+  await saveWorkspaces();
+  return { ok: true };
+}
+
+// --- Tab Events ---
+
+chrome.tabs.onCreated.addListener((tab) =>
+  enqueue(async () => {
+    scheduleFingerprintSave();
+    if (!isParkedPage(tab) && !tabWorkspaces.has(tab.id)) {
+      tabWorkspaces.set(tab.id, getActiveWorkspace(tab.windowId));
+      await saveWorkspaces();
+    }
+    if (treeState.parentOverrides.has(tab.id)) return;
+
+    // Placed by the placement rules now, while the opener / active tab still exist
+    const parentId = ZenTreeModel.placeNewTab(treeState, tab, {
+      rules: placementRules,
+      activeTab: await getPreviouslyActiveTab(tab),
+      opener: tab.openerTabId ? await chrome.tabs.get(tab.openerTabId).catch(() => undefined) : undefined,
+    });
+    if (parentId === undefined) return;
+    treeState.parentOverrides.set(tab.id, parentId);
+    if (groupChildrenWithParent && parentId !== ZenTreeModel.ROOT) await joinParentGroup(tab, parentId);
+    await commitTreeState();
+  }),
+);
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) =>
+  enqueue(async () => {
+    // Remove from visit history
+    let visitsChanged = forgetVisit(visitOrderGlobal, tabId);
+    for (const wid of Object.keys(visitHistoryByWindow)) {
+      if (forgetVisit(visitHistoryByWindow[wid], tabId)) visitsChanged = true;
+    }
+    if (visitsChanged) saveVisitHistory();
+
+    if (removeInfo.isWindowClosing) {
+      // Whole window is going (possibly the browser quitting): keep the tree as it was
+      lastWindowClosingAt = Date.now();
+      scheduleFingerprintSave();
+      return;
+    }
+
+    if (tabWorkspaces.delete(tabId)) await saveWorkspaces();
+
+    const children = ZenTreeModel.getChildren(treeState, tabId);
+    if (children.length === 0) {
+      ZenTreeModel.removeTab(treeState, tabId);
+      scheduleFingerprintSave();
+      return;
+    }
+
+    const { CLOSE_POLICIES } = ZenTreeModel;
+    if (closePolicy === CLOSE_POLICIES.CLOSE_SUBTREE) {
+      // Only what's still in the window: a workspace may have parked part of the subtree
+      const windowTabIds = new Set((await chrome.tabs.query({ windowId: removeInfo.windowId })).map((t) => t.id));
+      const descendants = ZenTreeModel.getDescendants(treeState, tabId).filter((id) => windowTabIds.has(id));
+      if (descendants.length > 0) chrome.tabs.remove(descendants).catch(() => {});
+      ZenTreeModel.removeTab(treeState, tabId);
+    } else if (closePolicy === CLOSE_POLICIES.PROMOTE_FIRST) {
+      const tabs = await chrome.tabs.query({});
+      const indexOf = new Map(tabs.map((t) => [t.id, t.index]));
+      const ordered = children
+        .filter((id) => indexOf.has(id))
+        .sort((a, b) => indexOf.get(a) - indexOf.get(b));
+      ZenTreeModel.promoteFirstChild(treeState, tabId, ordered);
+    } else {
+      // Orphan Adoption Logic:
+      // When a tab is removed, its children move up to its parent (Grandparent adoption).
+      // "ask" ends up here too: the side panel already asked if it closed the tab itself, and
+      // closes from anywhere else (Ctrl+W, the tab strip, other extensions) can't ask, so
+      // they move the children up. The setting is labelled that way.
+      ZenTreeModel.removeTab(treeState, tabId);
+    }
+    await commitTreeState();
+  }),
+);
+
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) =>
+  enqueue(() => {
+    if (!visitHistoryByWindow[windowId]) {
+      visitHistoryByWindow[windowId] = { order: [], index: -1 };
+    }
+    // Per-window order is always kept so switching modes doesn't start from scratch
+    recordVisit(visitHistoryByWindow[windowId], tabId);
+    if (visitOrderAcrossWindows) recordVisit(visitOrderGlobal, tabId);
+    navigatingByArrows = false;
+    saveVisitHistory();
+  }),
+);
+
+// Prerendered / instant pages swap in a new tab under a new ID; carry everything over to it.
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) =>
+  enqueue(async () => {
+    replaceTabId(removedTabId, addedTabId);
+    saveVisitHistory();
+    await saveWorkspaces();
+    await commitTreeState();
+  }),
+);
+
+chrome.tabs.onDetached.addListener((tabId, { oldWindowId }) =>
+  enqueue(() => {
+    const state = visitHistoryByWindow[oldWindowId];
+    if (state && forgetVisit(state, tabId)) saveVisitHistory();
+  }),
+);
+
+// A tab dragged (or moved) to another window takes its subtree along with it, unless it was
+// moved on its own (moveTabsToNewWindow).
+chrome.tabs.onAttached.addListener((tabId, { newWindowId, newPosition }) =>
+  enqueue(async () => {
+    // Descendants we moved ourselves: their ancestor already handled the subtree
+    if (carriedTabs.delete(tabId)) return;
+    const alone = movedAlone.delete(tabId);
+
+    const tabs = await chrome.tabs.query({});
+    const tabsById = new Map(tabs.map((t) => [t.id, t]));
+    let changed = false;
+
+    // Dragged into another window: it now belongs to that window's workspace
+    if (newWindowId !== findParkedWindowId(tabs)) {
+      tabWorkspaces.set(tabId, getActiveWorkspace(newWindowId));
+      await saveWorkspaces();
+    }
+
+    // The old parent stayed behind in the other window
+    const parentId = treeState.parentOverrides.get(tabId);
+    const parent = parentId > 0 ? tabsById.get(parentId) : undefined;
+    const parentStayed = parent && parent.windowId !== newWindowId;
+    if (parentStayed) {
+      treeState.parentOverrides.set(tabId, ZenTreeModel.ROOT);
+      changed = true;
+    }
+
+    if (alone) {
+      // Moved without its subtree: the children it left behind move up to its old parent
+      ZenTreeModel.getChildren(treeState, tabId)
+        .filter((id) => tabsById.has(id) && tabsById.get(id).windowId !== newWindowId)
+        .forEach((id) => {
+          treeState.parentOverrides.set(id, parentStayed ? parentId : ZenTreeModel.ROOT);
+          changed = true;
+        });
+    } else {
+      const stragglers = ZenTreeModel.getDescendants(treeState, tabId)
+        .map((id) => tabsById.get(id))
+        .filter((t) => t && t.windowId !== newWindowId)
+        .sort((a, b) => a.windowId - b.windowId || a.index - b.index)
+        .map((t) => t.id);
+      if (stragglers.length > 0) carrySubtree(stragglers, newWindowId, newPosition + 1);
+    }
+
+    if (changed) await commitTreeState();
+    else scheduleFingerprintSave();
+  }),
+);
+
+chrome.tabs.onMoved.addListener(() => scheduleFingerprintSave());
+
+chrome.windows.onRemoved.addListener((windowId) =>
+  enqueue(async () => {
+    if (windowId in activeWorkspaceByWindow) {
+      delete activeWorkspaceByWindow[windowId];
+      await saveWorkspaces();
+    }
+  }),
+);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) scheduleFingerprintSave();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.closePolicy) {
+    enqueue(() => {
+      closePolicy = ZenTreeSettings.normalize({ closePolicy: changes.closePolicy.newValue }).closePolicy;
+    });
+  }
+  if (area === "local" && changes.placementRules) {
+    enqueue(() => {
+      placementRules = ZenTreeSettings.normalize({ placementRules: changes.placementRules.newValue }).placementRules;
+    });
+  }
+  if (area === "local" && changes.groupChildrenWithParent) {
+    enqueue(() => {
+      groupChildrenWithParent = changes.groupChildrenWithParent.newValue === true;
+    });
+  }
+  if (area !== "local" || !changes.visitOrderAcrossWindows) return;
+  enqueue(async () => {
+    visitOrderAcrossWindows = changes.visitOrderAcrossWindows.newValue === true;
+    if (visitOrderAcrossWindows) {
+      // Start the global order fresh from the tab the user is looking at
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      visitOrderGlobal = tab ? { order: [tab.id], index: 0 } : { order: [], index: -1 };
+    }
+    saveVisitHistory();
+  });
+});
+
+// --- Keyboard Commands ---
+// Browser-wide shortcuts ("commands" in manifest.json, remappable at chrome://extensions/shortcuts).
+// They act on the active tab, using the tree as the side panel shows it.
+
+const OPEN_PANELS_STORAGE_KEY = "ztOpenSidePanels";
+const openSidePanels = new Set(); // Windows showing the side panel
+
+// Read right away rather than in loadState: toggling can't wait for the queue (see below)
+chrome.storage.session.get(OPEN_PANELS_STORAGE_KEY).then((res) => {
+  (res[OPEN_PANELS_STORAGE_KEY] || []).forEach((windowId) => openSidePanels.add(windowId));
+});
+
+function trackSidePanel(windowId, isOpen) {
+  if (isOpen) openSidePanels.add(windowId);
+  else if (!openSidePanels.delete(windowId)) return;
+  chrome.storage.session.set({ [OPEN_PANELS_STORAGE_KEY]: Array.from(openSidePanels) }).catch(() => {});
+}
+
+// Older Chrome versions can't report or close the panel; the shortcut then only opens it
+chrome.sidePanel.onOpened?.addListener(({ windowId }) => trackSidePanel(windowId, true));
+chrome.sidePanel.onClosed?.addListener(({ windowId }) => trackSidePanel(windowId, false));
+chrome.windows.onRemoved.addListener((windowId) => trackSidePanel(windowId, false));
+
+// sidePanel.open() only works while the key press is being handled, so no awaiting before it
+function toggleSidePanel(windowId) {
+  const request =
+    openSidePanels.has(windowId) && chrome.sidePanel.close
+      ? chrome.sidePanel.close({ windowId })
+      : chrome.sidePanel.open({ windowId });
+  request.catch((e) => console.warn("Toggling the side panel failed", e));
+}
+
+async function getWindowTree(windowId) {
+  const [tabs, groups] = await Promise.all([chrome.tabs.query({ windowId }), chrome.tabGroups.query({ windowId })]);
+  return ZenTreeModel.buildTree(tabs, groups.map((g) => g.id), treeState);
+}
+
+async function runTreeCommand(command, tab) {
+  const tree = await getWindowTree(tab.windowId);
+  const current = tree.tabsById.get(tab.id);
+  if (!current) return;
+
+  switch (command) {
+    case "jump-to-parent": {
+      const parentId = tree.displayParents.get(tab.id) ?? tree.crossGroupParents.get(tab.id);
+      if (parentId !== undefined) await chrome.tabs.update(parentId, { active: true });
+      break;
+    }
+
+    case "next-sibling":
+    case "previous-sibling": {
+      const siblings = ZenTreeModel.getSiblings(tree, tab.id);
+      const target = siblings[siblings.indexOf(tab.id) + (command === "next-sibling" ? 1 : -1)];
+      if (target !== undefined) await chrome.tabs.update(target, { active: true });
+      break;
+    }
+
+    // A tab without children folds the subtree it is in
+    case "toggle-collapse": {
+      const targetId = current.children.length > 0 ? tab.id : tree.displayParents.get(tab.id);
+      if (targetId === undefined) return;
+      if (treeState.collapsedState.has(targetId)) treeState.collapsedState.delete(targetId);
+      else treeState.collapsedState.add(targetId);
+      await commitTreeState();
+      break;
+    }
+
+    // Opens after the tab's subtree, as its last child
+    case "new-child-tab": {
+      const subtree = ZenTreeModel.getSubtree(tree, tab.id);
+      const index = tree.tabsById.get(subtree[subtree.length - 1]).index + 1;
+      const child = await chrome.tabs.create({ windowId: tab.windowId, index, openerTabId: tab.id });
+      // Set before its onCreated runs (it queues behind us), so the placement rules leave it here
+      treeState.parentOverrides.set(child.id, tab.id);
+      treeState.collapsedState.delete(tab.id);
+      await joinParentGroup(child, tab.id);
+      await commitTreeState();
+      break;
+    }
+  }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === "toggle-side-panel") {
+    if (tab) toggleSidePanel(tab.windowId);
+    return;
+  }
+  enqueue(async () => {
+    const [active] = tab ? [tab] : await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!active) return;
+    if (command === "visit-back" || command === "visit-forward") {
+      await navigateVisitHistory(active.windowId, command === "visit-back" ? -1 : 1);
+    } else {
+      await runTreeCommand(command, active);
+    }
+  });
+});
+
+// --- Side Panel Messaging ---
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || typeof message.type !== "string") return false;
+  enqueue(() => handleMessage(message))
+    .then(sendResponse)
+    .catch((err) => sendResponse({ error: err.message }));
+  return true; // Async response
+});
+
+async function handleMessage(message) {
+  switch (message.type) {
+    case "GET_TREE_STATE":
+      return ZenTreeModel.serialize(treeState);
+
+    case "SET_PARENT":
+      if (!ZenTreeModel.reparent(treeState, message.tabId, message.parentId)) {
+        throw new Error("A tab can't be nested under itself or its own descendants");
+      }
+      await commitTreeState();
+      return { ok: true };
+
+    case "SET_COLLAPSED":
+      if (message.collapsed) treeState.collapsedState.add(message.tabId);
+      else treeState.collapsedState.delete(message.tabId);
+      await commitTreeState();
+      return { ok: true };
+
+    case "SET_CUSTOM_TITLE":
+      if (message.title) treeState.customTitles.set(message.tabId, message.title);
+      else treeState.customTitles.delete(message.tabId);
+      await commitTreeState();
+      return { ok: true };
+
+    // Bulk update after the panel reopens a saved tree (one save and broadcast instead of one per tab)
+    case "MERGE_TREE_STATE":
+      Object.entries(message.parentOverrides || {}).forEach(([k, v]) => treeState.parentOverrides.set(Number(k), v));
+      Object.entries(message.customTitles || {}).forEach(([k, v]) => treeState.customTitles.set(Number(k), v));
+      (message.collapsedState || []).forEach((id) => treeState.collapsedState.add(id));
+      ZenTreeModel.repairTree(treeState);
+      await commitTreeState();
+      return { ok: true };
+
+    case "MOVE_TO_NEW_WINDOW":
+      return { ok: true, windowId: await moveTabsToNewWindow(message.tabIds) };
+
+    // "Repair Tree" in settings: also forgets tabs that no longer exist
+    case "REPAIR_TREE":
+      return repairTreeState();
+
+    // Storage panel in settings: start over with one part of the tree state
+    case "RESET_TREE_STATE": {
+      const empty = ZenTreeModel.createState();
+      if (!(message.key in empty)) return { error: `Unknown tree state: ${message.key}` };
+      treeState[message.key] = empty[message.key];
+      await commitTreeState();
+      return { ok: true };
+    }
+
+    case "GET_VISIT_STATE": {
+      const state = getVisitState(message.windowId);
+      if (!state || state.order.length <= 1) return { canGoBack: false, canGoForward: false };
+      return {
+        canGoBack: state.index > 0,
+        canGoForward: state.index < state.order.length - 1,
+      };
+    }
+
+    case "VISIT_NAVIGATE":
+      await navigateVisitHistory(message.windowId, message.direction);
+      return { ok: true };
+
+    case "GET_WORKSPACES":
+      return describeWorkspaces(message.windowId);
+
+    case "CREATE_WORKSPACE": {
+      const workspace = { id: `ws-${Date.now().toString(36)}`, name: message.name };
+      workspaces.push(workspace);
+      await saveWorkspaces();
+      return { ok: true, id: workspace.id };
+    }
+
+    case "RENAME_WORKSPACE": {
+      const workspace = workspaces.find((ws) => ws.id === message.workspaceId);
+      if (!workspace) return { error: "Unknown workspace" };
+      workspace.name = message.name;
+      await saveWorkspaces();
+      return { ok: true };
+    }
+
+    case "DELETE_WORKSPACE":
+      return deleteWorkspace(message.windowId, message.workspaceId);
+
+    case "SWITCH_WORKSPACE":
+      await switchWorkspace(message.windowId, message.workspaceId);
+      return { ok: true };
+
+    default:
+      return { error: `Unknown message type: ${message.type}` };
+  }
+}
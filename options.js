@@ -1,6 +1,177 @@
-// Options page - settings are now managed in the sidebar
-// This file is kept for potential future standalone settings
+// Options page - the full settings page (the side panel's settings modal covers the common ones).
+// Controls are bound by their data-setting attribute: "aiEnabled", or "themeSettings.colorScheme"
+// for a field of an object setting. Values live in chrome.storage.local (see shared/settings.js),
+// so changes made here and in the side panel show up in both right away.
 
-document.addEventListener("DOMContentLoaded", () => {
-  console.log("ZenTree Tabs options page loaded");
-});
+(function () {
+  const controls = Array.from(document.querySelectorAll("[data-setting]"));
+  const siteRulesEl = document.getElementById("site-rules");
+  const siteRuleForm = document.getElementById("site-rule-form");
+  const siteRuleDomain = document.getElementById("site-rule-domain");
+  const siteRuleMode = document.getElementById("site-rule-mode");
+
+  let settings = {};
+
+  const parsePath = (el) => el.dataset.setting.split(".");
+
+  function readControl(el) {
+    if (el.type === "checkbox") return el.checked;
+    return el.dataset.type === "number" ? parseInt(el.value) : el.value;
+  }
+
+  function render() {
+    controls.forEach((el) => {
+      const [key, field] = parsePath(el);
+      const value = field ? settings[key][field] : settings[key];
+      if (el.type === "checkbox") el.checked = value === true;
+      else el.value = String(value);
+    });
+    renderSiteRules();
+  }
+
+  function renderSiteRules() {
+    siteRulesEl.innerHTML = "";
+    settings.placementRules.domainRules.forEach((rule, i) => {
+      const row = document.createElement("div");
+      row.className = "site-rule";
+      const domain = document.createElement("span");
+      domain.textContent = rule.domain;
+      const mode = document.createElement("span");
+      mode.className = "desc";
+      mode.textContent = rule.mode === "always" ? "Always nest" : "Never nest";
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => {
+        const domainRules = settings.placementRules.domainRules.filter((_, j) => j !== i);
+        ZenTreeSettings.save({ placementRules: { ...settings.placementRules, domainRules } });
+      });
+      row.append(domain, mode, remove);
+      siteRulesEl.appendChild(row);
+    });
+  }
+
+  // Saves one control; object settings are merged with their current value
+  controls.forEach((el) => {
+    el.addEventListener("change", () => {
+      const [key, field] = parsePath(el);
+      const value = readControl(el);
+      ZenTreeSettings.save({ [key]: field ? { ...settings[key], [field]: value } : value });
+    });
+  });
+
+  siteRuleForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const placementRules = ZenTreeSettings.upsertSiteRule(settings.placementRules, siteRuleDomain.value, siteRuleMode.value);
+    if (!placementRules) return;
+    ZenTreeSettings.save({ placementRules });
+    siteRuleDomain.value = "";
+  });
+
+  // Changes from here, the side panel or the popup
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local") return;
+    const changed = Object.keys(changes).filter((key) => ZenTreeSettings.KEYS.includes(key));
+    if (changed.length === 0) return;
+    const values = Object.fromEntries(changed.map((key) => [key, changes[key].newValue]));
+    settings = { ...settings, ...ZenTreeSettings.normalize(values) };
+    render();
+  });
+
+  ZenTreeSettings.load().then((res) => {
+    settings = res;
+    render();
+  });
+
+  // --- Sync & Backup ---
+
+  const syncEnabledEl = document.getElementById("sync-enabled");
+  const syncStatusEl = document.getElementById("sync-status");
+  const backupStatusEl = document.getElementById("backup-status");
+  const importFileEl = document.getElementById("import-settings-file");
+  const { SYNC_ENABLED_KEY, SYNC_STATUS_KEY } = ZenTreeSettings;
+
+  function renderSyncState(enabled, status) {
+    syncEnabledEl.checked = enabled;
+    if (!enabled || !status) return;
+    const when = new Date(status.at).toLocaleString();
+    syncStatusEl.textContent = status.error ? `Last sync failed (${when}): ${status.error}` : `Last synced ${when}`;
+  }
+
+  chrome.storage.local.get({ [SYNC_ENABLED_KEY]: false, [SYNC_STATUS_KEY]: null }, (res) => {
+    renderSyncState(res[SYNC_ENABLED_KEY], res[SYNC_STATUS_KEY]);
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !(changes[SYNC_ENABLED_KEY] || changes[SYNC_STATUS_KEY])) return;
+    chrome.storage.local.get({ [SYNC_ENABLED_KEY]: false, [SYNC_STATUS_KEY]: null }, (res) => {
+      renderSyncState(res[SYNC_ENABLED_KEY], res[SYNC_STATUS_KEY]);
+    });
+  });
+  // The background worker does the syncing
+  syncEnabledEl.addEventListener("change", () => {
+    chrome.storage.local.set({ [SYNC_ENABLED_KEY]: syncEnabledEl.checked });
+  });
+
+  document.getElementById("export-settings").addEventListener("click", async () => {
+    const data = ZenTreeSettings.exportSettings(await ZenTreeSettings.load());
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `zentree-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    // Revoking right away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  });
+
+  document.getElementById("import-settings").addEventListener("click", () => importFileEl.click());
+  importFileEl.addEventListener("change", async () => {
+    const file = importFileEl.files[0];
+    importFileEl.value = "";
+    if (!file) return;
+    try {
+      const imported = ZenTreeSettings.parseSettingsImport(await file.text());
+      const count = Object.keys(imported).length;
+      if (!confirm(`Replace ${count} setting${count === 1 ? "" : "s"} with the ones from ${file.name}?`)) return;
+      await ZenTreeSettings.save(imported);
+      backupStatusEl.textContent = `Imported ${count} setting${count === 1 ? "" : "s"} from ${file.name}`;
+    } catch (err) {
+      backupStatusEl.textContent = `Import failed: ${err.message}`;
+    }
+  });
+
+  // --- Keyboard Shortcuts ---
+
+  async function renderBrowserShortcuts() {
+    const table = document.getElementById("browser-shortcuts");
+    const commands = (await chrome.commands.getAll()).filter((c) => c.description);
+    table.innerHTML = "";
+    if (commands.length === 0) {
+      const row = table.insertRow();
+      row.insertCell().textContent = "None yet";
+      return;
+    }
+    commands.forEach((command) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = command.description;
+      const keys = row.insertCell();
+      if (command.shortcut) {
+        const kbd = document.createElement("kbd");
+        kbd.textContent = command.shortcut;
+        keys.appendChild(kbd);
+      } else {
+        keys.textContent = "Not set";
+        keys.className = "desc";
+      }
+    });
+  }
+
+  document.getElementById("edit-shortcuts").addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+  renderBrowserShortcuts();
+  // Shortcuts edited in the other tab show up when coming back
+  window.addEventListener("focus", renderBrowserShortcuts);
+
+  document.getElementById("options-version").textContent = `Version ${chrome.runtime.getManifest().version}`;
+})();
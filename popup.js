@@ -1,19 +1,18 @@
 (function () {
   const allWindowsEl = document.getElementById("popup-search-all-windows");
   const bookmarksEl = document.getElementById("popup-search-bookmarks");
+  const keepTreeEl = document.getElementById("popup-search-keep-tree");
   const openBtn = document.getElementById("popup-open-side-panel");
 
   const acrossWindowsEl = document.getElementById("popup-visit-across-windows");
 
   // Load saved options (same keys as side panel)
-  chrome.storage.local.get(
-    { searchAllWindows: false, searchBookmarksToo: false, visitOrderAcrossWindows: false },
-    (res) => {
-      if (allWindowsEl) allWindowsEl.checked = res.searchAllWindows;
-      if (bookmarksEl) bookmarksEl.checked = res.searchBookmarksToo;
-      if (acrossWindowsEl) acrossWindowsEl.checked = res.visitOrderAcrossWindows === true;
-    }
-  );
+  ZenTreeSettings.load(["searchAllWindows", "searchBookmarksToo", "searchKeepTree", "visitOrderAcrossWindows"]).then((res) => {
+    if (allWindowsEl) allWindowsEl.checked = res.searchAllWindows;
+    if (bookmarksEl) bookmarksEl.checked = res.searchBookmarksToo;
+    if (keepTreeEl) keepTreeEl.checked = res.searchKeepTree;
+    if (acrossWindowsEl) acrossWindowsEl.checked = res.visitOrderAcrossWindows;
+  });
 
   // Persist when changed
   if (allWindowsEl) {
@@ -26,6 +25,11 @@
       chrome.storage.local.set({ searchBookmarksToo: bookmarksEl.checked });
     });
   }
+  if (keepTreeEl) {
+    keepTreeEl.addEventListener("change", () => {
+      chrome.storage.local.set({ searchKeepTree: keepTreeEl.checked });
+    });
+  }
   if (acrossWindowsEl) {
     acrossWindowsEl.addEventListener("change", () => {
       chrome.storage.local.set({ visitOrderAcrossWindows: acrossWindowsEl.checked });
@@ -0,0 +1,166 @@
+/**
+ * ZenTree Tabs - Fuzzy Matching
+ * Matches a typed query against a piece of text the way a command palette does: every word of
+ * the query has to appear, in any order, either as-is or with letters left out ("rdme" finds
+ * "README"), and words of four letters or more may have one typo. Runs of consecutive letters
+ * and matches at the start of words score higher.
+ *
+ *   ZenTreeFuzzy.match("new chi", "New tab as child") -> { score, indices: [0, 1, 2, 11, 12, 13] }
+ *   ZenTreeFuzzy.match("xyz", "New tab as child")     -> null
+ *
+ * Loaded as a classic script by the side panel; exposed on `self.ZenTreeFuzzy`.
+ */
+(function (root) {
+  const SEPARATORS = " -_./:?#&=()[]|,";
+
+  // Start of a word: after a separator, or an uppercase letter after a lowercase one
+  function isWordStart(text, i) {
+    if (i === 0) return true;
+    const prev = text[i - 1];
+    if (SEPARATORS.includes(prev)) return true;
+    return prev === prev.toLowerCase() && text[i] !== text[i].toLowerCase();
+  }
+
+  function lettersInOrder(word, text, lower, preferWordStarts) {
+    const indices = [];
+    let from = 0;
+    for (const ch of word) {
+      let at = lower.indexOf(ch, from);
+      if (at === -1) return null;
+      // Jump ahead to a word start, unless this letter continues a run
+      if (preferWordStarts && indices[indices.length - 1] !== at - 1) {
+        for (let next = at; next !== -1; next = lower.indexOf(ch, next + 1)) {
+          if (isWordStart(text, next)) {
+            at = next;
+            break;
+          }
+        }
+      }
+      indices.push(at);
+      from = at + 1;
+    }
+    return indices;
+  }
+
+  // Letters of a word spread over more than this many characters per letter don't count
+  const MAX_SPREAD = 4;
+  // Words this long may contain one typo: two letters swapped, or one letter too many or wrong
+  const TYPO_MIN_LENGTH = 4;
+  const TYPO_PENALTY = 4;
+
+  // Best match of one query word (already lowercased) in the text, without typos
+  function matchLetters(word, text, lower) {
+    let best = null;
+
+    // Whole word present: the best-placed occurrence wins
+    for (let at = lower.indexOf(word); at !== -1; at = lower.indexOf(word, at + 1)) {
+      const score = word.length * 3 + (isWordStart(text, at) ? 6 : 0) + (at === 0 ? 2 : 0);
+      if (!best || score > best.score) {
+        best = { score, indices: Array.from(word, (_, k) => at + k) };
+      }
+    }
+    if (best) return best;
+
+    // Otherwise its letters in order, preferring the start of words for each one
+    const span = (found) => found[found.length - 1] - found[0] + 1;
+    let indices = lettersInOrder(word, text, lower, true);
+    if (!indices || span(indices) > word.length * MAX_SPREAD) indices = lettersInOrder(word, text, lower, false);
+    if (!indices || span(indices) > word.length * MAX_SPREAD) return null;
+    let score = 0;
+    indices.forEach((at, k) => {
+      score += 1;
+      if (k > 0 && indices[k - 1] === at - 1) score += 2;
+      if (isWordStart(text, at)) score += 3;
+    });
+    // Letters scattered over a long stretch are a weak match
+    score -= Math.floor((span(indices) - word.length) / 4);
+    return { score: Math.max(score, 1), indices };
+  }
+
+  // The word with one letter left out, or two neighbouring letters swapped
+  function typoVariants(word) {
+    const variants = new Set();
+    for (let i = 0; i < word.length; i++) {
+      variants.add(word.slice(0, i) + word.slice(i + 1));
+      if (i < word.length - 1) variants.add(word.slice(0, i) + word[i + 1] + word[i] + word.slice(i + 2));
+    }
+    variants.delete(word);
+    return variants;
+  }
+
+  function matchWord(word, text, lower) {
+    const exact = matchLetters(word, text, lower);
+    if (exact || word.length < TYPO_MIN_LENGTH) return exact;
+    let best = null;
+    typoVariants(word).forEach((variant) => {
+      const result = matchLetters(variant, text, lower);
+      if (result && (!best || result.score > best.score)) best = result;
+    });
+    return best && { score: Math.max(best.score - TYPO_PENALTY, 1), indices: best.indices };
+  }
+
+  /**
+   * Matches a query against several texts of one item, e.g. a tab's title and URL. Each word
+   * may be found in a different field, and counts where it scores best.
+   * @param {Object<string, string>} fields - name -> text; empty ones are skipped
+   * @param {Object<string, number>} [weights] - name -> score multiplier, 1 by default
+   * @returns {{score: number, indices: Object<string, Array<number>>}|null} null when some word
+   *   doesn't match; indices are the matched positions of each field that matched, sorted
+   */
+  function matchFields(query, fields, weights = {}) {
+    const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    const texts = Object.entries(fields)
+      .filter(([, text]) => text)
+      .map(([name, text]) => ({ name, text: String(text), lower: String(text).toLowerCase() }));
+    if (words.length === 0 || texts.length === 0) return null;
+
+    let score = 0;
+    const found = {};
+    for (const word of words) {
+      let best = null;
+      texts.forEach(({ name, text, lower }) => {
+        const result = matchWord(word, text, lower);
+        const weighted = result && result.score * (weights[name] ?? 1);
+        if (result && (!best || weighted > best.score)) best = { name, score: weighted, indices: result.indices };
+      });
+      if (!best) return null;
+      score += best.score;
+      if (!found[best.name]) found[best.name] = new Set();
+      best.indices.forEach((i) => found[best.name].add(i));
+    }
+    const indices = {};
+    Object.entries(found).forEach(([name, set]) => {
+      indices[name] = Array.from(set).sort((a, b) => a - b);
+    });
+    return { score, indices };
+  }
+
+  /**
+   * Matches a query against text.
+   * @returns {{score: number, indices: Array<number>}|null} null when some word doesn't match;
+   *   indices are the matched character positions, sorted
+   */
+  function match(query, text) {
+    const result = matchFields(query, { text });
+    return result && { score: result.score, indices: result.indices.text };
+  }
+
+  /**
+   * Splits text into runs for highlighting matched characters.
+   * @returns {Array<{text: string, matched: boolean}>}
+   */
+  function splitMatches(text, indices) {
+    const matched = new Set(indices);
+    const parts = [];
+    const str = String(text);
+    for (let i = 0; i < str.length; i++) {
+      const isMatch = matched.has(i);
+      const last = parts[parts.length - 1];
+      if (last && last.matched === isMatch) last.text += str[i];
+      else parts.push({ text: str[i], matched: isMatch });
+    }
+    return parts;
+  }
+
+  root.ZenTreeFuzzy = { match, matchFields, splitMatches };
+})(self);
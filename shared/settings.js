@@ -0,0 +1,276 @@
+/**
+ * ZenTree Tabs - Settings Schema
+ * The one place that defines the user settings kept in chrome.storage.local: their defaults,
+ * what counts as a valid value, and the migrations that bring older stored values up to date.
+ *
+ *   ZenTreeSettings.load(["aiEnabled"])       -> { aiEnabled: true }  (defaults filled in)
+ *   ZenTreeSettings.save({ aiEnabled: false })
+ *
+ * Stored settings carry a schema version (VERSION_KEY). The background worker runs
+ * migrateStorage() on install/update and whenever it starts, before anything reads them.
+ *
+ * Settings (never tab state) can also be mirrored through chrome.storage.sync, see
+ * mergeSynced, and exported / imported as JSON.
+ *
+ * Loaded as a classic script by the side panel, the popup, the settings page and the service
+ * worker, after shared/tree-model.js; exposed on `self.ZenTreeSettings`.
+ */
+(function (root) {
+  // 1: everything up to 3.1, before settings were versioned
+  const SCHEMA_VERSION = 2;
+  const VERSION_KEY = "ztSettingsVersion";
+
+  // Sync bookkeeping: whether this device syncs and how the last sync went (local, per
+  // device), when each setting was last changed here (local) and on any device (sync)
+  const SYNC_ENABLED_KEY = "ztSettingsSync";
+  const SYNC_STATUS_KEY = "ztSettingsSyncStatus";
+  const MODIFIED_KEY = "ztSettingsModified";
+  const SYNC_META_KEY = "ztSettingsSyncMeta";
+  const EXPORT_FORMAT = "zentree-settings";
+
+  const THEMES = [
+    "minimal-blue",
+    "minimal-slate",
+    "minimal-sage",
+    "minimal-rose",
+    "minimal-amber",
+    "minimal-indigo",
+    "minimal-teal",
+    "minimal-charcoal",
+    "minimal-amoled",
+  ];
+  const COLOR_SCHEMES = ["system", "light", "dark"];
+  // Tree behavior values and defaults come from the tree model, which acts on them
+  const { DEFAULT_CLOSE_POLICY, DEFAULT_PLACEMENT_RULES } = root.ZenTreeModel;
+  const CLOSE_POLICIES = Object.values(root.ZenTreeModel.CLOSE_POLICIES);
+  const NEW_TAB_PLACEMENTS = Object.values(root.ZenTreeModel.NEW_TAB_PLACEMENTS);
+  const DOMAIN_RULE_MODES = Object.values(root.ZenTreeModel.DOMAIN_RULE_MODES);
+
+  const oneOf = (values) => (v) => (values.includes(v) ? v : undefined);
+  const bool = (v) => (typeof v === "boolean" ? v : undefined);
+  const intIn = (min, max) => (v) => (Number.isInteger(v) && v >= min && v <= max ? v : undefined);
+
+  // Each setting: its default, and a check returning the value if valid (undefined if not)
+  const SCHEMA = {
+    themeSettings: {
+      default: { themeColor: "minimal-blue", colorScheme: "system" },
+      check: (v) =>
+        v && typeof v === "object"
+          ? {
+              themeColor: THEMES.includes(v.themeColor) ? v.themeColor : "minimal-blue",
+              colorScheme: COLOR_SCHEMES.includes(v.colorScheme) ? v.colorScheme : "system",
+            }
+          : undefined,
+    },
+    aiEnabled: { default: true, check: bool },
+    groupingThreshold: { default: 2, check: intIn(2, 5) },
+    searchAllWindows: { default: false, check: bool },
+    searchBookmarksToo: { default: false, check: bool },
+    searchKeepTree: { default: false, check: bool },
+    // Off by default: the first search by meaning downloads the AI model
+    semanticSearch: { default: false, check: bool },
+    visitOrderAcrossWindows: { default: false, check: bool },
+    closePolicy: { default: DEFAULT_CLOSE_POLICY, check: oneOf(CLOSE_POLICIES) },
+    groupChildrenWithParent: { default: false, check: bool },
+    placementRules: {
+      default: DEFAULT_PLACEMENT_RULES,
+      check: (v) => {
+        if (!v || typeof v !== "object") return undefined;
+        const domainRules = (Array.isArray(v.domainRules) ? v.domainRules : []).filter(
+          (r) => r && typeof r.domain === "string" && r.domain && DOMAIN_RULE_MODES.includes(r.mode),
+        );
+        return {
+          newTabPlacement: oneOf(NEW_TAB_PLACEMENTS)(v.newTabPlacement) ?? DEFAULT_PLACEMENT_RULES.newTabPlacement,
+          domainRules: domainRules.map((r) => ({ domain: r.domain, mode: r.mode })),
+          sameDomainAsSiblings: v.sameDomainAsSiblings === true,
+          maxDepth: intIn(0, 20)(v.maxDepth) ?? DEFAULT_PLACEMENT_RULES.maxDepth,
+        };
+      },
+    },
+  };
+
+  const KEYS = Object.keys(SCHEMA);
+
+  // Copies, so callers can't change the defaults by editing what they got back
+  function getDefault(key) {
+    return JSON.parse(JSON.stringify(SCHEMA[key].default));
+  }
+
+  function getDefaults(keys = KEYS) {
+    return Object.fromEntries(keys.map((key) => [key, getDefault(key)]));
+  }
+
+  /** Replaces invalid values with their defaults; keys not in the schema are left alone. */
+  function normalize(values) {
+    const result = { ...values };
+    Object.keys(result).forEach((key) => {
+      if (!SCHEMA[key]) return;
+      const checked = SCHEMA[key].check(result[key]);
+      result[key] = checked === undefined ? getDefault(key) : checked;
+    });
+    return result;
+  }
+
+  /**
+   * Migrations by the version they lead to. Each gets the stored settings (only the keys
+   * that exist) and returns them updated; keys it leaves out are removed from storage.
+   */
+  const MIGRATIONS = {
+    // Older builds could leave values this version doesn't know, e.g. a theme that no longer
+    // exists (which left the panel unstyled) or an AMOLED theme forced into light mode
+    2: (items) => {
+      const result = { ...items };
+      if (result.themeSettings && result.themeSettings.themeColor === "minimal-amoled") {
+        result.themeSettings = { ...result.themeSettings, colorScheme: "dark" };
+      }
+      if (typeof result.groupingThreshold === "string") result.groupingThreshold = parseInt(result.groupingThreshold);
+      return normalize(result);
+    },
+  };
+
+  /**
+   * Brings stored settings from `fromVersion` up to SCHEMA_VERSION.
+   * @returns {{items: Object, removed: Array<string>}} values to store and keys to remove
+   */
+  function migrate(items, fromVersion) {
+    let current = { ...items };
+    for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+      if (MIGRATIONS[version]) current = MIGRATIONS[version](current);
+    }
+    const removed = Object.keys(items).filter((key) => !(key in current));
+    return { items: current, removed };
+  }
+
+  /** Runs pending migrations on chrome.storage.local. Returns the version it started from. */
+  async function migrateStorage() {
+    const stored = await chrome.storage.local.get([VERSION_KEY, ...KEYS]);
+    const fromVersion = stored[VERSION_KEY] || 1;
+    if (fromVersion >= SCHEMA_VERSION) return fromVersion;
+
+    delete stored[VERSION_KEY];
+    const { items, removed } = migrate(stored, fromVersion);
+    if (removed.length > 0) await chrome.storage.local.remove(removed);
+    await chrome.storage.local.set({ ...items, [VERSION_KEY]: SCHEMA_VERSION });
+    return fromVersion;
+  }
+
+  /**
+   * Reads settings with their defaults filled in and invalid values replaced.
+   * @param {Array<string>} [keys] - defaults to every setting
+   */
+  async function load(keys = KEYS) {
+    return normalize(await chrome.storage.local.get(getDefaults(keys)));
+  }
+
+  async function save(values) {
+    await chrome.storage.local.set(normalize(values));
+  }
+
+  // --- Site Rules ---
+
+  /**
+   * Adds a per-site nesting rule (placementRules.domainRules), replacing any earlier rule for
+   * the same domain. Takes a bare domain or a pasted URL; "www." and "*." are dropped.
+   * @param {Object} placementRules - the current placementRules setting
+   * @param {string} input - what the user typed
+   * @param {string} mode - one of ZenTreeModel.DOMAIN_RULE_MODES
+   * @returns {Object|null} the updated placementRules, null when the input has no domain
+   */
+  function upsertSiteRule(placementRules, input, mode) {
+    let domain = String(input).trim().toLowerCase();
+    try {
+      if (domain.includes("/")) domain = new URL(domain.includes("://") ? domain : "https://" + domain).hostname;
+    } catch (e) {
+      // Keep what was typed
+    }
+    domain = domain.replace(/^\*?\./, "").replace(/^www\./, "");
+    if (!domain) return null;
+    const domainRules = placementRules.domainRules.filter((r) => r.domain !== domain);
+    domainRules.push({ domain, mode });
+    return { ...placementRules, domainRules };
+  }
+
+  // --- Sync ---
+
+  /**
+   * Merges this device's settings with the synced copy, setting by setting: whichever side
+   * changed it last wins. Settings only one side has are copied to the other; on a tie the
+   * synced copy wins, so a device that just turned sync on takes the settings already there.
+   * @param {{values: Object, modified: Object}} local - modified: key -> timestamp
+   * @param {{values: Object, modified: Object}} remote
+   * @returns {{toLocal: Object, toRemote: Object, modified: Object}} values to write on each
+   *   side, and the change time of every setting after the merge
+   */
+  function mergeSynced(local, remote) {
+    const toLocal = {};
+    const toRemote = {};
+    const modified = {};
+    KEYS.forEach((key) => {
+      const inLocal = local.values[key] !== undefined;
+      const inRemote = remote.values[key] !== undefined;
+      if (!inLocal && !inRemote) return;
+      const localTime = local.modified[key] || 0;
+      const remoteTime = remote.modified[key] || 0;
+
+      if (inRemote && (!inLocal || remoteTime >= localTime)) {
+        modified[key] = remoteTime;
+        if (JSON.stringify(remote.values[key]) !== JSON.stringify(local.values[key])) {
+          toLocal[key] = normalize({ [key]: remote.values[key] })[key];
+        }
+      } else {
+        modified[key] = localTime;
+        toRemote[key] = local.values[key];
+      }
+    });
+    return { toLocal, toRemote, modified };
+  }
+
+  // --- Import / Export ---
+
+  function exportSettings(values) {
+    const settings = Object.fromEntries(KEYS.filter((key) => key in values).map((key) => [key, values[key]]));
+    return { format: EXPORT_FORMAT, version: SCHEMA_VERSION, exportedAt: new Date().toISOString(), settings };
+  }
+
+  /**
+   * Reads an exported settings file, migrating it if it came from an older version.
+   * @returns {Object} valid settings, only the keys the file had
+   * @throws {Error} when the text isn't a settings export
+   */
+  function parseSettingsImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error("Invalid JSON");
+    }
+    if (!data || data.format !== EXPORT_FORMAT || !data.settings || typeof data.settings !== "object") {
+      throw new Error("Not a ZenTree settings file");
+    }
+    const known = Object.fromEntries(KEYS.filter((key) => key in data.settings).map((key) => [key, data.settings[key]]));
+    const version = Number.isInteger(data.version) ? data.version : 1;
+    return normalize(migrate(known, version).items);
+  }
+
+  root.ZenTreeSettings = {
+    SCHEMA_VERSION,
+    VERSION_KEY,
+    SYNC_ENABLED_KEY,
+    SYNC_STATUS_KEY,
+    MODIFIED_KEY,
+    SYNC_META_KEY,
+    THEMES,
+    KEYS,
+    getDefault,
+    getDefaults,
+    normalize,
+    migrate,
+    migrateStorage,
+    load,
+    save,
+    upsertSiteRule,
+    mergeSynced,
+    exportSettings,
+    parseSettingsImport,
+  };
+})(self);
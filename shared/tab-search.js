@@ -0,0 +1,207 @@
+/**
+ * ZenTree Tabs - Tab Search
+ * Ranks tabs and bookmarks for the side panel's search box. Title, custom title, domain and URL
+ * are fuzzy matched separately (shared/fuzzy.js) and weighted; recently used tabs get a bonus,
+ * so among similar matches the tab you were just looking at comes first.
+ *
+ *   ZenTreeSearch.rankTabs("react hooks", tabs, { customTitles })
+ *     -> [{ tab, score, title, indices }]  (title as shown in the list, indices of its matched letters)
+ *
+ * Queries can also filter (parseQuery, searchTabs): domain:github.com, is:audible, is:pinned,
+ * is:discarded, is:duplicate, group:"Cookie Research", window:2 (or window:current),
+ * in:bookmarks / in:tabs, and a leading "-" to exclude: -is:pinned, -youtube.
+ *
+ * Loaded as a classic script by the side panel, after shared/fuzzy.js; exposed on
+ * `self.ZenTreeSearch`.
+ */
+(function (root) {
+  const TAB_WEIGHTS = { customTitle: 1.2, title: 1, domain: 0.9, url: 0.5 };
+  const BOOKMARK_WEIGHTS = { title: 1, domain: 0.9, path: 0.7, url: 0.5 };
+  // A tab used just now scores this much extra; the bonus halves every RECENCY_HALF_LIFE
+  const RECENCY_BONUS = 8;
+  const RECENCY_HALF_LIFE = 24 * 60 * 60 * 1000;
+
+  const IS_VALUES = ["audible", "pinned", "discarded", "duplicate"];
+  // Filters only tabs have; a bookmark never passes one (unless negated)
+  const TAB_ONLY_FILTERS = ["is", "group", "window"];
+
+  function domainOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function recencyBonus(lastAccessed, now) {
+    if (!lastAccessed) return 0;
+    return RECENCY_BONUS * Math.pow(0.5, Math.max(0, now - lastAccessed) / RECENCY_HALF_LIFE);
+  }
+
+  // Best first; equal scores keep their original order
+  function sortByScore(results) {
+    return results
+      .map((result, order) => ({ result, order }))
+      .sort((a, b) => b.result.score - a.result.score || a.order - b.order)
+      .map(({ result }) => result);
+  }
+
+  /**
+   * @param {Array} tabs - chrome.tabs.Tab objects
+   * @param {{customTitles?: Map, now?: number}} [options]
+   * @returns {Array<{tab, score: number, title: string, indices: Array<number>}>} matching tabs,
+   *   best first
+   */
+  function rankTabs(query, tabs, { customTitles = new Map(), now = Date.now() } = {}) {
+    const results = [];
+    tabs.forEach((tab) => {
+      const url = tab.url || tab.pendingUrl || "";
+      const customTitle = customTitles.get(tab.id);
+      const fields = { customTitle, title: tab.title, domain: domainOf(url), url };
+      const match = root.ZenTreeFuzzy.matchFields(query, fields, TAB_WEIGHTS);
+      if (!match) return;
+      const shown = customTitle ? "customTitle" : tab.title ? "title" : "url";
+      results.push({
+        tab,
+        score: match.score + recencyBonus(tab.lastAccessed, now),
+        title: fields[shown],
+        indices: match.indices[shown] || [],
+      });
+    });
+    return sortByScore(results);
+  }
+
+  /**
+   * @param {Array<{title: string, url: string, path?: string}>} bookmarks
+   * @returns {Array<{bookmark, score: number, indices: Array<number>}>} indices are in the title
+   */
+  function rankBookmarks(query, bookmarks) {
+    const results = [];
+    bookmarks.forEach((bookmark) => {
+      const fields = { title: bookmark.title, domain: domainOf(bookmark.url), path: bookmark.path, url: bookmark.url };
+      const match = root.ZenTreeFuzzy.matchFields(query, fields, BOOKMARK_WEIGHTS);
+      if (match) results.push({ bookmark, score: match.score, indices: match.indices.title || [] });
+    });
+    return sortByScore(results);
+  }
+
+  // --- Query Language ---
+
+  function isValidFilter(key, value) {
+    if (!value) return false;
+    if (key === "domain" || key === "group") return true;
+    if (key === "is") return IS_VALUES.includes(value);
+    if (key === "window") return value === "current" || /^[1-9]\d*$/.test(value);
+    if (key === "in") return value === "bookmarks" || value === "tabs";
+    return false;
+  }
+
+  /**
+   * Splits a search into free text and filters. Anything that isn't a known filter (an unknown
+   * key, "is:something-else", a URL) stays free text.
+   * @returns {{text: string, excluded: Array<string>, filters: Array<{key, value, negate}>,
+   *   scope: "tabs"|"bookmarks"|null}} excluded: words after "-", matched as plain substrings;
+   *   scope: what in: asked for
+   */
+  function parseQuery(input) {
+    const words = [];
+    const excluded = [];
+    const filters = [];
+    let scope = null;
+    const token = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    for (const [raw, minus, rawKey, quoted, bare] of String(input).matchAll(token)) {
+      const key = rawKey && rawKey.toLowerCase();
+      const value = (quoted ?? bare ?? "").trim();
+      const negate = minus === "-";
+      // Group names compare case-insensitively later; domains like the hostnames they match
+      const filterValue = key === "group" ? value : value.toLowerCase().replace(/^www\./, "");
+      if (key && isValidFilter(key, filterValue)) {
+        if (key === "in") scope = negate ? (filterValue === "tabs" ? "bookmarks" : "tabs") : filterValue;
+        else filters.push({ key, value: filterValue, negate });
+      } else if (negate && !key && value) {
+        excluded.push(value.toLowerCase());
+      } else if (raw !== "-") {
+        words.push(quoted !== undefined ? value : raw);
+      }
+    }
+    return { text: words.join(" "), excluded, filters, scope };
+  }
+
+  // domain:github.com also matches its subdomains; domain:github any github.* site
+  function domainMatches(host, value) {
+    if (!host) return false;
+    if (value.includes(".")) return host === value || host.endsWith("." + value);
+    return host.split(".").includes(value);
+  }
+
+  const urlKey = (url) => (url || "").split("#")[0];
+
+  function passesFilter(filter, tab, context) {
+    const { value } = filter;
+    switch (filter.key) {
+      case "domain":
+        return domainMatches(domainOf(tab.url || tab.pendingUrl || ""), value);
+      case "is":
+        if (value === "duplicate") return context.duplicates.has(tab.id);
+        return tab[value] === true;
+      case "group": {
+        const title = context.groupTitles.get(tab.groupId);
+        return title !== undefined && title.toLowerCase().includes(value.toLowerCase());
+      }
+      case "window":
+        if (value === "current") return tab.windowId === context.currentWindowId;
+        return context.windowNumbers.get(tab.windowId) === Number(value);
+      default:
+        return true;
+    }
+  }
+
+  function isExcluded(excluded, texts) {
+    return excluded.some((word) => texts.some((text) => text && text.toLowerCase().includes(word)));
+  }
+
+  /**
+   * Runs a parsed query over tabs: filters, then ranks by the free text (or keeps tab order when
+   * there is none).
+   * @param {Object} [context] - customTitles, groupTitles (groupId -> title), windowNumbers
+   *   (windowId -> number shown as "Window 2"), currentWindowId, now
+   */
+  function searchTabs(query, tabs, context = {}) {
+    const ctx = {
+      customTitles: new Map(),
+      groupTitles: new Map(),
+      windowNumbers: new Map(),
+      ...context,
+    };
+    if (query.scope === "bookmarks") return [];
+
+    // Tabs whose address is open more than once (ignoring #fragments)
+    const counts = new Map();
+    tabs.forEach((tab) => counts.set(urlKey(tab.url), (counts.get(urlKey(tab.url)) || 0) + 1));
+    ctx.duplicates = new Set(tabs.filter((tab) => tab.url && counts.get(urlKey(tab.url)) > 1).map((tab) => tab.id));
+
+    const kept = tabs.filter(
+      (tab) =>
+        query.filters.every((filter) => passesFilter(filter, tab, ctx) !== filter.negate) &&
+        !isExcluded(query.excluded, [tab.title, tab.url, ctx.customTitles.get(tab.id)]),
+    );
+    if (query.text.trim()) return rankTabs(query.text, kept, ctx);
+    return kept.map((tab) => ({ tab, score: 0, title: ctx.customTitles.get(tab.id) || tab.title || tab.url, indices: [] }));
+  }
+
+  /** Runs a parsed query over bookmarks (see flattened bookmarks in rankBookmarks). */
+  function searchBookmarks(query, bookmarks) {
+    if (query.scope === "tabs") return [];
+    if (query.filters.some((filter) => TAB_ONLY_FILTERS.includes(filter.key) && !filter.negate)) return [];
+    const kept = bookmarks.filter(
+      (bookmark) =>
+        query.filters.every(
+          (filter) => filter.key !== "domain" || domainMatches(domainOf(bookmark.url), filter.value) !== filter.negate,
+        ) && !isExcluded(query.excluded, [bookmark.title, bookmark.url, bookmark.path]),
+    );
+    if (query.text.trim()) return rankBookmarks(query.text, kept);
+    return kept.map((bookmark) => ({ bookmark, score: 0, indices: [] }));
+  }
+
+  root.ZenTreeSearch = { rankTabs, rankBookmarks, parseQuery, searchTabs, searchBookmarks };
+})(self);
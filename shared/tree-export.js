@@ -0,0 +1,146 @@
+/**
+ * ZenTree Tabs - Tree Export
+ * Serializes a tree snapshot (see shared/tree-snapshot.js) to text formats people paste
+ * into docs and tickets: nested JSON, indented Markdown link lists, OPML outlines and a
+ * standalone HTML page.
+ *
+ * Loaded as a classic script by the side panel; exposed on `self.ZenTreeExport`.
+ */
+(function (root) {
+  function displayTitle(node) {
+    return node.customTitle || node.title || node.url || "Untitled";
+  }
+
+  function groupTitle(node) {
+    return node.title || "Untitled Group";
+  }
+
+  function escapeXml(str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // Characters that would end a link's text early or turn it bold, italic or into code
+  function escapeMarkdown(str) {
+    return String(str).replace(/([\\`*_[\]()<>])/g, "\\$1");
+  }
+
+  // Parentheses would end the link early, spaces and angle brackets break it
+  function markdownUrl(url) {
+    return String(url).replace(/[() <>]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+  }
+
+  function toJSON(tree) {
+    return JSON.stringify(tree, null, 2);
+  }
+
+  function toMarkdown(tree) {
+    const lines = [];
+    const visit = (nodes, depth) => {
+      (nodes || []).forEach((node) => {
+        const indent = "  ".repeat(depth);
+        if (node.type === "group") {
+          lines.push(`${indent}- **${escapeMarkdown(groupTitle(node))}**`);
+        } else {
+          lines.push(`${indent}- [${escapeMarkdown(displayTitle(node))}](${markdownUrl(node.url || "")})`);
+        }
+        visit(node.children, depth + 1);
+      });
+    };
+    visit(tree.nodes, 0);
+    return lines.join("\n") + "\n";
+  }
+
+  function toOPML(tree, title = "ZenTree Tabs") {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      "  <head>",
+      `    <title>${escapeXml(title)}</title>`,
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      "  </head>",
+      "  <body>",
+    ];
+    const visit = (nodes, depth) => {
+      (nodes || []).forEach((node) => {
+        const indent = "  ".repeat(depth);
+        const attrs =
+          node.type === "group"
+            ? `text="${escapeXml(groupTitle(node))}"`
+            : `text="${escapeXml(displayTitle(node))}" type="link" url="${escapeXml(node.url || "")}"`;
+        if (node.children && node.children.length > 0) {
+          lines.push(`${indent}<outline ${attrs}>`);
+          visit(node.children, depth + 1);
+          lines.push(`${indent}</outline>`);
+        } else {
+          lines.push(`${indent}<outline ${attrs}/>`);
+        }
+      });
+    };
+    visit(tree.nodes, 2);
+    lines.push("  </body>", "</opml>");
+    return lines.join("\n") + "\n";
+  }
+
+  function toHTML(tree, title = "ZenTree Tabs") {
+    const lines = [];
+    const visit = (nodes, depth) => {
+      const indent = "  ".repeat(depth);
+      lines.push(`${indent}<ul>`);
+      (nodes || []).forEach((node) => {
+        const label =
+          node.type === "group"
+            ? `<strong>${escapeXml(groupTitle(node))}</strong>`
+            : `<a href="${escapeXml(node.url || "")}">${escapeXml(displayTitle(node))}</a>`;
+        if (node.children && node.children.length > 0) {
+          lines.push(`${indent}  <li>${label}`);
+          visit(node.children, depth + 2);
+          lines.push(`${indent}  </li>`);
+        } else {
+          lines.push(`${indent}  <li>${label}</li>`);
+        }
+      });
+      lines.push(`${indent}</ul>`);
+    };
+    visit(tree.nodes, 1);
+    return [
+      "<!doctype html>",
+      '<html lang="en">',
+      "<head>",
+      '  <meta charset="UTF-8" />',
+      `  <title>${escapeXml(title)}</title>`,
+      "  <style>",
+      "    body { font-family: -apple-system, BlinkMacSystemFont, \"Segoe UI\", Roboto, sans-serif; margin: 2em; line-height: 1.6; }",
+      "    ul { list-style: none; padding-left: 1.2em; }",
+      "    a { color: #6b5b95; text-decoration: none; }",
+      "    a:hover { text-decoration: underline; }",
+      "  </style>",
+      "</head>",
+      "<body>",
+      `  <h1>${escapeXml(title)}</h1>`,
+      ...lines,
+      "</body>",
+      "</html>",
+      "",
+    ].join("\n");
+  }
+
+  const FORMATS = {
+    json: { label: "JSON", extension: "json", mimeType: "application/json", serialize: toJSON },
+    markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown", serialize: toMarkdown },
+    opml: { label: "OPML", extension: "opml", mimeType: "text/x-opml", serialize: toOPML },
+    html: { label: "HTML", extension: "html", mimeType: "text/html", serialize: toHTML },
+  };
+
+  root.ZenTreeExport = {
+    FORMATS,
+    toJSON,
+    toMarkdown,
+    toOPML,
+    toHTML,
+  };
+})(self);
@@ -0,0 +1,219 @@
+/**
+ * ZenTree Tabs - Tree Import
+ * Turns other tools' exports into a tree snapshot (see shared/tree-snapshot.js) that the
+ * side panel can reopen:
+ *   - ZenTree JSON (our own export / saved sessions)
+ *   - OneTab "url | title" lists (blank lines separate OneTab's groups)
+ *   - Tree Style Tab JSON: nested `children`, or flat lists using `ancestorTabIds` or `indent`
+ *
+ * Loaded as a classic script by the side panel, after shared/tree-snapshot.js; exposed on
+ * `self.ZenTreeImport`.
+ */
+(function (root) {
+  // Same format and version as our own snapshots, so the importer always reads what we export
+  const { FORMAT, VERSION } = root.ZenTreeSnapshot;
+  const GROUP_COLORS = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+
+  // Anything else (javascript:, data:, extension pages of other browsers) is dropped
+  const ALLOWED_URL = /^(https?|ftp|file):|^(chrome|edge|about):/i;
+
+  function isAllowedUrl(url) {
+    return typeof url === "string" && ALLOWED_URL.test(url.trim());
+  }
+
+  function tabNode(url, title, extra = {}) {
+    return {
+      type: "tab",
+      url: url.trim(),
+      title: typeof title === "string" ? title : "",
+      pinned: !!extra.pinned,
+      collapsed: !!extra.collapsed,
+      children: extra.children || [],
+    };
+  }
+
+  function wrap(nodes) {
+    return { format: FORMAT, version: VERSION, nodes };
+  }
+
+  // --- ZenTree JSON ---
+
+  // Re-validates everything: the file may have been edited by hand
+  function sanitizeNodes(nodes, topLevel) {
+    const result = [];
+    (Array.isArray(nodes) ? nodes : []).forEach((node) => {
+      if (!node || typeof node !== "object") return;
+      const children = sanitizeNodes(node.children, false);
+      if (node.type === "group" && topLevel) {
+        result.push({
+          type: "group",
+          title: typeof node.title === "string" ? node.title : "",
+          color: GROUP_COLORS.includes(node.color) ? node.color : "grey",
+          collapsed: !!node.collapsed,
+          children,
+        });
+      } else if (node.type === "tab" && isAllowedUrl(node.url)) {
+        const tab = tabNode(node.url, node.title, { pinned: node.pinned, collapsed: node.collapsed, children });
+        if (typeof node.customTitle === "string" && node.customTitle) tab.customTitle = node.customTitle;
+        result.push(tab);
+      } else {
+        // Unknown node or unsafe URL: keep its children in its place
+        result.push(...children);
+      }
+    });
+    return result;
+  }
+
+  // --- Tree Style Tab ---
+
+  function parseTstTitle(url) {
+    try {
+      return new URL(url.replace(/^ext\+treestyletab:/, "https://x/")).searchParams.get("title") || "";
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function isTstGroupTab(url) {
+    return typeof url === "string" && (url.startsWith("ext+treestyletab:group") || /\/group-tab\.html/.test(url));
+  }
+
+  function isTstCollapsed(tab) {
+    return !!tab.collapsed || (Array.isArray(tab.states) && tab.states.includes("subtree-collapsed"));
+  }
+
+  function tstNode(tab, children, topLevel) {
+    if (isTstGroupTab(tab.url)) {
+      // TST's group tabs become real tab groups at the top level; elsewhere their children move up
+      if (!topLevel || children.length === 0) return children;
+      return [{ type: "group", title: parseTstTitle(tab.url), color: "grey", collapsed: isTstCollapsed(tab), children }];
+    }
+    if (!isAllowedUrl(tab.url)) return children;
+    return [tabNode(tab.url, tab.title, { pinned: tab.pinned, collapsed: isTstCollapsed(tab), children })];
+  }
+
+  function parseTstNested(tabs, topLevel = true) {
+    const nodes = [];
+    tabs.forEach((tab) => {
+      if (!tab || typeof tab !== "object") return;
+      const children = parseTstNested(Array.isArray(tab.children) ? tab.children : [], false);
+      nodes.push(...tstNode(tab, children, topLevel));
+    });
+    return nodes;
+  }
+
+  // Flat lists: rebuild the nesting from ancestorTabIds (nearest ancestor first) or indent levels
+  function parseTstFlat(tabs) {
+    const entries = tabs.filter((t) => t && typeof t === "object");
+    const childrenOf = new Map(entries.map((t, i) => [i, []]));
+    const roots = [];
+    const indexById = new Map();
+    const stack = []; // [{ index, indent }]
+
+    entries.forEach((tab, i) => {
+      if (tab.id !== undefined) indexById.set(tab.id, i);
+      let parentIndex;
+      if (Array.isArray(tab.ancestorTabIds)) {
+        parentIndex = tab.ancestorTabIds.length > 0 ? indexById.get(tab.ancestorTabIds[0]) : undefined;
+      } else {
+        const indent = Number(tab.indent ?? tab.level ?? 0);
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+        parentIndex = stack.length > 0 ? stack[stack.length - 1].index : undefined;
+        stack.push({ index: i, indent });
+      }
+      if (parentIndex !== undefined) childrenOf.get(parentIndex).push(i);
+      else roots.push(i);
+    });
+
+    const build = (i, topLevel) => {
+      const children = childrenOf.get(i).flatMap((c) => build(c, false));
+      return tstNode(entries[i], children, topLevel);
+    };
+    return roots.flatMap((i) => build(i, true));
+  }
+
+  function parseTst(data) {
+    const tabs = Array.isArray(data) ? data : data.tabs;
+    if (tabs.some((t) => t && Array.isArray(t.children))) return parseTstNested(tabs);
+    return parseTstFlat(tabs);
+  }
+
+  function looksLikeTst(data) {
+    const tabs = Array.isArray(data) ? data : data && data.tabs;
+    return Array.isArray(tabs) && tabs.length > 0 && tabs.every((t) => t && typeof t === "object" && "url" in t);
+  }
+
+  // --- OneTab ---
+
+  function parseOneTab(text) {
+    const blocks = [[]];
+    text.split(/\r?\n/).forEach((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        if (blocks[blocks.length - 1].length > 0) blocks.push([]);
+        return;
+      }
+      const sep = trimmed.indexOf(" | ");
+      const url = sep === -1 ? trimmed : trimmed.slice(0, sep);
+      const title = sep === -1 ? "" : trimmed.slice(sep + 3);
+      if (isAllowedUrl(url)) blocks[blocks.length - 1].push(tabNode(url, title));
+    });
+    const filled = blocks.filter((b) => b.length > 0);
+    if (filled.length <= 1) return filled[0] || [];
+    // Several OneTab groups: keep them apart as tab groups
+    return filled.map((children, i) => ({
+      type: "group",
+      title: `OneTab ${i + 1}`,
+      color: GROUP_COLORS[(i + 1) % GROUP_COLORS.length],
+      collapsed: false,
+      children,
+    }));
+  }
+
+  /**
+   * Detects the format and converts it.
+   * @param {string} text - file contents or pasted text
+   * @returns {{source: string, tree: Object}} source is "zentree", "tst" or "onetab"
+   * @throws {Error} when nothing importable is found
+   */
+  function parse(text) {
+    const trimmed = String(text || "").trim();
+    if (!trimmed) throw new Error("Nothing to import");
+
+    let data = null;
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      try {
+        data = JSON.parse(trimmed);
+      } catch (e) {
+        throw new Error("Invalid JSON");
+      }
+    }
+
+    let source;
+    let nodes;
+    if (data && data.format === FORMAT) {
+      source = "zentree";
+      nodes = sanitizeNodes(data.nodes, true);
+    } else if (data && data.tree && data.tree.format === FORMAT) {
+      // A single saved session
+      source = "zentree";
+      nodes = sanitizeNodes(data.tree.nodes, true);
+    } else if (data && looksLikeTst(data)) {
+      source = "tst";
+      nodes = parseTst(data);
+    } else if (data) {
+      throw new Error("Unrecognized JSON format");
+    } else {
+      source = "onetab";
+      nodes = parseOneTab(trimmed);
+    }
+
+    if (nodes.length === 0) throw new Error("No tabs found");
+    return { source, tree: wrap(nodes) };
+  }
+
+  root.ZenTreeImport = {
+    parse,
+    isAllowedUrl,
+  };
+})(self);
@@ -0,0 +1,475 @@
+/**
+ * ZenTree Tabs - Tree Model
+ * The hierarchy rules on their own, without DOM or chrome.* calls, so the side panel and the
+ * background worker share one implementation and the rules can be tested headlessly
+ * (tests/tree_model_test.js).
+ *
+ * Tree state is a plain object keyed by tab ID:
+ *
+ *   { parentOverrides: Map childId -> parentId (-1 = explicit root),
+ *     collapsedState: Set of tabIds whose children are hidden,
+ *     customTitles: Map tabId -> String }
+ *
+ * The edit functions (reparent, removeTab, replaceTabId, ...) change that state in place;
+ * buildTree derives the displayed tree of one window from it.
+ *
+ * Loaded as a classic script by the side panel and the service worker; exposed on
+ * `self.ZenTreeModel`.
+ */
+(function (root) {
+  const ROOT = -1;
+
+  // What happens to the children of a closed tab (the "closePolicy" setting)
+  const CLOSE_POLICIES = {
+    PROMOTE: "promote", // Children move up to the grandparent
+    CLOSE_SUBTREE: "close-subtree", // Descendants are closed too
+    PROMOTE_FIRST: "promote-first", // The first child takes the parent's place
+    ASK: "ask", // The side panel asks when it closes a parent; otherwise like PROMOTE
+  };
+  const DEFAULT_CLOSE_POLICY = CLOSE_POLICIES.PROMOTE;
+
+  // Where new tabs land (the "placementRules" setting, see placeNewTab)
+  const NEW_TAB_PLACEMENTS = {
+    ROOT: "root",
+    CHILD: "child", // Child of the active tab
+    SIBLING: "sibling", // Next to the active tab, under the same parent
+  };
+  const DOMAIN_RULE_MODES = { NEVER: "never", ALWAYS: "always" };
+  const DEFAULT_PLACEMENT_RULES = {
+    newTabPlacement: NEW_TAB_PLACEMENTS.ROOT, // For new tab pages
+    domainRules: [], // [{ domain, mode }], first match wins; matches subdomains too
+    sameDomainAsSiblings: false, // Links to the opener's own site open next to it
+    maxDepth: 0, // Deepest level a new tab nests at (roots are 0); 0 = no limit
+  };
+
+  function createState() {
+    return { parentOverrides: new Map(), collapsedState: new Set(), customTitles: new Map() };
+  }
+
+  /**
+   * Plain-object form used in chrome.storage and runtime messages.
+   * @returns {{parentOverrides: Object, collapsedState: Array, customTitles: Object}}
+   */
+  function serialize(state) {
+    return {
+      parentOverrides: Object.fromEntries(state.parentOverrides),
+      collapsedState: Array.from(state.collapsedState),
+      customTitles: Object.fromEntries(state.customTitles),
+    };
+  }
+
+  // Keys come back as strings from JSON
+  function deserialize(data) {
+    const toEntries = (obj) => Object.entries(obj || {}).map(([k, v]) => [Number(k), v]);
+    return {
+      parentOverrides: new Map(toEntries(data && data.parentOverrides)),
+      collapsedState: new Set((data && data.collapsedState) || []),
+      customTitles: new Map(toEntries(data && data.customTitles)),
+    };
+  }
+
+  function isNewTabPage(tab) {
+    const url = tab.pendingUrl || tab.url;
+    return url === "chrome://newtab/" || url === "edge://newtab/";
+  }
+
+  /**
+   * Parent for a tab nothing was recorded for yet: new tab pages are roots, anything else
+   * nests under its opener. Undefined when there is no opener either.
+   */
+  function defaultParent(tab) {
+    if (isNewTabPage(tab)) return ROOT;
+    if (tab.openerTabId) return tab.openerTabId;
+    return undefined;
+  }
+
+  function getChildren(state, tabId) {
+    const children = [];
+    for (const [childId, parentId] of state.parentOverrides) {
+      if (parentId === tabId) children.push(childId);
+    }
+    return children;
+  }
+
+  /** Every recorded descendant of a tab, breadth-first. */
+  function getDescendants(state, tabId) {
+    const result = [];
+    const queue = [tabId];
+    const seen = new Set(queue);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const childId of getChildren(state, current)) {
+        if (seen.has(childId)) continue;
+        seen.add(childId);
+        result.push(childId);
+        queue.push(childId);
+      }
+    }
+    return result;
+  }
+
+  function wouldCreateCycle(state, childId, parentId) {
+    if (parentId === childId) return true;
+    const seen = new Set();
+    for (let id = parentId; id !== undefined && id !== ROOT; id = state.parentOverrides.get(id)) {
+      if (id === childId) return true;
+      if (seen.has(id)) return false; // An existing loop elsewhere; not ours to report
+      seen.add(id);
+    }
+    return false;
+  }
+
+  /**
+   * Puts a tab under a new parent (ROOT to make it a root).
+   * @returns {boolean} false if the parent is the tab itself or one of its descendants
+   */
+  function reparent(state, childId, parentId) {
+    if (parentId !== ROOT && wouldCreateCycle(state, childId, parentId)) return false;
+    state.parentOverrides.set(childId, parentId);
+    return true;
+  }
+
+  function getGrandparent(state, tabId) {
+    const grandparent = state.parentOverrides.get(tabId);
+    return grandparent === undefined || grandparent === tabId ? ROOT : grandparent;
+  }
+
+  /**
+   * Moves the children of a tab up to its parent (grandparent adoption), or to the root
+   * level when it has none.
+   * @returns {Array<number>} the adopted children
+   */
+  function adoptOrphans(state, tabId) {
+    const children = getChildren(state, tabId);
+    const grandparent = getGrandparent(state, tabId);
+    children.forEach((childId) => state.parentOverrides.set(childId, grandparent));
+    return children;
+  }
+
+  function forgetTab(state, tabId) {
+    state.parentOverrides.delete(tabId);
+    state.collapsedState.delete(tabId);
+    state.customTitles.delete(tabId);
+  }
+
+  /**
+   * Forgets a closed tab; its children are adopted first.
+   * @returns {Array<number>} the adopted children
+   */
+  function removeTab(state, tabId) {
+    const adopted = adoptOrphans(state, tabId);
+    forgetTab(state, tabId);
+    return adopted;
+  }
+
+  /**
+   * Forgets a closed tab and lets its first child take its place: that child moves up to
+   * the grandparent and its siblings become its children.
+   * @param {Array<number>} orderedChildren - children of the closed tab in tab order
+   * @returns {number|undefined} the promoted child
+   */
+  function promoteFirstChild(state, tabId, orderedChildren) {
+    const [first, ...rest] = orderedChildren;
+    if (first !== undefined) {
+      state.parentOverrides.set(first, getGrandparent(state, tabId));
+      rest.forEach((childId) => state.parentOverrides.set(childId, first));
+    }
+    forgetTab(state, tabId);
+    return first;
+  }
+
+  function getDepth(state, tabId) {
+    let depth = 0;
+    const seen = new Set([tabId]);
+    for (let id = state.parentOverrides.get(tabId); id !== undefined && id !== ROOT; id = state.parentOverrides.get(id)) {
+      if (seen.has(id)) break;
+      seen.add(id);
+      depth++;
+    }
+    return depth;
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function matchDomainRule(rules, host) {
+    if (!host) return undefined;
+    return (rules || []).find((rule) => {
+      const domain = String(rule.domain || "").toLowerCase().replace(/^\*?\.|^www\./g, "");
+      return domain && (host === domain || host.endsWith("." + domain));
+    });
+  }
+
+  /**
+   * Decides where a just-created tab goes, following the placement rules:
+   *   - new tab pages become a root, or a child / sibling of the active tab
+   *   - other tabs nest under their opener, unless a "never" domain rule makes them roots or
+   *     sameDomainAsSiblings puts a same-site link next to its opener ("always" rules skip that)
+   *   - past maxDepth they move up until they fit, becoming siblings of their would-be parent
+   * @param {Object} tab - the new chrome.tabs.Tab
+   * @param {Object} [context] - { rules, activeTab, opener }: the placement rules and the tabs
+   *   that were active / opened it (activeTab is only used for new tab pages)
+   * @returns {number|undefined} the parent ID (ROOT for roots), undefined to leave it unrecorded
+   */
+  function placeNewTab(state, tab, context = {}) {
+    const rules = { ...DEFAULT_PLACEMENT_RULES, ...context.rules };
+    const parentOf = (id) => (state.parentOverrides.has(id) ? getGrandparent(state, id) : ROOT);
+    let parentId;
+
+    if (isNewTabPage(tab)) {
+      const active = context.activeTab;
+      if (!active || active.id === tab.id || active.windowId !== tab.windowId) return ROOT;
+      if (rules.newTabPlacement === NEW_TAB_PLACEMENTS.CHILD) parentId = active.id;
+      else if (rules.newTabPlacement === NEW_TAB_PLACEMENTS.SIBLING) parentId = parentOf(active.id);
+      else return ROOT;
+    } else {
+      if (!tab.openerTabId) return undefined;
+      const host = hostOf(tab.pendingUrl || tab.url);
+      const rule = matchDomainRule(rules.domainRules, host);
+      if (rule && rule.mode === DOMAIN_RULE_MODES.NEVER) return ROOT;
+
+      const opener = context.opener;
+      const sameSite = opener && host && hostOf(opener.pendingUrl || opener.url) === host;
+      if (rules.sameDomainAsSiblings && sameSite && !(rule && rule.mode === DOMAIN_RULE_MODES.ALWAYS)) {
+        parentId = parentOf(tab.openerTabId);
+      } else {
+        parentId = tab.openerTabId;
+      }
+    }
+
+    const maxDepth = Number(rules.maxDepth) || 0;
+    if (maxDepth > 0) {
+      while (parentId !== ROOT && getDepth(state, parentId) + 1 > maxDepth) parentId = parentOf(parentId);
+    }
+    return parentId;
+  }
+
+  /**
+   * Loops in a parent map (A under B under A, ...), each listed once.
+   * @param {Map<number, number>} parents - childId -> parentId
+   * @returns {Array<Array<number>>} the tabs of each loop, in parent order
+   */
+  function findCycles(parents) {
+    const cycles = [];
+    const done = new Set();
+    for (const start of parents.keys()) {
+      const path = [];
+      const onPath = new Map(); // id -> position in path
+      let id = start;
+      while (id !== undefined && id !== ROOT && !done.has(id)) {
+        if (onPath.has(id)) {
+          cycles.push(path.slice(onPath.get(id)));
+          break;
+        }
+        onPath.set(id, path.length);
+        path.push(id);
+        id = parents.get(id);
+      }
+      path.forEach((pathId) => done.add(pathId));
+    }
+    return cycles;
+  }
+
+  /**
+   * Fixes parentOverrides entries that would break the tree:
+   *   - entries that aren't tab IDs, and tabs recorded as their own parent
+   *   - loops, broken by making the lowest (oldest) tab ID of each loop a root
+   *   - with liveTabIds: tabs that no longer exist are forgotten as if they had just been
+   *     closed (their children move up), which also drops their collapsed state and title
+   * @param {Iterable<number>} [liveTabIds] - IDs of all open tabs
+   * @returns {{invalid: number, selfParents: number, cycles: Array<Array<number>>, closedTabs: number}}
+   */
+  function repairTree(state, liveTabIds) {
+    const report = { invalid: 0, selfParents: 0, cycles: [], closedTabs: 0 };
+    const isTabId = (id) => Number.isInteger(id) && id >= 0;
+
+    for (const [childId, parentId] of Array.from(state.parentOverrides)) {
+      if (!isTabId(childId) || !(isTabId(parentId) || parentId === ROOT)) {
+        state.parentOverrides.delete(childId);
+        report.invalid++;
+      } else if (childId === parentId) {
+        state.parentOverrides.set(childId, ROOT);
+        report.selfParents++;
+      }
+    }
+
+    report.cycles = findCycles(state.parentOverrides);
+    report.cycles.forEach((cycle) => state.parentOverrides.set(Math.min(...cycle), ROOT));
+
+    if (liveTabIds) {
+      const live = new Set(liveTabIds);
+      const known = new Set([...state.parentOverrides.keys(), ...state.parentOverrides.values()]);
+      state.collapsedState.forEach((id) => known.add(id));
+      state.customTitles.forEach((_, id) => known.add(id));
+      known.forEach((id) => {
+        if (id === ROOT || live.has(id)) return;
+        removeTab(state, id);
+        report.closedTabs++;
+      });
+    }
+    return report;
+  }
+
+  /** Carries everything recorded for a tab over to the ID that replaced it. */
+  function replaceTabId(state, oldId, newId) {
+    const entries = Array.from(state.parentOverrides);
+    state.parentOverrides.clear();
+    for (const [childId, parentId] of entries) {
+      state.parentOverrides.set(childId === oldId ? newId : childId, parentId === oldId ? newId : parentId);
+    }
+
+    if (state.collapsedState.delete(oldId)) state.collapsedState.add(newId);
+
+    if (state.customTitles.has(oldId)) {
+      state.customTitles.set(newId, state.customTitles.get(oldId));
+      state.customTitles.delete(oldId);
+    }
+  }
+
+  /**
+   * Builds the displayed tree of one window.
+   * A tab nests under its recorded parent (or defaultParent) only if that parent is in the
+   * same window and the same tab group; otherwise it is a root of its group, or of the window.
+   * Parents in another group of the window are kept in crossGroupParents, so the link can
+   * still be shown.
+   * @param {Array} tabs - chrome.tabs.Tab objects of the window
+   * @param {Iterable<number>} groupIds - IDs of the window's tab groups
+   * @param {Object} state - tree state (see top of file)
+   * @returns {{tabsById: Map, rootTabs: Array, groupBuckets: Map, displayParents: Map,
+   *   crossGroupParents: Map}}
+   *   tabsById holds copies of the tabs with a `children` array of IDs, in tab order;
+   *   rootTabs/groupBuckets hold the ungrouped / per-group roots; displayParents maps each
+   *   nested tab to the parent it is shown under, crossGroupParents each root whose parent
+   *   is in a different group (or ungrouped) to that parent.
+   */
+  function buildTree(tabs, groupIds, state) {
+    const tabsById = new Map();
+    const rootTabs = [];
+    const groupBuckets = new Map();
+    const displayParents = new Map();
+    const crossGroupParents = new Map();
+
+    for (const groupId of groupIds) groupBuckets.set(groupId, []);
+    tabs.forEach((tab) => tabsById.set(tab.id, { ...tab, children: [] }));
+
+    tabs.forEach((tab) => {
+      let parentId = state.parentOverrides.get(tab.id);
+      if (parentId === undefined) {
+        // No override yet (the background worker records openers as tabs are created)
+        parentId = defaultParent(tab);
+        if (parentId !== undefined && parentId !== ROOT && !tabsById.has(parentId)) parentId = undefined;
+      }
+      if (parentId === ROOT) parentId = null;
+
+      const parent = parentId ? tabsById.get(parentId) : undefined;
+      // Nest only inside the same group
+      if (parent && parent.id !== tab.id && parent.groupId === tab.groupId) {
+        displayParents.set(tab.id, parentId);
+      } else if (parent && parent.id !== tab.id) {
+        crossGroupParents.set(tab.id, parentId);
+      }
+    });
+
+    // Tabs in a loop would never be reached from a root: the leftmost one of each loop is shown
+    // as a root instead (repairTree fixes the stored state)
+    findCycles(displayParents).forEach((cycle) => {
+      const leftmost = cycle.reduce((a, b) => (tabsById.get(a).index <= tabsById.get(b).index ? a : b));
+      displayParents.delete(leftmost);
+    });
+
+    tabs.forEach((tab) => {
+      if (displayParents.has(tab.id)) {
+        tabsById.get(displayParents.get(tab.id)).children.push(tab.id);
+        return;
+      }
+
+      if (tab.groupId !== undefined && tab.groupId !== -1) {
+        if (!groupBuckets.has(tab.groupId)) groupBuckets.set(tab.groupId, []);
+        groupBuckets.get(tab.groupId).push(tab.id);
+      } else {
+        rootTabs.push(tab.id);
+      }
+    });
+
+    const byIndex = (a, b) => tabsById.get(a).index - tabsById.get(b).index;
+    rootTabs.sort(byIndex);
+    for (const roots of groupBuckets.values()) roots.sort(byIndex);
+    for (const tab of tabsById.values()) tab.children.sort(byIndex);
+
+    return { tabsById, rootTabs, groupBuckets, displayParents, crossGroupParents };
+  }
+
+  /** A tab and its displayed descendants, depth-first in display order. */
+  function getSubtree(tree, tabId) {
+    const result = [tabId];
+    const tab = tree.tabsById.get(tabId);
+    if (tab) tab.children.forEach((childId) => result.push(...getSubtree(tree, childId)));
+    return result;
+  }
+
+  /** The tabs shown at the same level as a tab (itself included), in display order. */
+  function getSiblings(tree, tabId) {
+    const tab = tree.tabsById.get(tabId);
+    if (!tab) return [];
+    if (tree.displayParents.has(tabId)) return tree.tabsById.get(tree.displayParents.get(tabId)).children;
+    if (tab.groupId !== undefined && tab.groupId !== -1) return tree.groupBuckets.get(tab.groupId) || [tabId];
+    return tree.rootTabs;
+  }
+
+  /**
+   * Works out a drag-and-drop move of a tab with its subtree.
+   * @param {Object} tree - as returned by buildTree
+   * @param {string} action - "nest" (last child of the target), "before" or "after" (sibling)
+   * @returns {{movingIds: Array<number>, parentId: number, index: number} | null}
+   *   movingIds for chrome.tabs.move, the new parent (ROOT for roots) and the tab index to
+   *   move to; null if the move is impossible (target inside the moving subtree, unknown tab)
+   */
+  function planMove(tree, sourceId, targetId, action) {
+    const movingIds = getSubtree(tree, sourceId);
+    const target = tree.tabsById.get(targetId);
+    if (!target || !tree.tabsById.has(sourceId) || movingIds.includes(targetId)) return null;
+
+    const targetSubtree = getSubtree(tree, targetId);
+    const afterTarget = tree.tabsById.get(targetSubtree[targetSubtree.length - 1]).index + 1;
+    const targetParent = tree.displayParents.has(targetId) ? tree.displayParents.get(targetId) : ROOT;
+
+    if (action === "nest") return { movingIds, parentId: targetId, index: afterTarget };
+    if (action === "before") return { movingIds, parentId: targetParent, index: target.index };
+    if (action === "after") return { movingIds, parentId: targetParent, index: afterTarget };
+    return null;
+  }
+
+  root.ZenTreeModel = {
+    ROOT,
+    CLOSE_POLICIES,
+    DEFAULT_CLOSE_POLICY,
+    NEW_TAB_PLACEMENTS,
+    DOMAIN_RULE_MODES,
+    DEFAULT_PLACEMENT_RULES,
+    createState,
+    serialize,
+    deserialize,
+    isNewTabPage,
+    defaultParent,
+    getChildren,
+    getDescendants,
+    wouldCreateCycle,
+    reparent,
+    findCycles,
+    repairTree,
+    adoptOrphans,
+    removeTab,
+    promoteFirstChild,
+    placeNewTab,
+    replaceTabId,
+    buildTree,
+    getSubtree,
+    getSiblings,
+    planMove,
+  };
+})(self);
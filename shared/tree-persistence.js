@@ -0,0 +1,205 @@
+/**
+ * ZenTree Tabs - Tree Persistence
+ * Chrome hands out new tab IDs on every browser restart, so state keyed by tab ID
+ * (parentOverrides, collapsedState, customTitles) would point at the wrong tabs after
+ * a relaunch. We keep a fingerprint per tab (URL, window, index, parent) and use it to
+ * re-map the saved hierarchy onto the restored tabs.
+ *
+ * Loaded as a classic script by the side panel (and importScripts-able from the
+ * service worker); everything is exposed on `self.ZenTreePersistence`.
+ */
+(function (root) {
+  const FINGERPRINTS_STORAGE_KEY = "ztTabFingerprints";
+  // Lives in chrome.storage.session, which Chrome clears on browser restart.
+  // If it's missing, the tab IDs in chrome.storage.local belong to a previous session.
+  const SESSION_MARKER_KEY = "ztTreeSessionMarker";
+
+  function tabUrl(tab) {
+    return tab.url || tab.pendingUrl || "";
+  }
+
+  function stripHash(url) {
+    const i = url.indexOf("#");
+    return i === -1 ? url : url.slice(0, i);
+  }
+
+  /**
+   * Fingerprints every tab so it can be recognised after a restart.
+   * @param {Array} tabs - chrome.tabs.Tab objects (all windows)
+   * @param {Map<number, number>} parentOverrides - childId -> parentId (-1 = root)
+   * @returns {Object} { [tabId]: { url, windowId, index, parentId } }
+   */
+  function captureFingerprints(tabs, parentOverrides) {
+    const fingerprints = {};
+    tabs.forEach((tab) => {
+      const url = tabUrl(tab);
+      if (!url) return;
+      let parentId = parentOverrides.get(tab.id);
+      if (parentId === undefined) parentId = tab.openerTabId ?? -1;
+      fingerprints[tab.id] = {
+        url,
+        windowId: tab.windowId,
+        index: tab.index,
+        parentId,
+      };
+    });
+    return fingerprints;
+  }
+
+  /**
+   * Pairs each saved window with the live window that restored most of its URLs.
+   * @returns {Map<number, number>} savedWindowId -> liveWindowId
+   */
+  function pairWindows(savedEntries, liveTabs) {
+    const liveUrlsByWindow = new Map();
+    liveTabs.forEach((tab) => {
+      if (!liveUrlsByWindow.has(tab.windowId)) liveUrlsByWindow.set(tab.windowId, new Set());
+      liveUrlsByWindow.get(tab.windowId).add(tabUrl(tab));
+    });
+
+    const savedUrlsByWindow = new Map();
+    savedEntries.forEach(([, fp]) => {
+      if (!savedUrlsByWindow.has(fp.windowId)) savedUrlsByWindow.set(fp.windowId, []);
+      savedUrlsByWindow.get(fp.windowId).push(fp.url);
+    });
+
+    // Biggest saved windows pick first so they claim their best match
+    const savedWindows = Array.from(savedUrlsByWindow.entries()).sort((a, b) => b[1].length - a[1].length);
+    const pairs = new Map();
+    const claimed = new Set();
+    for (const [savedWindowId, urls] of savedWindows) {
+      let best = null;
+      let bestOverlap = 0;
+      for (const [liveWindowId, liveUrls] of liveUrlsByWindow) {
+        if (claimed.has(liveWindowId)) continue;
+        const overlap = urls.filter((u) => liveUrls.has(u)).length;
+        if (overlap > bestOverlap) {
+          best = liveWindowId;
+          bestOverlap = overlap;
+        }
+      }
+      if (best !== null) {
+        pairs.set(savedWindowId, best);
+        claimed.add(best);
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Matches saved fingerprints to the tabs Chrome restored.
+   * A candidate must share the URL (exact, or ignoring the #hash as a fallback); ties are
+   * broken by window, by the opener chain (parent already matched to the new opener) and
+   * finally by how close its index is to the saved one.
+   * @param {Object} fingerprints - as produced by captureFingerprints
+   * @param {Array} liveTabs - chrome.tabs.Tab objects (all windows)
+   * @returns {Map<number, number>} oldTabId -> newTabId
+   */
+  function matchRestoredTabs(fingerprints, liveTabs) {
+    const idMap = new Map();
+    if (!fingerprints) return idMap;
+
+    const savedEntries = Object.entries(fingerprints)
+      .map(([id, fp]) => [Number(id), fp])
+      .filter(([, fp]) => fp && fp.url);
+    if (savedEntries.length === 0 || liveTabs.length === 0) return idMap;
+
+    const windowPairs = pairWindows(savedEntries, liveTabs);
+
+    const byUrl = new Map();
+    const byBareUrl = new Map();
+    liveTabs.forEach((tab) => {
+      const url = tabUrl(tab);
+      if (!url) return;
+      if (!byUrl.has(url)) byUrl.set(url, []);
+      byUrl.get(url).push(tab);
+      const bare = stripHash(url);
+      if (!byBareUrl.has(bare)) byBareUrl.set(bare, []);
+      byBareUrl.get(bare).push(tab);
+    });
+
+    // Walk in saved window/index order so parents are usually matched before their children
+    savedEntries.sort((a, b) => a[1].windowId - b[1].windowId || a[1].index - b[1].index);
+
+    const taken = new Set();
+    const pick = (oldId, fp, candidates) => {
+      let best = null;
+      let bestScore = -Infinity;
+      const pairedWindow = windowPairs.get(fp.windowId);
+      const mappedParent = fp.parentId > 0 ? idMap.get(fp.parentId) : undefined;
+      for (const tab of candidates) {
+        if (taken.has(tab.id)) continue;
+        let score = -Math.abs(tab.index - fp.index);
+        if (tab.id === oldId) score += 10000; // Same session (e.g. extension reload): IDs survived
+        if (pairedWindow !== undefined && tab.windowId === pairedWindow) score += 1000;
+        if (mappedParent !== undefined && tab.openerTabId === mappedParent) score += 100;
+        if (score > bestScore) {
+          best = tab;
+          bestScore = score;
+        }
+      }
+      return best;
+    };
+
+    const unmatched = [];
+    for (const [oldId, fp] of savedEntries) {
+      const match = pick(oldId, fp, byUrl.get(fp.url) || []);
+      if (match) {
+        idMap.set(oldId, match.id);
+        taken.add(match.id);
+      } else {
+        unmatched.push([oldId, fp]);
+      }
+    }
+    for (const [oldId, fp] of unmatched) {
+      const match = pick(oldId, fp, byBareUrl.get(stripHash(fp.url)) || []);
+      if (match) {
+        idMap.set(oldId, match.id);
+        taken.add(match.id);
+      }
+    }
+    return idMap;
+  }
+
+  /**
+   * Rewrites tab-keyed state through idMap. Entries for tabs that weren't restored are
+   * dropped; children of a parent that wasn't restored become roots.
+   * @param {{parentOverrides: Map, collapsedState: Set, customTitles: Map}} state
+   * @param {Map<number, number>} idMap - oldTabId -> newTabId
+   */
+  function remapTreeState(state, idMap) {
+    const parentOverrides = new Map();
+    for (const [childId, parentId] of state.parentOverrides) {
+      const newChild = idMap.get(childId);
+      if (newChild === undefined) continue;
+      if (parentId === -1 || parentId == null) {
+        parentOverrides.set(newChild, -1);
+      } else {
+        const newParent = idMap.get(parentId);
+        parentOverrides.set(newChild, newParent === undefined ? -1 : newParent);
+      }
+    }
+
+    const collapsedState = new Set();
+    for (const tabId of state.collapsedState) {
+      const newId = idMap.get(tabId);
+      if (newId !== undefined) collapsedState.add(newId);
+    }
+
+    const customTitles = new Map();
+    for (const [tabId, title] of state.customTitles) {
+      const newId = idMap.get(tabId);
+      if (newId !== undefined) customTitles.set(newId, title);
+    }
+
+    return { parentOverrides, collapsedState, customTitles };
+  }
+
+  root.ZenTreePersistence = {
+    FINGERPRINTS_STORAGE_KEY,
+    SESSION_MARKER_KEY,
+    captureFingerprints,
+    matchRestoredTabs,
+    remapTreeState,
+  };
+})(self);
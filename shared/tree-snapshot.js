@@ -0,0 +1,96 @@
+/**
+ * ZenTree Tabs - Tree Snapshots
+ * A window's tree as plain nested data, independent of tab IDs, so it can be stored and
+ * reopened later:
+ *
+ *   { format: "zentree-tree", version: 1, nodes: [
+ *       { type: "group", title, color, collapsed, children: [...] },
+ *       { type: "tab", url, title, customTitle, pinned, collapsed, children: [...] },
+ *   ] }
+ *
+ * Groups only appear at the top level and hold the roots inside them; tabs nest under tabs.
+ *
+ * Loaded as a classic script by the side panel, after shared/tree-model.js; exposed on
+ * `self.ZenTreeSnapshot`.
+ */
+(function (root) {
+  const FORMAT = "zentree-tree";
+  const VERSION = 1;
+
+  /**
+   * Builds a snapshot of one window's tree, nested the way the side panel shows it
+   * (ZenTreeModel.buildTree).
+   * @param {Array} tabs - chrome.tabs.Tab objects of the window
+   * @param {Array} groups - chrome.tabGroups.TabGroup objects of the window
+   * @param {{parentOverrides: Map, customTitles: Map, collapsedState: Set}} state
+   * @param {Function} [isIncluded] - tabId -> boolean, to capture only some tabs; a left-out
+   *   tab's children move up to its nearest included ancestor, and empty groups are dropped
+   * @returns {{format: string, version: number, nodes: Array}}
+   */
+  function captureTree(tabs, groups, state, isIncluded = () => true) {
+    const { customTitles, collapsedState } = state;
+    const tree = root.ZenTreeModel.buildTree(tabs, groups.map((g) => g.id), state);
+    const groupsById = new Map(groups.map((g) => [g.id, g]));
+
+    const tabNodes = (tabIds) =>
+      tabIds.flatMap((id) => {
+        const tab = tree.tabsById.get(id);
+        const children = tabNodes(tab.children);
+        if (!isIncluded(id)) return children;
+        const node = {
+          type: "tab",
+          url: tab.url || tab.pendingUrl || "",
+          title: tab.title || "",
+          pinned: !!tab.pinned,
+          collapsed: collapsedState.has(id),
+          children,
+        };
+        if (customTitles.has(id)) node.customTitle = customTitles.get(id);
+        return [node];
+      });
+
+    // Roots and groups in tab order, each group where its first tab is
+    const elements = tree.rootTabs.map((id) => ({ index: tree.tabsById.get(id).index, nodes: tabNodes([id]) }));
+    for (const [groupId, bucket] of tree.groupBuckets) {
+      const children = tabNodes(bucket);
+      if (children.length === 0) continue;
+      const group = groupsById.get(groupId);
+      // Tabs of a group we weren't given stay loose
+      const nodes = group
+        ? [{ type: "group", title: group.title || "", color: group.color, collapsed: !!group.collapsed, children }]
+        : children;
+      elements.push({ index: tree.tabsById.get(bucket[0]).index, nodes });
+    }
+    elements.sort((a, b) => a.index - b.index);
+
+    return { format: FORMAT, version: VERSION, nodes: elements.flatMap((el) => el.nodes) };
+  }
+
+  /**
+   * Visits every node depth-first in display order.
+   * @param {Array} nodes
+   * @param {Function} fn - called with (node, depth)
+   */
+  function walkTree(nodes, fn, depth = 0) {
+    (nodes || []).forEach((node) => {
+      fn(node, depth);
+      walkTree(node.children, fn, node.type === "group" ? depth : depth + 1);
+    });
+  }
+
+  function countTabs(nodes) {
+    let count = 0;
+    walkTree(nodes, (node) => {
+      if (node.type === "tab") count++;
+    });
+    return count;
+  }
+
+  root.ZenTreeSnapshot = {
+    FORMAT,
+    VERSION,
+    captureTree,
+    walkTree,
+    countTabs,
+  };
+})(self);
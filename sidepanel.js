@@ -15,40 +15,12 @@ let selectedTabs = new Set(); // Set of tabIds that are currently selected
 let lastClickedTabId = null; // Anchor tab for shift-select range
 let isInitialRender = true;
 
-// Tab visit order (VS Code–style back/forward): per-window or global across windows (persisted in session storage)
-let visitHistoryByWindow = Object.create(null); // { [windowId]: { order: number[], index: number } }
-let visitOrderGlobal = { order: [], index: -1 }; // when visitOrderAcrossWindows is true
-let navigatingByArrows = false;
-let visitOrderAcrossWindows = false;
-
-const VISIT_HISTORY_STORAGE_KEY = "ztVisitHistory";
-const VISIT_HISTORY_GLOBAL_STORAGE_KEY = "ztVisitHistoryGlobal";
-
-async function loadVisitHistory() {
-  try {
-    const [sessionRes, localRes] = await Promise.all([
-      chrome.storage.session.get([VISIT_HISTORY_STORAGE_KEY, VISIT_HISTORY_GLOBAL_STORAGE_KEY]),
-      chrome.storage.local.get({ visitOrderAcrossWindows: false }),
-    ]);
-    visitHistoryByWindow = sessionRes[VISIT_HISTORY_STORAGE_KEY] || Object.create(null);
-    visitOrderGlobal = sessionRes[VISIT_HISTORY_GLOBAL_STORAGE_KEY] || { order: [], index: -1 };
-    visitOrderAcrossWindows = localRes.visitOrderAcrossWindows === true;
-  } catch (e) {
-    visitHistoryByWindow = Object.create(null);
-    visitOrderGlobal = { order: [], index: -1 };
-  }
-}
-
-function saveVisitHistory() {
-  try {
-    chrome.storage.session.set({ [VISIT_HISTORY_STORAGE_KEY]: visitHistoryByWindow });
-    if (visitOrderAcrossWindows) {
-      chrome.storage.session.set({ [VISIT_HISTORY_GLOBAL_STORAGE_KEY]: visitOrderGlobal });
-    }
-  } catch (e) {}
-}
 let searchAllWindows = false;
 let searchBookmarksToo = false;
+let searchKeepTree = false; // Show current-window matches in place in the tree
+
+let closePolicy = ZenTreeModel.DEFAULT_CLOSE_POLICY; // What closing a parent does to its children
+const HIDDEN_TABS_WARNING = 5; // Collapsed parents hiding this many tabs warn before closing them
 
 const tabsListEl = document.getElementById("tabs-list");
 const searchInput = document.getElementById("tab-search");
@@ -57,10 +29,7 @@ const searchInput = document.getElementById("tab-search");
 
 document.addEventListener("DOMContentLoaded", async () => {
   try {
-    await loadVisitHistory();
-    await loadCollapsedState();
-    await loadParentOverrides();
-    await loadCustomTitles();
+    await loadTreeState();
     await fetchAndRenderTabs();
     if (chrome.bookmarks) {
       await fetchAndRenderBookmarks();
@@ -76,6 +45,12 @@ document.addEventListener("DOMContentLoaded", async () => {
   chrome.tabs.onRemoved.addListener(onTabRemoved);
   chrome.tabs.onActivated.addListener(onTabActivated);
   chrome.tabs.onMoved.addListener(onTabMoved);
+  chrome.tabs.onAttached.addListener(scheduleRender);
+  chrome.tabs.onDetached.addListener(scheduleRender);
+  chrome.tabs.onReplaced.addListener(scheduleRender);
+
+  // Tree state lives in the background service worker; re-render when it changes
+  chrome.runtime.onMessage.addListener(onBackgroundMessage);
 
   // UI Listeners
   searchInput.addEventListener("input", handleSearch);
@@ -105,14 +80,15 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
   updateSearchClearVisibility();
   window.updateSearchClearVisibility = updateSearchClearVisibility;
+  initSearchHints();
+  document.getElementById("select-all-results-btn")?.addEventListener("click", selectAllSearchResults);
 
   // Search toggles and visit-nav option: load saved state and wire checkboxes
-  chrome.storage.local.get(
-    { searchAllWindows: false, searchBookmarksToo: false, visitOrderAcrossWindows: false },
+  ZenTreeSettings.load(["searchAllWindows", "searchBookmarksToo", "searchKeepTree", "visitOrderAcrossWindows"]).then(
     (res) => {
       searchAllWindows = res.searchAllWindows;
-      searchBookmarksToo = res.searchBookmarksToo ?? false;
-      visitOrderAcrossWindows = res.visitOrderAcrossWindows === true;
+      searchBookmarksToo = res.searchBookmarksToo;
+      searchKeepTree = res.searchKeepTree;
       const searchAllWindowsCheckbox = document.getElementById("search-all-windows");
       if (searchAllWindowsCheckbox) {
         searchAllWindowsCheckbox.checked = searchAllWindows;
@@ -131,141 +107,53 @@ document.addEventListener("DOMContentLoaded", async () => {
           runSearch();
         });
       }
+      const searchKeepTreeCheckbox = document.getElementById("search-keep-tree");
+      if (searchKeepTreeCheckbox) {
+        searchKeepTreeCheckbox.checked = searchKeepTree;
+        searchKeepTreeCheckbox.addEventListener("change", () => {
+          searchKeepTree = searchKeepTreeCheckbox.checked;
+          chrome.storage.local.set({ searchKeepTree });
+          runSearch();
+        });
+      }
       const visitAcrossCheckbox = document.getElementById("visit-across-windows");
       if (visitAcrossCheckbox) {
-        visitAcrossCheckbox.checked = visitOrderAcrossWindows;
+        visitAcrossCheckbox.checked = res.visitOrderAcrossWindows;
         visitAcrossCheckbox.addEventListener("change", () => {
-          visitOrderAcrossWindows = visitAcrossCheckbox.checked;
-          chrome.storage.local.set({ visitOrderAcrossWindows });
-          if (visitOrderAcrossWindows) {
-            chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
-              if (tab) {
-                visitOrderGlobal = { order: [tab.id], index: 0 };
-                saveVisitHistory();
-                if (window.updateVisitNavButtons) updateVisitNavButtons();
-              }
-            });
-          } else {
-            updateVisitNavButtons();
-          }
+          // The background worker re-seeds the history and tells us to refresh the arrows
+          chrome.storage.local.set({ visitOrderAcrossWindows: visitAcrossCheckbox.checked });
         });
       }
     }
   );
 
-  // Visit-order nav (back/forward by viewing order, VS Code–style; optional across-windows)
-  function updateVisitNavButtons() {
+  // Visit-order nav (back/forward by viewing order, VS Code–style; optional across-windows).
+  // History is recorded by the background worker; we only ask it for state and to navigate.
+  async function updateVisitNavButtons() {
     const prevBtn = document.getElementById("visit-prev-btn");
     const nextBtn = document.getElementById("visit-next-btn");
     if (!prevBtn || !nextBtn) return;
-    if (visitOrderAcrossWindows) {
-      prevBtn.disabled = visitOrderGlobal.order.length <= 1 || visitOrderGlobal.index <= 0;
-      nextBtn.disabled = visitOrderGlobal.order.length <= 1 || visitOrderGlobal.index >= visitOrderGlobal.order.length - 1;
-      return;
+    try {
+      const win = await chrome.windows.getCurrent();
+      const state = await chrome.runtime.sendMessage({ type: "GET_VISIT_STATE", windowId: win.id });
+      prevBtn.disabled = !state || !state.canGoBack;
+      nextBtn.disabled = !state || !state.canGoForward;
+    } catch (e) {
+      prevBtn.disabled = true;
+      nextBtn.disabled = true;
     }
-    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
-      if (!tab) {
-        prevBtn.disabled = true;
-        nextBtn.disabled = true;
-        return;
-      }
-      const state = visitHistoryByWindow[tab.windowId];
-      if (!state || state.order.length <= 1) {
-        prevBtn.disabled = true;
-        nextBtn.disabled = true;
-        return;
-      }
-      prevBtn.disabled = state.index <= 0;
-      nextBtn.disabled = state.index >= state.order.length - 1;
-    });
   }
   window.updateVisitNavButtons = updateVisitNavButtons;
 
-  document.getElementById("visit-prev-btn")?.addEventListener("click", async () => {
-    if (visitOrderAcrossWindows) {
-      if (visitOrderGlobal.order.length <= 1 || visitOrderGlobal.index <= 0) return;
-      navigatingByArrows = true;
-      visitOrderGlobal.index--;
-      const tabId = visitOrderGlobal.order[visitOrderGlobal.index];
-      try {
-        const tab = await chrome.tabs.get(tabId);
-        await chrome.windows.update(tab.windowId, { focused: true });
-        await chrome.tabs.update(tabId, { active: true });
-      } catch (e) {
-        console.warn("Visit prev failed", e);
-      }
-      saveVisitHistory();
-      updateVisitNavButtons();
-      return;
-    }
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab) return;
-    const state = visitHistoryByWindow[tab.windowId];
-    if (!state || state.index <= 0) return;
-    navigatingByArrows = true;
-    state.index--;
-    await chrome.tabs.update(state.order[state.index], { active: true });
-    updateVisitNavButtons();
-  });
-
-  document.getElementById("visit-next-btn")?.addEventListener("click", async () => {
-    if (visitOrderAcrossWindows) {
-      if (visitOrderGlobal.order.length <= 1 || visitOrderGlobal.index >= visitOrderGlobal.order.length - 1) return;
-      navigatingByArrows = true;
-      visitOrderGlobal.index++;
-      const tabId = visitOrderGlobal.order[visitOrderGlobal.index];
-      try {
-        const tab = await chrome.tabs.get(tabId);
-        await chrome.windows.update(tab.windowId, { focused: true });
-        await chrome.tabs.update(tabId, { active: true });
-      } catch (e) {
-        console.warn("Visit next failed", e);
-      }
-      saveVisitHistory();
-      updateVisitNavButtons();
-      return;
-    }
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab) return;
-    const state = visitHistoryByWindow[tab.windowId];
-    if (!state || state.index >= state.order.length - 1) return;
-    navigatingByArrows = true;
-    state.index++;
-    await chrome.tabs.update(state.order[state.index], { active: true });
+  async function navigateVisitHistory(direction) {
+    const win = await chrome.windows.getCurrent();
+    await chrome.runtime.sendMessage({ type: "VISIT_NAVIGATE", windowId: win.id, direction });
     updateVisitNavButtons();
-  });
+  }
 
-  // Seed or sync visit history on panel open
-  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
-    if (!tab) return;
-    if (visitOrderAcrossWindows) {
-      const i = visitOrderGlobal.order.indexOf(tab.id);
-      if (i !== -1) {
-        visitOrderGlobal.index = i;
-      } else {
-        visitOrderGlobal.order.push(tab.id);
-        visitOrderGlobal.index = visitOrderGlobal.order.length - 1;
-        saveVisitHistory();
-      }
-      updateVisitNavButtons();
-      return;
-    }
-    let state = visitHistoryByWindow[tab.windowId];
-    if (state && state.order.length > 0) {
-      const i = state.order.indexOf(tab.id);
-      if (i !== -1) state.index = i;
-      else {
-        state.order.push(tab.id);
-        state.index = state.order.length - 1;
-        saveVisitHistory();
-      }
-    } else {
-      state = { order: [tab.id], index: 0 };
-      visitHistoryByWindow[tab.windowId] = state;
-      saveVisitHistory();
-    }
-    updateVisitNavButtons();
-  });
+  document.getElementById("visit-prev-btn")?.addEventListener("click", () => navigateVisitHistory(-1));
+  document.getElementById("visit-next-btn")?.addEventListener("click", () => navigateVisitHistory(1));
+  updateVisitNavButtons();
 
   // Settings Modal Logic
   const settingsModal = document.getElementById("settings-modal");
@@ -311,13 +199,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   if (settingsBtn && settingsModal) {
     settingsBtn.addEventListener("click", () => {
       // Sync UI state before showing
-      chrome.storage.local.get(
-        {
-          themeSettings: {
-            themeColor: "minimal-blue",
-            colorScheme: "system",
-          },
-        },
+      ZenTreeSettings.load(["themeSettings"]).then(
         (res) => {
           const settings = res.themeSettings;
 
@@ -328,8 +210,9 @@ document.addEventListener("DOMContentLoaded", async () => {
           const colorSchemeSelect = document.getElementById(
             "color-scheme-select",
           );
-          if (colorSchemeSelect)
-            colorSchemeSelect.value = settings.colorScheme || "system";
+          if (colorSchemeSelect) colorSchemeSelect.value = settings.colorScheme;
+
+          renderStorageUsage();
 
           settingsModal.classList.remove("hidden");
           // Trigger transition
@@ -376,8 +259,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Grouping Threshold Listener
   const groupingThresholdSelect = document.getElementById("grouping-threshold-select");
   if (groupingThresholdSelect) {
-    // Load saved setting (default is now 2)
-    chrome.storage.local.get({ groupingThreshold: 2 }, (res) => {
+    ZenTreeSettings.load(["groupingThreshold"]).then((res) => {
       groupingThresholdSelect.value = res.groupingThreshold;
     });
     
@@ -388,34 +270,255 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
+  // Close Policy Listener
+  const closePolicySelect = document.getElementById("close-policy-select");
+  ZenTreeSettings.load(["closePolicy"]).then((res) => {
+    closePolicy = res.closePolicy;
+    if (closePolicySelect) closePolicySelect.value = closePolicy;
+    scheduleRender();
+  });
+  if (closePolicySelect) {
+    closePolicySelect.addEventListener("change", () => {
+      chrome.storage.local.set({ closePolicy: closePolicySelect.value });
+    });
+  }
+
+  initPlacementSettings();
+
+  document.getElementById("open-options-btn")?.addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Repair Tree Diagnostic
+  const repairTreeBtn = document.getElementById("repair-tree-btn");
+  const repairTreeResult = document.getElementById("repair-tree-result");
+  if (repairTreeBtn && repairTreeResult) {
+    repairTreeBtn.addEventListener("click", async () => {
+      repairTreeBtn.disabled = true;
+      try {
+        const report = await chrome.runtime.sendMessage({ type: "REPAIR_TREE" });
+        if (report.error) throw new Error(report.error);
+        repairTreeResult.textContent = describeTreeRepairs(report);
+        renderStorageUsage();
+      } catch (err) {
+        console.error("Tree repair failed", err);
+        repairTreeResult.textContent = "Repair failed";
+      }
+      repairTreeBtn.disabled = false;
+    });
+  }
+
+  // Group Children With Parent Listener
+  const groupChildrenToggle = document.getElementById("group-children-toggle");
+  if (groupChildrenToggle) {
+    ZenTreeSettings.load(["groupChildrenWithParent"]).then((res) => {
+      groupChildrenToggle.checked = res.groupChildrenWithParent;
+    });
+    groupChildrenToggle.addEventListener("change", () => {
+      chrome.storage.local.set({ groupChildrenWithParent: groupChildrenToggle.checked });
+    });
+  }
+
   // Theme Logic
   await applyTheme();
   chrome.storage.onChanged.addListener((changes, area) => {
     if (area === "local" && changes.themeSettings) {
       applyTheme();
     }
+    if (area === "local" && changes.closePolicy) {
+      closePolicy = ZenTreeSettings.normalize({ closePolicy: changes.closePolicy.newValue }).closePolicy;
+      if (closePolicySelect) closePolicySelect.value = closePolicy;
+      scheduleRender(); // The close-button warning depends on the policy
+    }
+  });
+
+  // Settings changed elsewhere (options page, popup)
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local") return;
+    const values = ZenTreeSettings.normalize(
+      Object.fromEntries(Object.entries(changes).map(([key, change]) => [key, change.newValue])),
+    );
+    const setChecked = (id, checked) => {
+      const el = document.getElementById(id);
+      if (el) el.checked = checked;
+    };
+    if ("searchAllWindows" in changes || "searchBookmarksToo" in changes || "searchKeepTree" in changes) {
+      if ("searchAllWindows" in changes) searchAllWindows = values.searchAllWindows;
+      if ("searchBookmarksToo" in changes) searchBookmarksToo = values.searchBookmarksToo;
+      if ("searchKeepTree" in changes) searchKeepTree = values.searchKeepTree;
+      setChecked("search-all-windows", searchAllWindows);
+      setChecked("search-bookmarks", searchBookmarksToo);
+      setChecked("search-keep-tree", searchKeepTree);
+      if (searchInput && searchInput.value.trim()) runSearch();
+    }
+    if ("visitOrderAcrossWindows" in changes) setChecked("visit-across-windows", values.visitOrderAcrossWindows);
+    if ("groupChildrenWithParent" in changes) setChecked("group-children-toggle", values.groupChildrenWithParent);
+    if ("groupingThreshold" in changes && groupingThresholdSelect) {
+      groupingThresholdSelect.value = values.groupingThreshold;
+    }
   });
 });
 
-async function updateThemeSettings(partialSettings) {
-  const res = await chrome.storage.local.get({
-    themeSettings: { themeColor: "minimal-blue", colorScheme: "system" },
+// --- Storage Usage ---
+
+const STORAGE_KEY_LABELS = {
+  parentOverrides: "Tree nesting",
+  collapsedState: "Collapsed tabs",
+  customTitles: "Custom tab names",
+  ztTabFingerprints: "Tab fingerprints (restore after restart)",
+  ztSavedSessions: "Saved sessions",
+  ztWorkspaces: "Workspaces",
+  ztRecentCommands: "Recent palette commands",
+  themeSettings: "Theme",
+  ztSettingsModified: "Settings change times (sync)",
+};
+// Tree state lives in the background worker, so these are reset through it
+const RESETTABLE_TREE_KEYS = ["parentOverrides", "collapsedState", "customTitles"];
+
+async function renderStorageUsage() {
+  const list = document.getElementById("storage-usage-list");
+  const total = document.getElementById("storage-usage-total");
+  if (!list) return;
+
+  const items = await chrome.storage.local.get(null);
+  const sizes = await Promise.all(Object.keys(items).map(async (key) => [key, await chrome.storage.local.getBytesInUse(key)]));
+  sizes.sort((a, b) => b[1] - a[1]);
+  const used = await chrome.storage.local.getBytesInUse(null);
+  if (total) total.textContent = `Usage: ${formatBytes(used)} of ${formatBytes(chrome.storage.local.QUOTA_BYTES)}`;
+
+  list.innerHTML = "";
+  sizes.forEach(([key, bytes]) => {
+    const row = document.createElement("div");
+    row.className = "storage-usage-row";
+    const name = document.createElement("span");
+    name.className = "storage-usage-key";
+    name.textContent = STORAGE_KEY_LABELS[key] || key;
+    name.title = key;
+    const size = document.createElement("span");
+    size.className = "storage-usage-size";
+    size.textContent = formatBytes(bytes);
+    row.append(name, size);
+
+    if (RESETTABLE_TREE_KEYS.includes(key)) {
+      const reset = document.createElement("button");
+      reset.className = "storage-usage-reset";
+      reset.textContent = "Reset";
+      reset.title = `Clear ${name.textContent.toLowerCase()} for all tabs`;
+      reset.addEventListener("click", async () => {
+        if (!confirm(`Clear ${name.textContent.toLowerCase()} for all tabs? This can't be undone.`)) return;
+        const res = await chrome.runtime.sendMessage({ type: "RESET_TREE_STATE", key });
+        if (res && res.error) console.error("Reset failed:", res.error);
+        renderStorageUsage();
+      });
+      row.appendChild(reset);
+    }
+    list.appendChild(row);
   });
-  const newSettings = { ...res.themeSettings, ...partialSettings };
-  await chrome.storage.local.set({ themeSettings: newSettings });
 }
 
-async function applyTheme() {
-  const res = await chrome.storage.local.get({
-    themeSettings: {
-      themeColor: "minimal-blue",
-      colorScheme: "system",
-    },
+// e.g. "Fixed 1 loop and 4 entries for closed tabs"
+function describeTreeRepairs(report) {
+  const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+  const fixes = [];
+  if (report.cycles.length > 0) fixes.push(count(report.cycles.length, "loop", "loops"));
+  if (report.selfParents > 0) fixes.push(count(report.selfParents, "tab", "tabs") + " nested under itself");
+  if (report.invalid > 0) fixes.push(count(report.invalid, "invalid entry", "invalid entries"));
+  if (report.closedTabs > 0) fixes.push(count(report.closedTabs, "entry", "entries") + " for closed tabs");
+  if (fixes.length === 0) return "Nothing to repair";
+  const last = fixes.pop();
+  return "Fixed " + (fixes.length > 0 ? `${fixes.join(", ")} and ${last}` : last);
+}
+
+// --- New Tab Placement Settings ---
+// Edits the "placementRules" setting; the background worker applies it (ZenTreeModel.placeNewTab)
+
+async function updatePlacementRules(partialRules) {
+  const { placementRules } = await ZenTreeSettings.load(["placementRules"]);
+  const { placementRules: newRules } = ZenTreeSettings.normalize({ placementRules: { ...placementRules, ...partialRules } });
+  await chrome.storage.local.set({ placementRules: newRules });
+  return newRules;
+}
+
+function initPlacementSettings() {
+  const placementSelect = document.getElementById("new-tab-placement-select");
+  const siblingsToggle = document.getElementById("same-domain-siblings-toggle");
+  const maxDepthSelect = document.getElementById("max-depth-select");
+  const rulesList = document.getElementById("domain-rules-list");
+  const ruleInput = document.getElementById("domain-rule-input");
+  const ruleMode = document.getElementById("domain-rule-mode");
+  const ruleAdd = document.getElementById("domain-rule-add");
+  if (!placementSelect || !rulesList) return;
+
+  const renderDomainRules = (rules) => {
+    rulesList.innerHTML = "";
+    rules.domainRules.forEach((rule, i) => {
+      const row = document.createElement("div");
+      row.className = "domain-rule";
+      const domain = document.createElement("span");
+      domain.className = "domain-rule-domain";
+      domain.textContent = rule.domain;
+      const mode = document.createElement("span");
+      mode.className = "domain-rule-mode";
+      mode.textContent = rule.mode === ZenTreeModel.DOMAIN_RULE_MODES.ALWAYS ? "Always nest" : "Never nest";
+      const remove = document.createElement("div");
+      remove.className = "close-btn";
+      remove.title = "Remove rule";
+      remove.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
+      remove.addEventListener("click", async () => {
+        const domainRules = rules.domainRules.filter((_, j) => j !== i);
+        renderDomainRules(await updatePlacementRules({ domainRules }));
+      });
+      row.append(domain, mode, remove);
+      rulesList.appendChild(row);
+    });
+  };
+
+  const showRules = (rules) => {
+    placementSelect.value = rules.newTabPlacement;
+    if (siblingsToggle) siblingsToggle.checked = rules.sameDomainAsSiblings;
+    if (maxDepthSelect) maxDepthSelect.value = String(rules.maxDepth);
+    renderDomainRules(rules);
+  };
+  ZenTreeSettings.load(["placementRules"]).then((res) => showRules(res.placementRules));
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !changes.placementRules) return;
+    showRules(ZenTreeSettings.normalize({ placementRules: changes.placementRules.newValue }).placementRules);
+  });
+
+  placementSelect.addEventListener("change", () => {
+    updatePlacementRules({ newTabPlacement: placementSelect.value });
+  });
+  siblingsToggle?.addEventListener("change", () => {
+    updatePlacementRules({ sameDomainAsSiblings: siblingsToggle.checked });
+  });
+  maxDepthSelect?.addEventListener("change", () => {
+    updatePlacementRules({ maxDepth: parseInt(maxDepthSelect.value) });
   });
+
+  const addRule = async () => {
+    const { placementRules } = await ZenTreeSettings.load(["placementRules"]);
+    const updated = ZenTreeSettings.upsertSiteRule(placementRules, ruleInput.value, ruleMode.value);
+    if (!updated) return;
+    renderDomainRules(await updatePlacementRules(updated));
+    ruleInput.value = "";
+  };
+  ruleAdd?.addEventListener("click", addRule);
+  ruleInput?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addRule();
+  });
+}
+
+async function updateThemeSettings(partialSettings) {
+  const res = await ZenTreeSettings.load(["themeSettings"]);
+  await ZenTreeSettings.save({ themeSettings: { ...res.themeSettings, ...partialSettings } });
+}
+
+async function applyTheme() {
+  const res = await ZenTreeSettings.load(["themeSettings"]);
   const settings = res.themeSettings;
 
   // Color Scheme (Light/Dark Mode)
-  const colorScheme = settings.colorScheme || "system";
+  const colorScheme = settings.colorScheme;
   const root = document.documentElement;
 
   if (colorScheme === "light") {
@@ -440,22 +543,10 @@ async function applyTheme() {
   document.body.classList.add("flat-tabs");
 
   // Color Theme - Remove all theme classes
-  document.body.classList.remove(
-    "theme-minimal-blue",
-    "theme-minimal-slate",
-    "theme-minimal-sage",
-    "theme-minimal-rose",
-    "theme-minimal-amber",
-    "theme-minimal-indigo",
-    "theme-minimal-teal",
-    "theme-minimal-charcoal",
-    "theme-minimal-amoled",
-  );
+  document.body.classList.remove(...ZenTreeSettings.THEMES.map((theme) => `theme-${theme}`));
 
   // Apply the selected theme
-  if (settings.themeColor) {
-    document.body.classList.add(`theme-${settings.themeColor}`);
-  }
+  document.body.classList.add(`theme-${settings.themeColor}`);
 }
 
 // --- Core Data Fetching ---
@@ -475,207 +566,368 @@ async function fetchAndRenderTabs() {
 }
 
 /**
- * Builds the tree structure from a flat list of tabs.
- * Uses openerTabId to determine hierarchy.
- */
-/**
- * Builds the tree structure.
+ * Builds the tree structure (hierarchy rules live in shared/tree-model.js).
  * Structure:
  * - rootTabs (Tabs with no parent AND no group)
  * - groupBuckets (Map<groupId, Array<tabId>>) -> Logic: Group acts as a root, Tree inside Group.
  */
 let groupBuckets = new Map(); // groupId -> Array<rootTabIds inside group>
+let displayParents = new Map(); // tabId -> parent tabId it is shown under (nested tabs only)
+let crossGroupParents = new Map(); // tabId -> parent tabId in another tab group
 
 function buildTree(tabs, groupsMap) {
-  tabsMap.clear();
-  groupBuckets.clear();
-  rootTabs = [];
-
-  // Initialize buckets for known groups
-  for (const groupId of groupsMap.keys()) {
-    groupBuckets.set(groupId, []);
-  }
-
-  // First pass: Index tabs
-  tabs.forEach((tab) => tabsMap.set(tab.id, { ...tab, children: [] }));
-
-  // Second pass: Build parent-child relationships
-  // Note: If a child is in a different group than parent, visual hierarchy breaks visually.
-  // For specific requirement: "Grouped" tabs show in panel.
-  // We will enforce: If in a Group, display in that Group.
-  // Inside the group, we try to nesting if standard logic applies AND both are in same group.
-
-  let overridesChanged = false;
-
-  tabs.forEach((tab) => {
-    const inGroup = tab.groupId !== -1;
-
-    const effectiveUrl = tab.pendingUrl || tab.url;
-    const isNewTab =
-      effectiveUrl === "chrome://newtab/" || effectiveUrl === "edge://newtab/";
-
-    // If explicitly root in overrides?
-    let parentId = parentOverrides.get(tab.id);
-
-    if (parentId === undefined) {
-      // No override.
-      // PRIORITY 1: Is it a New Tab? -> Force Root.
-      if (isNewTab) {
-        parentOverrides.set(tab.id, -1); // Explicit Root
-        overridesChanged = true;
-        parentId = -1;
-      }
-      // PRIORITY 2: Has Opener? -> Force Parent.
-      else if (tab.openerTabId) {
-        // Found an implicit parent! Crystallize it.
-        if (tabsMap.has(tab.openerTabId)) {
-          parentId = tab.openerTabId;
-          parentOverrides.set(tab.id, parentId);
-          overridesChanged = true;
-        }
-      }
-    }
-
-    // Normalize -1 to null for logic
-    if (parentId === -1) parentId = null;
-
-    let placed = false;
-
-    // Try to nest under a parent
-    if (parentId && tabsMap.has(parentId)) {
-      const parent = tabsMap.get(parentId);
-
-      // strict allow nesting
-      if (parent.groupId === tab.groupId) {
-        // Basic cycle prevention
-        const parentsParentId =
-          parentOverrides.get(parentId) || parent.openerTabId;
-        if (parentsParentId !== tab.id) {
-          parent.children.push(tab.id);
-          placed = true;
-        }
-      }
-    }
-
-    if (!placed) {
-      if (inGroup) {
-        if (!groupBuckets.has(tab.groupId)) groupBuckets.set(tab.groupId, []); // Should exist from init but just in case
-        groupBuckets.get(tab.groupId).push(tab.id);
-      } else {
-        rootTabs.push(tab.id);
-      }
-    }
+  const tree = ZenTreeModel.buildTree(tabs, groupsMap.keys(), {
+    parentOverrides,
+    collapsedState,
+    customTitles,
   });
-
-  if (overridesChanged) {
-    saveParentOverrides();
-  }
-
-  // Sort roots & buckets
-  const sortFn = (a, b) => tabsMap.get(a).index - tabsMap.get(b).index;
-  rootTabs.sort(sortFn);
-
-  for (const [gid, roots] of groupBuckets) {
-    roots.sort(sortFn);
-  }
+  tabsMap = tree.tabsById;
+  rootTabs = tree.rootTabs;
+  groupBuckets = tree.groupBuckets;
+  displayParents = tree.displayParents;
+  crossGroupParents = tree.crossGroupParents;
 }
 
-// --- Rendering ---
+// Where a tab's parent lives when it is in another group, e.g. "“Docs” in Research"
+function describeCrossGroupParent(tabId) {
+  const parentId = crossGroupParents.get(tabId);
+  const parent = parentId !== undefined && tabsMap.get(parentId);
+  if (!parent) return null;
+  const group = currentGroupsMap.get(parent.groupId);
+  const where = group ? `in ${group.title || "an unnamed group"}` : "outside any group";
+  return { parentId, text: `Opened from “${customTitles.get(parentId) || parent.title}” ${where}` };
+}
 
 // --- Rendering ---
+// The visible tree is flattened into rows (group headers and tabs, in display order, with
+// collapsed subtrees left out). Only the rows in and around the viewport exist in the DOM,
+// absolutely positioned inside a spacer as tall as the whole list. Rows are keyed by tab or
+// group ID and only rebuilt when something they display has changed; active and selected
+// state is patched in place. Scroll position, focus and hover survive re-renders.
+
+const ROW_OVERSCAN = 8; // extra rows rendered above and below the viewport
+const TREE_INDENT = 28; // px per depth level, matches the guide lines in style.css
+
+let currentGroupsMap = new Map();
+let visibleRows = []; // [{ key, type, id, depth, top, height, signature, ... }] in display order
+let rowIndexByKey = new Map(); // row key -> index in visibleRows
+let renderedRows = new Map(); // row key -> { el, signature }
+let rowHeights = { tab: 36, group: 36 }; // measured from rendered rows
+let virtualListEl = null;
+let rowPatchScheduled = false;
 
 function renderTree(groupsMap) {
-  const savedScrollTop = tabsListEl.scrollTop;
-  tabsListEl.innerHTML = "";
-  tabsListEl.classList.remove("is-search-results");
+  // Search callers pass the query instead of the groups; keep the last known groups then
+  if (groupsMap instanceof Map) currentGroupsMap = groupsMap;
 
-  // Filtered mode? (If searching)
+  // Filtered mode? (If searching) Matches are listed flat, or kept in place in the tree
   const filterText = searchInput ? searchInput.value : "";
-  if (filterText) {
+  if (filterText && !searchKeepTree) {
+    const savedScrollTop = tabsListEl.scrollTop;
+    clearVirtualList();
+    tabsListEl.innerHTML = "";
     renderFilteredList(filterText, savedScrollTop);
     return;
   }
 
+  tabsListEl.classList.remove("is-search-results");
+  tabsListEl.classList.toggle("is-tree-search", !!filterText);
+  if (!virtualListEl || virtualListEl.parentNode !== tabsListEl) {
+    // First render, or search results replaced the list
+    clearVirtualList();
+    tabsListEl.innerHTML = "";
+    virtualListEl = document.createElement("div");
+    virtualListEl.className = "virtual-tree";
+    tabsListEl.appendChild(virtualListEl);
+  }
+
+  const search = filterText ? getTreeSearchMatches(filterText) : null;
+  setSearchResults(search ? Array.from(search.matches.keys()) : []);
+  flattenTree(search);
+  layoutRows();
+  patchRows();
+
+  // Auto-scroll logic
+  // Priority: Explicit pending scroll (New Tab)
+  if (pendingScrollTabId) {
+    const scrollTabId = pendingScrollTabId;
+    pendingScrollTabId = null;
+    setTimeout(() => {
+      const row = revealTabRow(scrollTabId);
+      if (row) row.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    }, 10);
+  } else if (isInitialRender) {
+    // Only auto-scroll to active tab on pure startup to avoid jumping during browsing
+    const activeTab = Array.from(tabsMap.values()).find((t) => t.active);
+    if (activeTab) {
+      setTimeout(() => {
+        const row = revealTabRow(activeTab.id);
+        if (row) row.scrollIntoView({ behavior: "auto", block: "nearest" });
+      }, 10);
+    }
+    isInitialRender = false;
+  }
+}
+
+function clearVirtualList() {
+  renderedRows.clear();
+  visibleRows = [];
+  rowIndexByKey.clear();
+  virtualListEl = null;
+}
+
+/**
+ * Flattens rootTabs/groupBuckets into visibleRows.
+ * Each tab row knows whether it is the last of its siblings and which ancestor levels
+ * still continue below it, so the tree guide lines can be drawn per row.
+ * @param {Object} [search] - from getTreeSearchMatches: only matches and their ancestors are
+ *   shown, expanded, with the ancestors dimmed
+ */
+function flattenTree(search = null) {
   // 1. We need to respect the visual order of items (Groups vs Tabs mixed)
   // Chrome tabs have an 'index'. Groups don't have a single index, but they span a range.
-  // For simplicity: We can iterate through 'Root Tabs' and 'Groups' by finding their min-index.
-
+  // We order root tabs and groups by the index of their first tab.
   const elements = [];
 
-  // Add individual Root Tabs
   rootTabs.forEach((tabId) => {
-    elements.push({
-      type: "tab",
-      index: tabsMap.get(tabId).index,
-      id: tabId,
-    });
-  });
-
-  // Add Groups
-  if (groupsMap) {
-    for (const [groupId, group] of groupsMap) {
-      // Use the group's first tab index effectively?
-      // Chrome.tabGroups doesn't give 'index'. It relies on tabs.
-      // We can assume group connects to its tabs.
-      // We take the index of the first tab in the bucket (if any)
-      const bucket = groupBuckets.get(groupId);
-      if (bucket && bucket.length > 0) {
-        const firstTab = tabsMap.get(bucket[0]);
-        elements.push({
-          type: "group",
-          index: firstTab ? firstTab.index : 9999, // Fallback
-          id: groupId,
-          group: group,
-          children: bucket,
-        });
-      }
+    if (search && !search.shown.has(tabId)) return;
+    elements.push({ type: "tab", index: tabsMap.get(tabId).index, id: tabId });
+  });
+
+  for (const [groupId, group] of currentGroupsMap) {
+    const bucket = groupBuckets.get(groupId);
+    if (bucket && bucket.length > 0 && (!search || bucket.some((id) => search.shown.has(id)))) {
+      const firstTab = tabsMap.get(bucket[0]);
+      elements.push({
+        type: "group",
+        index: firstTab ? firstTab.index : 9999, // Fallback
+        id: groupId,
+        group,
+        children: bucket,
+      });
     }
   }
 
-  // Sort all by visual index
   elements.sort((a, b) => a.index - b.index);
 
-  // Render
+  visibleRows = [];
+  const addTabRows = (allTabIds, depth, guides) => {
+    const tabIds = search ? allTabIds.filter((id) => search.shown.has(id)) : allTabIds;
+    tabIds.forEach((tabId, i) => {
+      const tab = tabsMap.get(tabId);
+      if (!tab) return;
+      const isLast = i === tabIds.length - 1;
+      const hasChildren = tab.children.length > 0;
+      // Search expands whatever leads to a match, without touching the saved collapsed state
+      const collapsed = search ? !tab.children.some((id) => search.shown.has(id)) : collapsedState.has(tabId);
+      const title = customTitles.get(tabId) || tab.title;
+      const hiddenCount = hasChildren && collapsed && !search ? getSubtree(tabId).length - 1 : 0;
+      const match = search ? search.matches.get(tabId) || null : null;
+      const dimmed = !!search && !match;
+      const warnOnClose =
+        hiddenCount >= HIDDEN_TABS_WARNING && closePolicy === ZenTreeModel.CLOSE_POLICIES.CLOSE_SUBTREE;
+      const crossGroupParent = describeCrossGroupParent(tabId);
+      visibleRows.push({
+        key: `tab-${tabId}`,
+        type: "tab",
+        id: tabId,
+        depth,
+        isLast,
+        guides,
+        hiddenCount,
+        collapsed,
+        warnOnClose,
+        crossGroupParent,
+        match,
+        dimmed,
+        signature: JSON.stringify([
+          depth, isLast, guides, hasChildren, collapsed, hiddenCount, warnOnClose, crossGroupParent,
+          title, tab.url, tab.favIconUrl, match, dimmed,
+        ]),
+      });
+      if (hasChildren && !collapsed) {
+        // Our own line continues through the children unless we are the last sibling
+        const childGuides = depth > 0 && !isLast ? [...guides, depth] : guides;
+        addTabRows(tab.children, depth + 1, childGuides);
+      }
+    });
+  };
+
   elements.forEach((el) => {
     if (el.type === "tab") {
-      tabsListEl.appendChild(createTabNode(el.id));
+      addTabRows([el.id], 0, []);
     } else {
-      tabsListEl.appendChild(createGroupNode(el.group, el.children));
+      const group = el.group;
+      visibleRows.push({
+        key: `group-${group.id}`,
+        type: "group",
+        id: group.id,
+        group,
+        depth: 0,
+        signature: JSON.stringify([group.title, group.color, group.collapsed]),
+      });
+      // Start at depth 1 inside group
+      if (!group.collapsed || search) addTabRows(el.children, 1, []);
     }
   });
 
-  // Auto-scroll logic
-  // Priority: Explicit pending scroll (New Tab)
-  if (pendingScrollTabId) {
-    const newTabNode = tabsListEl.querySelector(
-      `.tab-tree-node[data-tab-id="${pendingScrollTabId}"]`,
-    );
-    if (newTabNode) {
-      const row = newTabNode.querySelector(".tab-item");
-      if (row) {
-        setTimeout(() => {
-          row.scrollIntoView({ behavior: "smooth", block: "nearest" });
-        }, 10);
+  rowIndexByKey = new Map(visibleRows.map((row, i) => [row.key, i]));
+}
+
+function layoutRows() {
+  let top = 0;
+  visibleRows.forEach((row) => {
+    row.top = top;
+    row.height = rowHeights[row.type];
+    top += row.height;
+  });
+  if (virtualListEl) virtualListEl.style.height = top + "px";
+}
+
+/**
+ * Brings the DOM in line with visibleRows for the current viewport: removes rows that
+ * scrolled out, builds missing or changed ones and repositions the rest.
+ */
+function patchRows() {
+  if (!virtualListEl || virtualListEl.parentNode !== tabsListEl) return;
+
+  const viewTop = tabsListEl.scrollTop - virtualListEl.offsetTop;
+  const viewBottom = viewTop + tabsListEl.clientHeight;
+
+  // Binary search for the first row reaching into the viewport
+  let lo = 0;
+  let hi = visibleRows.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const row = visibleRows[mid];
+    if (row.top + row.height <= viewTop) lo = mid + 1;
+    else hi = mid;
+  }
+  let end = lo;
+  while (end < visibleRows.length && visibleRows[end].top < viewBottom) end++;
+  const start = Math.max(0, lo - ROW_OVERSCAN);
+  end = Math.min(visibleRows.length, end + ROW_OVERSCAN);
+
+  const wanted = visibleRows.slice(start, end);
+  const wantedKeys = new Set(wanted.map((row) => row.key));
+  // The dragged row must stay in the DOM or its dragend never fires
+  if (draggedTabId && rowIndexByKey.has(`tab-${draggedTabId}`)) {
+    const draggedRow = visibleRows[rowIndexByKey.get(`tab-${draggedTabId}`)];
+    if (!wantedKeys.has(draggedRow.key)) {
+      wanted.push(draggedRow);
+      wantedKeys.add(draggedRow.key);
+    }
+  }
+
+  for (const [key, entry] of renderedRows) {
+    if (!wantedKeys.has(key) && entry.el !== draggedElement) {
+      entry.el.remove();
+      renderedRows.delete(key);
+    }
+  }
+
+  wanted.forEach((row) => {
+    let entry = renderedRows.get(row.key);
+    const isDragged = entry && entry.el === draggedElement;
+    if (!entry || (entry.signature !== row.signature && !isDragged)) {
+      const el = row.type === "group" ? createGroupNode(row.group) : createTabNode(row.id, row.depth, row);
+      el.classList.add("virtual-row");
+      if (entry) {
+        const hadFocus = entry.el.contains(document.activeElement);
+        entry.el.replaceWith(el);
+        if (hadFocus) {
+          const focusTarget = el.querySelector(".tab-item");
+          if (focusTarget) focusTarget.focus({ preventScroll: true });
+        }
+      } else {
+        virtualListEl.appendChild(el);
       }
+      entry = { el, signature: row.signature };
+      renderedRows.set(row.key, entry);
     }
-    pendingScrollTabId = null;
-  } else if (isInitialRender) {
-    // Only auto-scroll to active tab on pure startup to avoid jumping during browsing
-    const activeTabEl = tabsListEl.querySelector(".tab-item.active");
-    if (activeTabEl) {
-      setTimeout(() => {
-        activeTabEl.scrollIntoView({ behavior: "auto", block: "nearest" });
-      }, 10);
+    entry.el.style.top = row.top + "px";
+    if (row.type === "tab") updateTabRowState(entry.el, row.id);
+  });
+
+  measureRowHeights();
+}
+
+// Active and selected state change often; patch it instead of rebuilding rows
+function updateTabRowState(el, tabId) {
+  const tab = tabsMap.get(tabId);
+  el.classList.toggle("selected", selectedTabs.has(tabId));
+  const row = el.querySelector(".tab-item");
+  if (row && tab) row.classList.toggle("active", !!tab.active);
+}
+
+// Row heights depend on theme and density settings, so they are measured, not hardcoded
+function measureRowHeights() {
+  let changed = false;
+  for (const type of ["tab", "group"]) {
+    const sample = virtualListEl.querySelector(
+      type === "tab" ? ".tab-tree-node.virtual-row" : ".group-node.virtual-row",
+    );
+    const height = sample ? sample.offsetHeight : 0;
+    if (height > 0 && height !== rowHeights[type]) {
+      rowHeights[type] = height;
+      changed = true;
     }
-    isInitialRender = false;
-  } else {
-    tabsListEl.scrollTop = savedScrollTop;
   }
+  if (changed) {
+    layoutRows();
+    patchRows();
+  }
+}
+
+function schedulePatchRows() {
+  if (rowPatchScheduled) return;
+  rowPatchScheduled = true;
+  requestAnimationFrame(() => {
+    rowPatchScheduled = false;
+    patchRows();
+  });
 }
 
-function createGroupNode(group, bucketTabIds) {
+tabsListEl.addEventListener("scroll", schedulePatchRows, { passive: true });
+window.addEventListener("resize", schedulePatchRows);
+
+/** Tab IDs of every visible tree row (outside collapsed subtrees), in display order. */
+function getVisibleTabIds() {
+  return visibleRows.filter((row) => row.type === "tab").map((row) => row.id);
+}
+
+/** Re-applies selection/active state to the rendered rows after selectedTabs changed. */
+function refreshRowStates() {
+  for (const [key, entry] of renderedRows) {
+    if (key.startsWith("tab-")) updateTabRowState(entry.el, Number(key.slice(4)));
+  }
+}
+
+/**
+ * Makes sure the row of a tab exists in the DOM, scrolling it into the rendered range
+ * if needed. Returns its .tab-item, or null if the tab has no visible row.
+ */
+function revealTabRow(tabId) {
+  const index = rowIndexByKey.get(`tab-${tabId}`);
+  if (index === undefined || !virtualListEl) return null;
+  const row = visibleRows[index];
+  const offset = virtualListEl.offsetTop;
+  const viewTop = tabsListEl.scrollTop;
+  const viewHeight = tabsListEl.clientHeight;
+  if (row.top + offset < viewTop) {
+    tabsListEl.scrollTop = row.top + offset;
+  } else if (row.top + offset + row.height > viewTop + viewHeight) {
+    tabsListEl.scrollTop = row.top + offset + row.height - viewHeight;
+  }
+  patchRows();
+  const entry = renderedRows.get(row.key);
+  return entry ? entry.el.querySelector(".tab-item") : null;
+}
+
+function createGroupNode(group) {
   const container = document.createElement("div");
   container.className = "group-node";
+  container.dataset.groupId = group.id;
 
   // Header
   const header = document.createElement("div");
@@ -739,20 +991,6 @@ function createGroupNode(group, bucketTabIds) {
   header.appendChild(title);
 
   container.appendChild(header);
-
-  // Body
-  const body = document.createElement("div");
-  body.className = `group-body ${group.collapsed ? "collapsed" : ""}`;
-
-  // Optimization: If collapsed, maybe don't even create children DOM?
-  // For now, simple display:none via class is fine for performance unless 1000s of tabs.
-  if (!group.collapsed) {
-    bucketTabIds.forEach((tabId) => {
-      body.appendChild(createTabNode(tabId, 1)); // Start at depth 1 inside group
-    });
-  }
-
-  container.appendChild(body);
   return container;
 }
 
@@ -771,7 +1009,33 @@ function mapColor(chromeColor) {
   return colors[chromeColor] || "#bdc1c6";
 }
 
-function createTabNode(tabId, depth = 0) {
+// Closes without asking; a failed removal (e.g. the tab is already gone) is only logged
+function closeTabs(tabIds) {
+  return chrome.tabs.remove(tabIds).catch((err) => console.error("Failed to close tabs:", err));
+}
+
+/**
+ * Closes one tab. The background worker applies the close policy to its children; only
+ * "ask" is handled here, since that needs the user.
+ */
+function closeTab(tabId) {
+  const tab = tabsMap.get(tabId);
+  if (closePolicy === ZenTreeModel.CLOSE_POLICIES.ASK && tab && tab.children.length > 0) {
+    const descendants = getSubtree(tabId).slice(1);
+    const count = descendants.length;
+    if (confirm(`Also close the ${count} tab${count === 1 ? "" : "s"} nested under it?\n\nCancel keeps them and moves them up a level.`)) {
+      closeTabs([tabId, ...descendants]);
+      return;
+    }
+  }
+  closeTabs(tabId);
+}
+
+/**
+ * Builds the row of a single tab. Children are separate rows (see flattenTree).
+ * @param {Object} [treeRow] - the visibleRows entry, for the tree guide lines
+ */
+function createTabNode(tabId, depth = 0, treeRow = null) {
   const tab = tabsMap.get(tabId);
   if (!tab) return document.createElement("div");
 
@@ -779,6 +1043,18 @@ function createTabNode(tabId, depth = 0) {
   container.className = "tab-tree-node";
   container.dataset.tabId = tabId;
   container.dataset.depth = depth; // For CSS tree guide lines
+  if (treeRow) {
+    if (treeRow.isLast) container.classList.add("last-sibling");
+    // Shown only because a search match is nested under it
+    if (treeRow.dimmed) container.classList.add("search-ancestor");
+    // Lines of ancestors that have more siblings further down pass through this row
+    treeRow.guides.forEach((guideDepth) => {
+      const guide = document.createElement("span");
+      guide.className = "tree-guide";
+      guide.style.left = 14 + (guideDepth - 1) * TREE_INDENT + "px";
+      container.appendChild(guide);
+    });
+  }
 
   // 1. Remote Tab Item (The visible row)
   const hasChildren = tab.children && tab.children.length > 0;
@@ -795,7 +1071,7 @@ function createTabNode(tabId, depth = 0) {
   row.style.setProperty('--tab-depth', depth);
   // Indent entire row based on depth: Level 0 = 0px, Level 1 = 28px, Level 2+ = +28px per level
   if (depth > 0) {
-    row.style.marginLeft = (depth * 28) + "px";
+    row.style.marginLeft = (depth * TREE_INDENT) + "px";
   }
 
   // Drag Events
@@ -826,11 +1102,12 @@ function createTabNode(tabId, depth = 0) {
       e.preventDefault();
       e.stopPropagation();
 
-      const allVisibleTabs = Array.from(
-        tabsListEl.querySelectorAll(".tab-tree-node"),
-      )
-        .map((node) => Number(node.dataset.tabId))
-        .filter((id) => !isNaN(id));
+      // The tree only renders rows near the viewport, so the range comes from visibleRows
+      const allVisibleTabs = tabsListEl.classList.contains("is-search-results")
+        ? Array.from(tabsListEl.querySelectorAll(".tab-tree-node"))
+            .map((node) => Number(node.dataset.tabId))
+            .filter((id) => !isNaN(id))
+        : getVisibleTabIds();
 
       let lastSelectedId;
 
@@ -888,11 +1165,11 @@ function createTabNode(tabId, depth = 0) {
 
       // If this tab is selected and there are multiple selections, close all selected tabs
       if (selectedTabs.has(tabId) && selectedTabs.size > 1) {
-        chrome.tabs.remove(Array.from(selectedTabs));
+        closeTabs(Array.from(selectedTabs));
         selectedTabs.clear();
         if (window.updateSelectionToolbar) window.updateSelectionToolbar();
       } else {
-        chrome.tabs.remove(tabId);
+        closeTab(tabId);
       }
     }
   });
@@ -900,8 +1177,8 @@ function createTabNode(tabId, depth = 0) {
   // 2. Expand/Collapse Arrow
   const arrow = document.createElement("div");
   arrow.className = `expand-arrow ${hasChildren ? "" : "hidden"}`;
-  // Initialize rotation based on collapsed state
-  const isCollapsed = collapsedState.has(tabId);
+  // Initialize rotation based on collapsed state (as shown: search expands parents of matches)
+  const isCollapsed = treeRow ? treeRow.collapsed : collapsedState.has(tabId);
   if (!isCollapsed && hasChildren) {
     arrow.classList.add("rotated"); // Rotated means expanded (down)
   }
@@ -927,7 +1204,8 @@ function createTabNode(tabId, depth = 0) {
   // 4. Title
   const title = document.createElement("span");
   title.className = "tab-title";
-  title.textContent = customTitles.get(tabId) || tab.title;
+  if (treeRow && treeRow.match) highlightMatches(title, treeRow.match.title, treeRow.match.indices);
+  else title.textContent = customTitles.get(tabId) || tab.title;
   title.title = "Double-click to rename"; // Tooltip hint
 
   // Rename Logic
@@ -938,6 +1216,28 @@ function createTabNode(tabId, depth = 0) {
 
   row.appendChild(title);
 
+  // Link to a parent in another tab group, which it can't be nested under
+  if (treeRow && treeRow.crossGroupParent) {
+    const link = document.createElement("span");
+    link.className = "cross-group-link";
+    link.title = `${treeRow.crossGroupParent.text}. Click to go there.`;
+    link.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg>`;
+    link.addEventListener("click", (e) => {
+      e.stopPropagation();
+      chrome.tabs.update(treeRow.crossGroupParent.parentId, { active: true });
+    });
+    row.appendChild(link);
+  }
+
+  // Number of tabs hidden under a collapsed parent
+  if (treeRow && treeRow.hiddenCount > 0) {
+    const hidden = document.createElement("span");
+    hidden.className = "hidden-count";
+    hidden.textContent = `+${treeRow.hiddenCount}`;
+    hidden.title = `${treeRow.hiddenCount} hidden tab${treeRow.hiddenCount === 1 ? "" : "s"}`;
+    row.appendChild(hidden);
+  }
+
   // Context Menu
   row.addEventListener("contextmenu", (e) => {
     showContextMenu(e, tabId);
@@ -946,22 +1246,26 @@ function createTabNode(tabId, depth = 0) {
   // 5. Close Button
   const closeBtn = document.createElement("div");
   closeBtn.className = "close-btn";
+  if (treeRow && treeRow.warnOnClose) {
+    closeBtn.classList.add("close-warning");
+    closeBtn.title = `Also closes ${treeRow.hiddenCount} hidden tabs`;
+  }
   closeBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
   closeBtn.addEventListener("click", (e) => {
     e.stopPropagation(); // Prevent activation
 
     // In search results view, always close only this tab (never the whole selection)
     if (tabsListEl.classList.contains("is-search-results")) {
-      chrome.tabs.remove(tabId);
+      closeTabs(tabId);
       return;
     }
     // In tree view: if this tab is selected and there are multiple selections, close all selected tabs
     if (selectedTabs.has(tabId) && selectedTabs.size > 1) {
-      chrome.tabs.remove(Array.from(selectedTabs));
+      closeTabs(Array.from(selectedTabs));
       selectedTabs.clear();
       if (window.updateSelectionToolbar) window.updateSelectionToolbar();
     } else {
-      chrome.tabs.remove(tabId);
+      closeTab(tabId);
     }
   });
   row.appendChild(closeBtn);
@@ -973,56 +1277,99 @@ function createTabNode(tabId, depth = 0) {
     container.classList.add("selected");
   }
 
-  // 6. Children Container
-  if (hasChildren) {
-    const childrenContainer = document.createElement("div");
-    childrenContainer.className = `tab-children ${isCollapsed ? "collapsed" : ""}`;
+  return container;
+}
 
-    tab.children.forEach((childId) => {
-      const childNode = createTabNode(childId, depth + 1);
-      childrenContainer.appendChild(childNode);
-    });
-    container.appendChild(childrenContainer);
-  }
+// Fills an element with text, matched characters (from shared/fuzzy.js) wrapped in <mark>
+function highlightMatches(el, text, indices) {
+  el.textContent = "";
+  ZenTreeFuzzy.splitMatches(text, indices).forEach((part) => {
+    if (part.matched) {
+      const mark = document.createElement("mark");
+      mark.textContent = part.text;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(part.text));
+    }
+  });
+}
 
-  return container;
+// Search results are ranked by shared/tab-search.js: best match first, recently used tabs
+// winning close calls. Queries can filter too (domain:, is:pinned, group:"...", see parseQuery)
+function searchCurrentWindow(text) {
+  const tabs = Array.from(tabsMap.values());
+  const context = {
+    customTitles,
+    groupTitles: new Map(Array.from(currentGroupsMap.values(), (g) => [g.id, g.title || ""])),
+    currentWindowId: tabs.length ? tabs[0].windowId : undefined,
+  };
+  return ZenTreeSearch.searchTabs(ZenTreeSearch.parseQuery(text), tabs, context);
 }
 
 function renderFilteredList(text, savedScrollTop = 0) {
   tabsListEl.classList.add("is-search-results");
-  const term = text.toLowerCase();
-  for (let [id, tab] of tabsMap) {
-    if (
-      tab.title.toLowerCase().includes(term) ||
-      tab.url.toLowerCase().includes(term)
-    ) {
-      const row = createTabNode(id);
-      tabsListEl.appendChild(row);
-    }
-  }
+  tabsListEl.classList.remove("is-tree-search");
+  const results = searchCurrentWindow(text);
+  setSearchResults(results.map((r) => r.tab.id));
+  const related = getRelatedTabResults(Array.from(tabsMap.values()), results);
+  results.concat(related).forEach(({ tab, title, indices }, i) => {
+    if (i === results.length) appendRelatedHeader();
+    const row = createTabNode(tab.id);
+    highlightMatches(row.querySelector(".tab-title"), title, indices);
+    tabsListEl.appendChild(row);
+  });
+  markSelectedRows();
   tabsListEl.scrollTop = savedScrollTop;
 }
 
+// What group: and window: filters need: group titles, and window numbers as the
+// "Window 2" badges show them
+async function getSearchContext() {
+  const [groups, windows, current] = await Promise.all([
+    chrome.tabGroups.query({}),
+    chrome.windows.getAll({ populate: false }),
+    chrome.windows.getCurrent(),
+  ]);
+  return {
+    customTitles,
+    groupTitles: new Map(groups.map((g) => [g.id, g.title || ""])),
+    windowNumbers: new Map(windows.map((w, i) => [w.id, i + 1])),
+    currentWindowId: current.id,
+  };
+}
+
+/**
+ * Matches for the tree-preserving search: the matching tabs, and every tab that has to stay
+ * visible for them to be shown where they sit in the tree.
+ * @returns {{matches: Map<number, {title, indices}>, shown: Set<number>}}
+ */
+function getTreeSearchMatches(text) {
+  const matches = new Map();
+  const shown = new Set();
+  searchCurrentWindow(text).forEach(({ tab, title, indices }) => {
+    matches.set(tab.id, { title, indices });
+    for (let id = tab.id; id !== undefined && !shown.has(id); id = displayParents.get(id)) shown.add(id);
+  });
+  return { matches, shown };
+}
+
 async function fetchAndRenderFilteredAllWindows(term) {
   const allTabs = await chrome.tabs.query({});
-  const t = term.toLowerCase();
-  const filtered = allTabs.filter(
-    (tab) =>
-      (tab.title && tab.title.toLowerCase().includes(t)) ||
-      (tab.url && tab.url.toLowerCase().includes(t))
-  );
-  const windows = await chrome.windows.getAll({ populate: false });
-  const windowIndexMap = new Map();
-  windows.forEach((w, i) => windowIndexMap.set(w.id, i + 1));
-  renderFilteredListAllWindows(filtered, windowIndexMap);
+  const context = await getSearchContext();
+  const results = ZenTreeSearch.searchTabs(ZenTreeSearch.parseQuery(term), allTabs, context);
+  renderFilteredListAllWindows(results, context.windowNumbers, getRelatedTabResults(allTabs, results));
 }
 
-function renderFilteredListAllWindows(tabs, windowIndexMap) {
+/** @param {Array} [related] - hits by meaning (see Semantic Search), listed after the matches */
+function renderFilteredListAllWindows(results, windowIndexMap, related = []) {
   const savedScrollTop = tabsListEl.scrollTop;
   tabsListEl.innerHTML = "";
   tabsListEl.classList.add("is-search-results");
+  tabsListEl.classList.remove("is-tree-search");
+  setSearchResults(results.map((r) => r.tab.id));
 
-  tabs.forEach((tab) => {
+  results.concat(related).forEach(({ tab, title, indices }, i) => {
+    if (i === results.length) appendRelatedHeader();
     const windowLabel = windowIndexMap ? `Window ${windowIndexMap.get(tab.windowId) || "?"}` : "";
     const container = document.createElement("div");
     container.className = "tab-tree-node tab-tree-node-search-all";
@@ -1046,7 +1393,7 @@ function renderFilteredListAllWindows(tabs, windowIndexMap) {
     titleWrap.className = "tab-title-wrap";
     const titleEl = document.createElement("span");
     titleEl.className = "tab-title";
-    titleEl.textContent = tab.title || tab.url || "(No title)";
+    highlightMatches(titleEl, title || "(No title)", indices);
     titleWrap.appendChild(titleEl);
     if (windowLabel) {
       const winBadge = document.createElement("span");
@@ -1062,7 +1409,7 @@ function renderFilteredListAllWindows(tabs, windowIndexMap) {
     closeBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
     closeBtn.addEventListener("click", (e) => {
       e.stopPropagation();
-      chrome.tabs.remove(tab.id);
+      closeTabs(tab.id);
     });
     row.appendChild(closeBtn);
 
@@ -1070,7 +1417,8 @@ function renderFilteredListAllWindows(tabs, windowIndexMap) {
       e.preventDefault();
       showContextMenu(e, tab.id);
     });
-    row.addEventListener("click", () => {
+    row.addEventListener("click", (e) => {
+      if (toggleResultSelection(e, tab.id)) return;
       chrome.windows.update(tab.windowId, { focused: true }).then(() => {
         chrome.tabs.update(tab.id, { active: true });
       });
@@ -1079,15 +1427,10 @@ function renderFilteredListAllWindows(tabs, windowIndexMap) {
     container.appendChild(row);
     tabsListEl.appendChild(container);
   });
+  markSelectedRows();
   tabsListEl.scrollTop = savedScrollTop;
 }
 
-// --- Substring match: query must appear as contiguous part of str (case insensitive) ---
-function substringMatch(query, str) {
-  if (!str || !query) return false;
-  return str.toLowerCase().includes(query.toLowerCase().trim());
-}
-
 // --- Flatten bookmarks tree to list with folder path ---
 function flattenBookmarksWithPath(nodes, pathSoFar = []) {
   const results = [];
@@ -1105,7 +1448,7 @@ function flattenBookmarksWithPath(nodes, pathSoFar = []) {
   return results;
 }
 
-async function searchBookmarksBySubstring(query) {
+async function getFlatBookmarks() {
   const tree = await chrome.bookmarks.getTree();
   const root = tree[0];
   const nodes = root.children || [];
@@ -1113,15 +1456,15 @@ async function searchBookmarksBySubstring(query) {
   for (const node of nodes) {
     flat.push(...flattenBookmarksWithPath([node], []));
   }
-  const q = query.trim();
-  if (q.length < 2) return []; // require at least 2 chars so search isn't too broad
-  // Substring match only on: bookmark name (title), URL, and folder path
-  return flat.filter(
-    (b) =>
-      substringMatch(q, b.title) ||
-      substringMatch(q, b.url) ||
-      (b.path && substringMatch(q, b.path))
-  );
+  return flat;
+}
+
+/** Bookmarks matching a parsed search query, see ZenTreeSearch.searchBookmarks. */
+async function searchBookmarks(query) {
+  // Require at least 2 chars (or a filter) so search isn't too broad
+  if (query.text.trim().length < 2 && query.filters.length === 0 && query.excluded.length === 0) return [];
+  // Fuzzy match on: bookmark name (title), domain, folder path and URL
+  return ZenTreeSearch.searchBookmarks(query, await getFlatBookmarks());
 }
 
 async function fetchAndRenderUnifiedSearch(term) {
@@ -1130,54 +1473,55 @@ async function fetchAndRenderUnifiedSearch(term) {
     renderTree("");
     return;
   }
-  const q = query.toLowerCase();
 
   try {
-    // 1. Tab results (current window or all windows)
-    const tabQuery = searchAllWindows ? {} : { currentWindow: true };
-    const allTabs = await chrome.tabs.query(tabQuery);
-    const matchingTabs = allTabs.filter(
-      (tab) =>
-        (tab.title && tab.title.toLowerCase().includes(q)) ||
-        (tab.url && tab.url.toLowerCase().includes(q))
-    );
-
-    // 2. Bookmark results (substring match on title, url, path)
+    // 1. Tab results (current window or all windows; window: always looks at all of them)
+    const parsed = ZenTreeSearch.parseQuery(query);
+    const acrossWindows = getSearchScope(parsed).allWindows;
+    const allTabs = await chrome.tabs.query(acrossWindows ? {} : { currentWindow: true });
+    const context = await getSearchContext();
+    const matchingTabs = ZenTreeSearch.searchTabs(parsed, allTabs, context);
+
+    // 2. Bookmark results (fuzzy match on title, domain, path, url)
     let matchingBookmarks = [];
     if (chrome.bookmarks) {
       try {
-        matchingBookmarks = await searchBookmarksBySubstring(query);
+        matchingBookmarks = await searchBookmarks(parsed);
       } catch (err) {
         console.warn("Bookmark search failed:", err);
       }
     }
 
     // 3. Tab URLs so we don't show duplicate bookmark when same URL is open
-    const tabUrls = new Set(matchingTabs.map((t) => t.url));
+    const tabUrls = new Set(matchingTabs.map((r) => r.tab.url));
 
     // 4. Bookmarks that are not already open as a tab (by exact URL)
-    const bookmarksToShow = matchingBookmarks.filter((b) => !tabUrls.has(b.url));
+    const bookmarksToShow = matchingBookmarks.filter((r) => !tabUrls.has(r.bookmark.url));
 
-    const windowIndexMap = new Map();
-    if (searchAllWindows && matchingTabs.length) {
-      const windows = await chrome.windows.getAll({ populate: false });
-      windows.forEach((w, i) => windowIndexMap.set(w.id, i + 1));
-    }
+    // 5. Hits by meaning, if any, not already listed
+    const relatedTabs = getRelatedTabResults(allTabs, matchingTabs);
+    const listedUrls = new Set([...tabUrls, ...relatedTabs.map((r) => r.tab.url), ...bookmarksToShow.map((r) => r.bookmark.url)]);
+    const relatedBookmarks = getRelatedBookmarkResults().filter((r) => !listedUrls.has(r.bookmark.url));
 
-    renderUnifiedSearchResults(matchingTabs, bookmarksToShow, windowIndexMap);
+    renderUnifiedSearchResults(matchingTabs, bookmarksToShow, acrossWindows ? context.windowNumbers : new Map(), {
+      tabs: relatedTabs,
+      bookmarks: relatedBookmarks,
+    });
   } catch (err) {
     console.error("Unified search failed:", err);
     renderTree(query);
   }
 }
 
-function renderUnifiedSearchResults(tabResults, bookmarkResults, windowIndexMap) {
+/** @param {Object} [related] - { tabs, bookmarks } hits by meaning, listed after the matches */
+function renderUnifiedSearchResults(tabResults, bookmarkResults, windowIndexMap, related = { tabs: [], bookmarks: [] }) {
   const savedScrollTop = tabsListEl.scrollTop;
   tabsListEl.innerHTML = "";
   tabsListEl.classList.add("is-search-results");
+  tabsListEl.classList.remove("is-tree-search");
 
-  const addTabRow = (tab) => {
-    const windowLabel = searchAllWindows && windowIndexMap.size ? `Window ${windowIndexMap.get(tab.windowId) || "?"}` : "";
+  const addTabRow = ({ tab, title, indices }) => {
+    const windowLabel = windowIndexMap.size ? `Window ${windowIndexMap.get(tab.windowId) || "?"}` : "";
     const container = document.createElement("div");
     container.className = "search-result-tab-row";
     container.dataset.tabId = String(tab.id);
@@ -1205,7 +1549,7 @@ function renderUnifiedSearchResults(tabResults, bookmarkResults, windowIndexMap)
     textBlock.style.cssText = "min-width:0;flex:1;overflow:hidden;display:flex;align-items:center;gap:6px;flex-wrap:wrap;";
 
     const titleEl = document.createElement("span");
-    titleEl.textContent = tab.title || tab.url || "(No title)";
+    highlightMatches(titleEl, title || "(No title)", indices);
     titleEl.style.cssText = "font-size:13px;line-height:1.3;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;";
     titleEl.style.color = "var(--text-primary)";
     textBlock.appendChild(titleEl);
@@ -1225,7 +1569,7 @@ function renderUnifiedSearchResults(tabResults, bookmarkResults, windowIndexMap)
     closeBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
     closeBtn.addEventListener("click", (e) => {
       e.stopPropagation();
-      chrome.tabs.remove(tab.id);
+      closeTabs(tab.id);
     });
     row.appendChild(closeBtn);
 
@@ -1233,7 +1577,8 @@ function renderUnifiedSearchResults(tabResults, bookmarkResults, windowIndexMap)
       e.preventDefault();
       showContextMenu(e, tab.id);
     });
-    row.addEventListener("click", () => {
+    row.addEventListener("click", (e) => {
+      if (toggleResultSelection(e, tab.id)) return;
       chrome.windows.update(tab.windowId, { focused: true }).then(() => {
         chrome.tabs.update(tab.id, { active: true });
       });
@@ -1249,7 +1594,7 @@ function renderUnifiedSearchResults(tabResults, bookmarkResults, windowIndexMap)
     tabsListEl.appendChild(container);
   };
 
-  const addBookmarkRow = (bookmark) => {
+  const addBookmarkRow = ({ bookmark, indices }) => {
     const container = document.createElement("div");
     container.className = "search-result-bookmark-row";
 
@@ -1275,7 +1620,8 @@ function renderUnifiedSearchResults(tabResults, bookmarkResults, windowIndexMap)
     textBlock.style.cssText = "display:flex;flex-direction:column;gap:4px;min-width:0;flex:1;overflow:hidden;";
 
     const titleEl = document.createElement("span");
-    titleEl.textContent = bookmark.title || bookmark.url || "(No title)";
+    if (bookmark.title) highlightMatches(titleEl, bookmark.title, indices);
+    else titleEl.textContent = bookmark.url || "(No title)";
     titleEl.style.cssText = "font-size:13px;line-height:1.3;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;";
     titleEl.style.color = "var(--text-primary)";
     textBlock.appendChild(titleEl);
@@ -1325,18 +1671,20 @@ function renderUnifiedSearchResults(tabResults, bookmarkResults, windowIndexMap)
 
   tabResults.forEach(addTabRow);
   bookmarkResults.forEach(addBookmarkRow);
+  if (related.tabs.length || related.bookmarks.length) {
+    appendRelatedHeader();
+    related.tabs.forEach(addTabRow);
+    related.bookmarks.forEach(addBookmarkRow);
+  }
+  setSearchResults(tabResults.map((r) => r.tab.id));
+  markSelectedRows();
   tabsListEl.scrollTop = savedScrollTop;
 }
 
 // --- Logic ---
 
 async function toggleCollapse(tabId) {
-  if (collapsedState.has(tabId)) {
-    collapsedState.delete(tabId);
-  } else {
-    collapsedState.add(tabId);
-  }
-  await saveCollapsedState();
+  await setCollapsed(tabId, !collapsedState.has(tabId));
   fetchAndRenderTabs(); // Re-render to update UI
 }
 
@@ -1350,13 +1698,289 @@ function runSearch() {
     renderTree("");
     return;
   }
-  if (searchBookmarksToo && chrome.bookmarks) {
+  const query = ZenTreeSearch.parseQuery(val);
+  const scope = getSearchScope(query);
+  if (scope.bookmarks) {
     fetchAndRenderUnifiedSearch(val);
-  } else if (searchAllWindows) {
+  } else if (scope.allWindows) {
     fetchAndRenderFilteredAllWindows(val);
   } else {
     renderTree(val);
   }
+  // The tree-preserving search only shows tabs that match the words
+  if (scope.bookmarks || scope.allWindows || !searchKeepTree) scheduleSemanticSearch(val, query, scope);
+}
+
+// Where a search looks: in:bookmarks / in:tabs override the toggles; window: needs every window's tabs
+function getSearchScope(query) {
+  const withBookmarks = query.scope === "bookmarks" || (searchBookmarksToo && query.scope !== "tabs");
+  return {
+    bookmarks: withBookmarks && !!chrome.bookmarks,
+    allWindows: searchAllWindows || query.filters.some((f) => f.key === "window"),
+  };
+}
+
+// --- Search Syntax Hints ---
+// A dropdown under the search bar listing the filters parseQuery understands. It shows while
+// the search is empty, or while a word being typed could become a filter ("do" -> domain:).
+
+const SEARCH_HINTS = [
+  { syntax: "domain:", desc: "Tabs from a site, e.g. domain:github.com" },
+  { syntax: "is:audible", desc: "Playing sound" },
+  { syntax: "is:pinned", desc: "Pinned tabs" },
+  { syntax: "is:discarded", desc: "Unloaded to save memory" },
+  { syntax: "is:duplicate", desc: "Open in more than one tab" },
+  { syntax: "group:", desc: 'In a tab group, e.g. group:"Cookie Research"' },
+  { syntax: "window:", desc: "In one window, e.g. window:2" },
+  { syntax: "in:bookmarks", desc: "Search bookmarks only" },
+  { syntax: "-", desc: "Leave out matches, e.g. -is:pinned or -youtube" },
+];
+
+let searchHintsEl = null;
+let searchHintMatches = [];
+let selectedSearchHint = -1;
+
+// The word the caret is in, up to the caret
+function getSearchHintToken() {
+  const before = searchInput.value.slice(0, searchInput.selectionStart);
+  return before.split(/\s+/).pop();
+}
+
+function updateSearchHints() {
+  const token = getSearchHintToken();
+  const negated = token.startsWith("-");
+  const typed = (negated ? token.slice(1) : token).toLowerCase();
+  if (!searchInput.value.trim()) {
+    searchHintMatches = SEARCH_HINTS;
+  } else if (negated || typed.length >= 2) {
+    searchHintMatches = SEARCH_HINTS.filter((h) => h.syntax !== "-" && h.syntax !== typed && h.syntax.startsWith(typed));
+  } else {
+    searchHintMatches = [];
+  }
+  selectedSearchHint = -1;
+  renderSearchHints();
+}
+
+function renderSearchHints() {
+  const show = searchHintMatches.length > 0 && document.activeElement === searchInput;
+  searchHintsEl.classList.toggle("hidden", !show);
+  searchHintsEl.innerHTML = "";
+  if (!show) return;
+  searchHintMatches.forEach((hint, i) => {
+    const item = document.createElement("div");
+    item.className = `search-hint${i === selectedSearchHint ? " selected" : ""}`;
+    item.setAttribute("role", "option");
+    const code = document.createElement("code");
+    code.textContent = hint.syntax;
+    const desc = document.createElement("span");
+    desc.className = "search-hint-desc";
+    desc.textContent = hint.desc;
+    item.append(code, desc);
+    // mousedown, so the search bar keeps focus
+    item.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      applySearchHint(hint);
+    });
+    searchHintsEl.appendChild(item);
+  });
+}
+
+function hideSearchHints() {
+  searchHintMatches = [];
+  renderSearchHints();
+}
+
+// Replaces the word being typed with the hint; "-" keeps the word and starts a negation
+function applySearchHint(hint) {
+  const caret = searchInput.selectionStart;
+  const token = getSearchHintToken();
+  const start = caret - token.length;
+  let insert;
+  if (hint.syntax === "-") insert = token.startsWith("-") ? token : "-" + token;
+  else insert = (token.startsWith("-") ? "-" : "") + hint.syntax + (hint.syntax.endsWith(":") ? "" : " ");
+  searchInput.value = searchInput.value.slice(0, start) + insert + searchInput.value.slice(caret);
+  searchInput.setSelectionRange(start + insert.length, start + insert.length);
+  if (window.updateSearchClearVisibility) window.updateSearchClearVisibility();
+  runSearch();
+  updateSearchHints();
+}
+
+function initSearchHints() {
+  searchHintsEl = document.getElementById("search-hints");
+  if (!searchHintsEl) return;
+  searchInput.addEventListener("input", updateSearchHints);
+  searchInput.addEventListener("focus", updateSearchHints);
+  searchInput.addEventListener("click", updateSearchHints);
+  searchInput.addEventListener("blur", hideSearchHints);
+  // Arrow keys pick a hint, Enter or Tab takes it; without a picked hint keys work as before
+  searchInput.addEventListener("keydown", (e) => {
+    if (searchHintsEl.classList.contains("hidden")) return;
+    const count = searchHintMatches.length;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      selectedSearchHint = (selectedSearchHint + step + count + 1) % (count + 1);
+      if (selectedSearchHint === count) selectedSearchHint = -1;
+      renderSearchHints();
+    } else if ((e.key === "Enter" || e.key === "Tab") && selectedSearchHint >= 0) {
+      e.preventDefault();
+      applySearchHint(searchHintMatches[selectedSearchHint]);
+    } else if (e.key === "Escape") {
+      hideSearchHints();
+    } else {
+      return;
+    }
+    e.stopPropagation();
+  });
+}
+
+// --- Semantic Search ---
+// With "Search by Meaning" on (and AI features), a search also asks the AI worker, which holds
+// the grouping model, for tabs and bookmarks close in meaning to the words typed. Once it
+// answers, they are listed under the regular results as "Related by meaning".
+
+const SEMANTIC_SEARCH_DELAY = 400; // ms without typing before the model runs
+const SEMANTIC_MIN_LENGTH = 4; // shorter text rarely carries a meaning to search for
+const MAX_SEMANTIC_ITEMS = 2000; // tabs first, then bookmarks
+let semanticTimer = null;
+let semanticRequestId = 0;
+let semanticResults = { query: null, tabIds: [], bookmarks: [] }; // hits for the search shown
+const pendingSemanticRequests = new Map(); // requestId -> resolve
+
+function handleSemanticSearchMessage(e) {
+  const { type, requestId, results, error } = e.data;
+  const resolve = pendingSemanticRequests.get(requestId);
+  if (!resolve || (type !== "SEMANTIC_RESULTS" && type !== "ERROR")) return;
+  pendingSemanticRequests.delete(requestId);
+  if (error) console.warn("Semantic search failed:", error);
+  resolve(results || []);
+}
+
+/** @returns {Promise<Array<{key, score}>>} items ranked by the worker, best first */
+function rankByMeaning(query, items) {
+  const requestId = ++semanticRequestId;
+  return new Promise((resolve) => {
+    pendingSemanticRequests.set(requestId, resolve);
+    getAiWorker().postMessage({ type: "SEMANTIC_SEARCH", requestId, query, items, limit: 10 });
+  });
+}
+
+function scheduleSemanticSearch(val, query, scope) {
+  clearTimeout(semanticTimer);
+  // Already answered: this is the re-render that shows the hits
+  if (semanticResults.query === val) return;
+  semanticResults = { query: null, tabIds: [], bookmarks: [] };
+  if (query.text.trim().length < SEMANTIC_MIN_LENGTH) return;
+  semanticTimer = setTimeout(() => runSemanticSearch(val, query, scope), SEMANTIC_SEARCH_DELAY);
+}
+
+async function runSemanticSearch(val, query, scope) {
+  const { aiEnabled, semanticSearch } = await ZenTreeSettings.load(["aiEnabled", "semanticSearch"]);
+  if (!aiEnabled || !semanticSearch) return;
+  try {
+    // The same tabs and bookmarks the search looks at, with its filters applied
+    const unfiltered = { ...query, text: "" };
+    const tabs = await chrome.tabs.query(scope.allWindows ? {} : { currentWindow: true });
+    const candidateTabs = ZenTreeSearch.searchTabs(unfiltered, tabs, await getSearchContext()).map((r) => r.tab);
+    const candidateBookmarks = scope.bookmarks
+      ? ZenTreeSearch.searchBookmarks(unfiltered, await getFlatBookmarks()).map((r) => r.bookmark)
+      : [];
+    const bookmarksById = new Map(candidateBookmarks.map((b) => [b.id, b]));
+    const items = [
+      ...candidateTabs.map((tab) => ({ key: `tab:${tab.id}`, text: customTitles.get(tab.id) || tab.title })),
+      ...candidateBookmarks.map((bookmark) => ({ key: `bookmark:${bookmark.id}`, text: bookmark.title })),
+    ]
+      .filter((item) => item.text)
+      .slice(0, MAX_SEMANTIC_ITEMS);
+    if (items.length === 0) return;
+
+    const ranked = await rankByMeaning(query.text, items);
+    // Typed on meanwhile: a newer search is on its way
+    if (!searchInput || searchInput.value !== val) return;
+    semanticResults = {
+      query: val,
+      tabIds: ranked.filter((r) => r.key.startsWith("tab:")).map((r) => Number(r.key.slice(4))),
+      bookmarks: ranked
+        .filter((r) => r.key.startsWith("bookmark:"))
+        .map((r) => bookmarksById.get(r.key.slice(9)))
+        .filter(Boolean),
+    };
+    if (semanticResults.tabIds.length || semanticResults.bookmarks.length) runSearch();
+  } catch (err) {
+    console.warn("Semantic search failed:", err);
+  }
+}
+
+function hasSemanticResults() {
+  return !!searchInput && semanticResults.query === searchInput.value;
+}
+
+// Tabs found by meaning for the current search, minus the ones already listed
+function getRelatedTabResults(tabs, listed) {
+  if (!hasSemanticResults()) return [];
+  const listedIds = new Set(listed.map((r) => r.tab.id));
+  const tabsById = new Map(tabs.map((tab) => [tab.id, tab]));
+  return semanticResults.tabIds
+    .filter((id) => tabsById.has(id) && !listedIds.has(id))
+    .map((id) => {
+      const tab = tabsById.get(id);
+      return { tab, score: 0, title: customTitles.get(id) || tab.title || tab.url, indices: [] };
+    });
+}
+
+function getRelatedBookmarkResults() {
+  if (!hasSemanticResults()) return [];
+  return semanticResults.bookmarks.map((bookmark) => ({ bookmark, score: 0, indices: [] }));
+}
+
+function appendRelatedHeader() {
+  const header = document.createElement("div");
+  header.className = "search-related-header";
+  header.textContent = "Related by meaning";
+  tabsListEl.appendChild(header);
+}
+
+// --- Search Result Selection ---
+// "Select all" puts every tab a search found into selectedTabs, so the selection toolbar can
+// close, group, move, bookmark or copy them, across windows when the search spans them.
+
+let searchResultTabIds = []; // tabs the search shown matched (not the "related" ones)
+
+function setSearchResults(tabIds) {
+  searchResultTabIds = tabIds;
+  const btn = document.getElementById("select-all-results-btn");
+  if (!btn) return;
+  btn.classList.toggle("hidden", tabIds.length === 0);
+  btn.textContent = `Select all ${tabIds.length}`;
+}
+
+function selectAllSearchResults() {
+  searchResultTabIds.forEach((id) => selectedTabs.add(id));
+  markSelectedRows();
+  if (window.updateSelectionToolbar) window.updateSelectionToolbar();
+}
+
+// Shows selectedTabs on the rendered rows, tree and flat search results alike
+function markSelectedRows() {
+  tabsListEl.querySelectorAll("[data-tab-id]").forEach((node) => {
+    node.classList.toggle("selected", selectedTabs.has(Number(node.dataset.tabId)));
+  });
+}
+
+// Ctrl/Cmd+click on a search result row from any window adds or removes it
+function toggleResultSelection(e, tabId) {
+  if (!e.ctrlKey && !e.metaKey) return false;
+  if (selectedTabs.has(tabId)) selectedTabs.delete(tabId);
+  else selectedTabs.add(tabId);
+  markSelectedRows();
+  if (window.updateSelectionToolbar) window.updateSelectionToolbar();
+  return true;
+}
+
+// The selected tabs wherever they are, in selection order; closed ones are skipped
+async function getSelectedTabObjects() {
+  const tabs = await Promise.all(Array.from(selectedTabs, (id) => chrome.tabs.get(id).catch(() => null)));
+  return tabs.filter(Boolean);
 }
 
 // --- Event Handlers ---
@@ -1385,54 +2009,10 @@ function onTabCreated(tab) {
   pendingScrollTabId = tab.id;
   scheduleRender();
 }
-async function onTabRemoved(tabId, removeInfo) {
-  // Remove from visit history
-  if (visitOrderAcrossWindows) {
-    const i = visitOrderGlobal.order.indexOf(tabId);
-    if (i !== -1) {
-      visitOrderGlobal.order.splice(i, 1);
-      if (visitOrderGlobal.index >= visitOrderGlobal.order.length) visitOrderGlobal.index = Math.max(0, visitOrderGlobal.order.length - 1);
-      else if (visitOrderGlobal.index >= i) visitOrderGlobal.index = Math.max(0, visitOrderGlobal.index - 1);
-      saveVisitHistory();
-      if (window.updateVisitNavButtons) window.updateVisitNavButtons();
-    }
-  } else {
-    for (const wid of Object.keys(visitHistoryByWindow)) {
-      const state = visitHistoryByWindow[wid];
-      const i = state.order.indexOf(tabId);
-      if (i !== -1) {
-        state.order.splice(i, 1);
-        if (state.index >= state.order.length) state.index = Math.max(0, state.order.length - 1);
-        else if (state.index >= i) state.index = Math.max(0, state.index - 1);
-        saveVisitHistory();
-        if (window.updateVisitNavButtons) window.updateVisitNavButtons();
-        break;
-      }
-    }
-  }
-
-  // Orphan Adoption Logic:
-  // When a tab is removed, its children should move up to its parent (Grandparent adoption)
-  // We use tabsMap because it represents the STATE BEFORE THIS REMOVAL (mostly).
-
-  const node = tabsMap.get(tabId);
-  if (node && node.children && node.children.length > 0) {
-    // Find Grandparent
-    let grandparent = parentOverrides.get(tabId);
-    if (grandparent === undefined) grandparent = node.openerTabId; // Fallback if not saved yet
-    if (grandparent === -1) grandparent = null; // Was root
-
-    // If grandparent is also bad/missing (e.g. bulk close), we might default to Root (-1)
-
-    const newParentVal =
-      grandparent && tabsMap.has(grandparent) ? grandparent : -1;
-
-    for (const childId of node.children) {
-      parentOverrides.set(childId, newParentVal);
-    }
-    await saveParentOverrides();
-  }
-
+function onTabRemoved(tabId, removeInfo) {
+  // A selection can outlive its tabs (search results from other windows, closed elsewhere)
+  if (selectedTabs.delete(tabId) && window.updateSelectionToolbar) window.updateSelectionToolbar();
+  // Orphan adoption happens in the background worker, which sends TREE_CHANGED
   scheduleRender();
 }
 function onTabMoved() {
@@ -1440,73 +2020,35 @@ function onTabMoved() {
 }
 
 function onTabActivated(activeInfo) {
-  const { windowId, tabId } = activeInfo;
-
-  if (visitOrderAcrossWindows) {
-    // Global visit order across all windows
-    if (navigatingByArrows) {
-      navigatingByArrows = false;
-      const i = visitOrderGlobal.order.indexOf(tabId);
-      if (i !== -1) visitOrderGlobal.index = i;
-      if (window.updateVisitNavButtons) window.updateVisitNavButtons();
-    } else {
-      const i = visitOrderGlobal.order.indexOf(tabId);
-      if (i !== -1) {
-        visitOrderGlobal.index = i;
-        visitOrderGlobal.order = visitOrderGlobal.order.slice(0, i + 1);
-      } else {
-        visitOrderGlobal.order.push(tabId);
-        visitOrderGlobal.index = visitOrderGlobal.order.length - 1;
-      }
-      saveVisitHistory();
-      if (window.updateVisitNavButtons) window.updateVisitNavButtons();
-    }
-  } else {
-    // Per-window visit order
-    let state = visitHistoryByWindow[windowId];
-    if (!state) {
-      state = { order: [], index: -1 };
-      visitHistoryByWindow[windowId] = state;
-    }
-    if (navigatingByArrows) {
-      navigatingByArrows = false;
-      const i = state.order.indexOf(tabId);
-      if (i !== -1) state.index = i;
-      if (window.updateVisitNavButtons) window.updateVisitNavButtons();
-    } else {
-      const i = state.order.indexOf(tabId);
-      if (i !== -1) {
-        state.index = i;
-        state.order = state.order.slice(0, i + 1);
-      } else {
-        state.order.push(tabId);
-        state.index = state.order.length - 1;
-      }
-      saveVisitHistory();
-      if (window.updateVisitNavButtons) window.updateVisitNavButtons();
-    }
+  const { tabId } = activeInfo;
+  if (!tabsMap.has(tabId)) {
+    // Fallback if not found (e.g. new window or not rendered yet)
+    scheduleRender();
+    return;
   }
 
-  // Optimization: Don't re-render whole tree, just update class
-  const prevActive = document.querySelector(".tab-item.active");
-  if (prevActive) prevActive.classList.remove("active");
+  // Optimization: Don't re-render whole tree, just move the active flag
+  for (const tab of tabsMap.values()) tab.active = tab.id === tabId;
 
-  const newActiveContainer = document.querySelector(
-    `.tab-tree-node[data-tab-id="${tabId}"]`,
-  );
-  if (newActiveContainer) {
-    const newActive = newActiveContainer.querySelector(".tab-item");
-    if (newActive) {
-      newActive.classList.add("active");
-      // Scroll to view if not visible, using 'auto' to prevent erratic jumping
-      setTimeout(() => {
-        newActive.scrollIntoView({ behavior: "auto", block: "nearest" });
-      }, 10);
-    }
-  } else {
-    // Fallback if not found (e.g. new window or not rendered yet)
+  if (tabsListEl.classList.contains("is-search-results")) {
+    const prevActive = document.querySelector(".tab-item.active");
+    if (prevActive) prevActive.classList.remove("active");
+    const newActive = tabsListEl.querySelector(`.tab-tree-node[data-tab-id="${tabId}"] .tab-item`);
+    if (newActive) newActive.classList.add("active");
+    return;
+  }
+
+  if (!rowIndexByKey.has(`tab-${tabId}`)) {
+    // Inside a collapsed subtree or group
     scheduleRender();
+    return;
   }
+  refreshRowStates();
+  // Scroll to view if not visible, using 'auto' to prevent erratic jumping
+  setTimeout(() => {
+    const row = revealTabRow(tabId);
+    if (row) row.scrollIntoView({ behavior: "auto", block: "nearest" });
+  }, 10);
 }
 
 function onTabUpdated(tabId, changeInfo, tab) {
@@ -1514,7 +2056,12 @@ function onTabUpdated(tabId, changeInfo, tab) {
   const container = document.querySelector(
     `.tab-tree-node[data-tab-id="${tabId}"]`,
   );
+  // Keep tabsMap current: virtualized rows are rebuilt from it when they scroll back in
+  if (tabsMap.has(tabId)) Object.assign(tabsMap.get(tabId), changeInfo);
   if (!container) {
+    // Scrolled out of the virtualized tree? Nothing to patch then
+    const isStructural = changeInfo.pinned !== undefined || changeInfo.groupId !== undefined;
+    if (rowIndexByKey.has(`tab-${tabId}`) && !isStructural) return;
     // Tab not in DOM? structural change or new tab?
     return scheduleRender();
   }
@@ -1561,33 +2108,62 @@ function onTabUpdated(tabId, changeInfo, tab) {
 
 // --- Persistence ---
 
-async function loadCollapsedState() {
-  const res = await chrome.storage.local.get("collapsedState");
-  if (res.collapsedState) {
-    collapsedState = new Set(res.collapsedState);
-  }
+// Tree state (nesting, collapsed state, custom titles) is owned by the background
+// worker. We keep local copies for rendering and send every edit through it.
+
+async function loadTreeState() {
+  const state = await chrome.runtime.sendMessage({ type: "GET_TREE_STATE" });
+  applyTreeState(state);
 }
 
-async function saveCollapsedState() {
-  await chrome.storage.local.set({
-    collapsedState: Array.from(collapsedState),
-  });
+function applyTreeState(state) {
+  if (!state || state.error) return;
+  const tree = ZenTreeModel.deserialize(state);
+  parentOverrides = tree.parentOverrides;
+  collapsedState = tree.collapsedState;
+  customTitles = tree.customTitles;
 }
 
-async function loadCustomTitles() {
-  const res = await chrome.storage.local.get("customTitles");
-  if (res.customTitles) {
-    // Convert object back to map. Keys stored as strings in JSON.
-    customTitles = new Map(
-      Object.entries(res.customTitles).map(([k, v]) => [Number(k), v]),
-    );
+function onBackgroundMessage(message) {
+  if (!message) return;
+  if (message.type === "TREE_CHANGED") {
+    applyTreeState(message.state);
+    scheduleRender();
+  } else if (message.type === "VISIT_HISTORY_CHANGED") {
+    if (window.updateVisitNavButtons) window.updateVisitNavButtons();
+  } else if (message.type === "WORKSPACES_CHANGED") {
+    const section = document.getElementById("workspaces-section");
+    if (section && !section.classList.contains("hidden")) fetchAndRenderWorkspaces();
   }
 }
 
-async function saveCustomTitles() {
-  await chrome.storage.local.set({
-    customTitles: Object.fromEntries(customTitles),
-  });
+/**
+ * Nests a tab through the background worker, which refuses loops. The local copy only
+ * changes once the worker has stored the edit; on a refusal it is re-read and the reason shown.
+ * @returns {Promise<boolean>} whether the edit was accepted
+ */
+async function setParentOverride(tabId, parentId) {
+  const res = await chrome.runtime.sendMessage({ type: "SET_PARENT", tabId, parentId });
+  if (!res || !res.ok) {
+    await loadTreeState();
+    scheduleRender();
+    alert((res && res.error) || "Couldn't move the tab in the tree");
+    return false;
+  }
+  parentOverrides.set(tabId, parentId);
+  return true;
+}
+
+async function setCollapsed(tabId, collapsed) {
+  if (collapsed) collapsedState.add(tabId);
+  else collapsedState.delete(tabId);
+  await chrome.runtime.sendMessage({ type: "SET_COLLAPSED", tabId, collapsed });
+}
+
+async function setCustomTitle(tabId, title) {
+  if (title) customTitles.set(tabId, title);
+  else customTitles.delete(tabId);
+  await chrome.runtime.sendMessage({ type: "SET_CUSTOM_TITLE", tabId, title: title || null });
 }
 
 // --- Icon Logic ---
@@ -2041,6 +2617,9 @@ function handleDragEnd(e) {
   currentHoverTarget = null;
   lastNestTargetId = null;
   nestingMode = false;
+
+  // The dragged row was kept rendered even if it scrolled out of range
+  schedulePatchRows();
 }
 
 async function handleDrop(e) {
@@ -2068,8 +2647,7 @@ async function handleDrop(e) {
         await chrome.tabs.move(draggedTabId, { index: maxIndex });
 
         // Update parent override to root
-        parentOverrides.set(draggedTabId, -1);
-        await saveParentOverrides();
+        await setParentOverride(draggedTabId, -1);
       }
     } catch (err) {
       console.error("Move failed", err);
@@ -2126,164 +2704,41 @@ async function handleDrop(e) {
 // --- Tree Move Logic ---
 
 async function moveTabTree(sourceId, targetId, action) {
-  // 1. Get entire subtree of source
-  const movingIds = getSubtree(sourceId);
+  await loadTreeState(); // Sync latest state
 
-  // Prevent moving a parent into its own child (cycle)
-  if (movingIds.includes(targetId)) {
-    console.warn("Cannot move parent into its own child");
+  const plan = ZenTreeModel.planMove(
+    { tabsById: tabsMap, rootTabs, groupBuckets, displayParents },
+    sourceId,
+    targetId,
+    action,
+  );
+  if (!plan) {
+    // Prevent moving a parent into its own child (cycle)
+    console.warn("Cannot move tab tree", sourceId, action, targetId);
     return;
   }
 
-  // 2. Determine new Parent and new Index
-  await loadParentOverrides(); // Sync latest state
-
-  let newParentId = null;
-  let targetIndex = -1;
-
-  const targetTab = tabsMap.get(targetId);
-  if (!targetTab) return;
-
-  if (action === "nest") {
-    // A becomes child of B
-    newParentId = targetId;
-
-    // Append to the end of B's children
-    // We need to find the flat index of the LAST descendant of B
-    const targetSubtree = getSubtree(targetId);
-    const lastDescendantId = targetSubtree[targetSubtree.length - 1];
-    const lastDescendant = tabsMap.get(lastDescendantId);
-
-    // Target index is after the last descendant
-    targetIndex = lastDescendant.index + 1;
-
-    // Determine offset: if we are moving DOWN, the target index logic works.
-    // If we are moving UP, indices shift. Chrome.tabs.move handles the shift if "index" is used correctly
-    // relative to CURRENT layout.
-    // Note: references to 'index' are from BEFORE the move.
-    // If source is BEFORE target, moving it effectively subtracts from target's index.
-    // Safer to just say: "Place it at X".
-  } else if (action === "before") {
-    // A becomes sibling of B, placed immediately before B
-
-    // Parent is same as B's parent
-    const parentOfTarget = parentOverrides.get(targetId);
-    // If undefined, check internal map or assume root (null if explicitly -1 or missing)
-    // We can just rely on what our 'buildTree' logic thinks B's parent is.
-    // BUT logic needs to match `parentOverrides` structure.
-    // Let's look up B's current effective parent.
-    newParentId = parentOverrides.get(targetId);
-    if (newParentId === undefined) {
-      // If not overridden, could be opener.
-      // But for consistent DragDrop we usually "break" opener bond and make it explicit root or child.
-      // If B is root (null), A becomes root.
-      // Since we don't have easy access to "effective parent" safely without re-running hierarchy logic,
-      // let's peek at the DOM or simplify?
-      // Actually, `tabsMap` doesn't store computed parent easily.
-
-      // Let's assume: if target is a Root in UI, new parent is null (-1).
-      if (rootTabs.includes(targetId)) newParentId = -1;
-      else {
-        // Find who claims B as child
-        // Expensive reverse lookup? Or just stick to explicit overrides?
-        // If we don't know, we default to -1 (Root) or keep existing parent?
-        // Better approach: Look at the DOM structure!
-        const targetNode = document.querySelector(
-          `.tab-tree-node[data-tab-id="${targetId}"]`,
-        );
-        const parentNode = targetNode.parentElement.closest(".tab-tree-node");
-        if (parentNode) {
-          newParentId = Number(parentNode.dataset.tabId);
-        } else {
-          newParentId = -1; // Root
-        }
-      }
-    }
-
-    // Index: B's current index
-    targetIndex = targetTab.index;
-  } else if (action === "after") {
-    // A becomes sibling of B, placed after B (and B's subtree)
-
-    // Parent: Same as 'before' case
-    const targetNode = document.querySelector(
-      `.tab-tree-node[data-tab-id="${targetId}"]`,
-    );
-    const parentNode = targetNode.parentElement.closest(".tab-tree-node");
-    if (parentNode) {
-      newParentId = Number(parentNode.dataset.tabId);
-    } else {
-      newParentId = -1;
-    }
-
-    // Index: After B's entire subtree
-    const targetSubtree = getSubtree(targetId);
-    const lastDescendantId = targetSubtree[targetSubtree.length - 1];
-    const lastDescendant = tabsMap.get(lastDescendantId);
-
-    targetIndex = lastDescendant.index + 1;
-  }
-
-  // 3. Update Visual/Internal Hierarchy (Parent Overrides)
+  // Update Visual/Internal Hierarchy (Parent Overrides)
   // We only update the ROOT of the moving subtree
-  if (newParentId === -1) {
-    // Explicit root: delete override if we want to revert to opener?
-    // No, we want to FORCE root. So set to -1.
-    parentOverrides.set(sourceId, -1);
-  } else if (newParentId) {
-    parentOverrides.set(sourceId, newParentId);
-  } else {
-    // undefined/null? Treat as root usually or keep existing.
-    // Safest is explicit -1 if we mean root.
-    // If we matched a parent, set it.
-  }
-
-  await saveParentOverrides();
-
-  // 4. Perform the Move (Chrome Tabs API)
-  // We move the entire subtree to the new index.
-  // NOTE: indices change as we move items.
-  // Chrome API allows moving multiple tabs at once! `chrome.tabs.move(tabIds, {index})`
-  // This is atomic and handles shifting much better.
+  if (!(await setParentOverride(sourceId, plan.parentId))) return;
 
+  // Perform the Move (Chrome Tabs API)
+  // `chrome.tabs.move(tabIds, {index})` moves the whole subtree at once, which handles the
+  // index shifting much better than moving tabs one by one.
   try {
-    await chrome.tabs.move(movingIds, { index: targetIndex });
-
-    // Force immediate re-render to sync visual state with Chrome
-    await fetchAndRenderTabs();
-  } catch (err) {
-    console.error("Move failed", err);
-    // Fallback: re-render to at least show current state (even if move failed)
-    await fetchAndRenderTabs();
-  }
-}
-
-function getSubtree(rootId) {
-  const results = [rootId];
-  const tab = tabsMap.get(rootId);
-  if (tab && tab.children) {
-    for (const childId of tab.children) {
-      results.push(...getSubtree(childId));
-    }
-  }
-  return results;
-}
-
-// Hierarchy Override for Drag & Drop
+    await chrome.tabs.move(plan.movingIds, { index: plan.index });
 
-async function loadParentOverrides() {
-  const res = await chrome.storage.local.get("parentOverrides");
-  if (res.parentOverrides) {
-    parentOverrides = new Map(
-      Object.entries(res.parentOverrides).map(([k, v]) => [Number(k), v]),
-    );
+    // Force immediate re-render to sync visual state with Chrome
+    await fetchAndRenderTabs();
+  } catch (err) {
+    console.error("Move failed", err);
+    // Fallback: re-render to at least show current state (even if move failed)
+    await fetchAndRenderTabs();
   }
 }
 
-async function saveParentOverrides() {
-  await chrome.storage.local.set({
-    parentOverrides: Object.fromEntries(parentOverrides),
-  });
+function getSubtree(rootId) {
+  return ZenTreeModel.getSubtree({ tabsById: tabsMap }, rootId);
 }
 
 // --- Bookmarks Logic ---
@@ -2418,16 +2873,22 @@ document.addEventListener("DOMContentLoaded", () => {
   const toggleBookmarksBtn = document.getElementById("toggle-bookmarks-btn");
   const toggleDownloadsBtn = document.getElementById("toggle-downloads-btn");
   const toggleGroupsBtn = document.getElementById("toggle-groups-btn");
+  const toggleWorkspacesBtn = document.getElementById("toggle-workspaces-btn");
+  const toggleSessionsBtn = document.getElementById("toggle-sessions-btn");
 
   const bookmarksSection = document.getElementById("bookmarks-section");
   const downloadsSection = document.getElementById("downloads-section");
   const groupsSection = document.getElementById("groups-section");
+  const workspacesSection = document.getElementById("workspaces-section");
+  const sessionsSection = document.getElementById("sessions-section");
   const divider = document.querySelector(".section-divider");
 
   // Default to hidden
   if (bookmarksSection) bookmarksSection.classList.add("hidden");
   if (downloadsSection) downloadsSection.classList.add("hidden");
   if (groupsSection) groupsSection.classList.add("hidden");
+  if (workspacesSection) workspacesSection.classList.add("hidden");
+  if (sessionsSection) sessionsSection.classList.add("hidden");
   if (divider) divider.classList.add("hidden");
 
   function toggleSection(sectionName) {
@@ -2447,6 +2908,16 @@ document.addEventListener("DOMContentLoaded", () => {
         btn: toggleGroupsBtn,
         fetch: fetchAndRenderGroups,
       },
+      workspaces: {
+        section: workspacesSection,
+        btn: toggleWorkspacesBtn,
+        fetch: fetchAndRenderWorkspaces,
+      },
+      sessions: {
+        section: sessionsSection,
+        btn: toggleSessionsBtn,
+        fetch: fetchAndRenderSessions,
+      },
     };
 
     const target = sections[sectionName];
@@ -2501,11 +2972,19 @@ document.addEventListener("DOMContentLoaded", () => {
     );
   if (toggleGroupsBtn)
     toggleGroupsBtn.addEventListener("click", () => toggleSection("groups"));
+  if (toggleWorkspacesBtn)
+    toggleWorkspacesBtn.addEventListener("click", () =>
+      toggleSection("workspaces"),
+    );
+  if (toggleSessionsBtn)
+    toggleSessionsBtn.addEventListener("click", () => toggleSection("sessions"));
 
   // Close button event listeners
   const closeBookmarksBtn = document.getElementById("close-bookmarks");
   const closeDownloadsBtn = document.getElementById("close-downloads");
   const closeGroupsBtn = document.getElementById("close-groups");
+  const closeWorkspacesBtn = document.getElementById("close-workspaces");
+  const closeSessionsBtn = document.getElementById("close-sessions");
 
   if (closeBookmarksBtn) {
     closeBookmarksBtn.addEventListener("click", (e) => {
@@ -2528,6 +3007,36 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  if (closeWorkspacesBtn) {
+    closeWorkspacesBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      toggleSection("workspaces");
+    });
+  }
+
+  const newWorkspaceBtn = document.getElementById("new-workspace-btn");
+  if (newWorkspaceBtn) newWorkspaceBtn.addEventListener("click", createWorkspace);
+
+  if (closeSessionsBtn) {
+    closeSessionsBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      toggleSection("sessions");
+    });
+  }
+
+  const saveSessionBtn = document.getElementById("save-session-btn");
+  if (saveSessionBtn) saveSessionBtn.addEventListener("click", saveCurrentSession);
+
+  const importTreeBtn = document.getElementById("import-tree-btn");
+  if (importTreeBtn) importTreeBtn.addEventListener("click", showImportDialog);
+
+  const exportWindowBtn = document.getElementById("export-window-btn");
+  if (exportWindowBtn) {
+    exportWindowBtn.addEventListener("click", async () => {
+      showExportDialog(await captureCurrentWindowTree(), "Export Window");
+    });
+  }
+
   // Refresh listener for downloads
   const refreshDlBtn = document.getElementById("refresh-downloads");
   if (refreshDlBtn)
@@ -3001,49 +3510,541 @@ function createGroupManagementNode(group, tabs) {
         tabTitle.textContent = tab.title;
         tabItem.appendChild(tabTitle);
 
-        tabItem.addEventListener("click", () => {
-          chrome.tabs.update(tab.id, { active: true });
-        });
+        tabItem.addEventListener("click", () => {
+          chrome.tabs.update(tab.id, { active: true });
+        });
+
+        // Using mousedown instead of auxclick to prevent browser's autoscroll
+        tabItem.addEventListener("mousedown", (e) => {
+          if (e.button === 1) {
+            e.stopPropagation();
+            e.preventDefault();
+
+            // Consistent multi-selection close logic if applicable here too
+            // Note: Groups management might not have the same selectedTabs logic as the main tree,
+            // but for consistency we use the simple remove if it's not selected in the main tree.
+            if (selectedTabs.has(tab.id) && selectedTabs.size > 1) {
+              closeTabs(Array.from(selectedTabs));
+              selectedTabs.clear();
+              if (window.updateSelectionToolbar) window.updateSelectionToolbar();
+            } else {
+              closeTabs(tab.id);
+            }
+            fetchAndRenderGroups(); // Refresh list after closing
+          }
+        });
+
+        tabsList.appendChild(tabItem);
+      });
+      container.appendChild(tabsList);
+    }
+  });
+
+  return container;
+}
+
+function showRenameDialog(group) {
+  const newTitle = prompt("Enter new group name:", group.title || "");
+  if (newTitle !== null) {
+    chrome.tabGroups
+      .update(group.id, { title: newTitle })
+      .then(() => fetchAndRenderGroups())
+      .catch((err) => console.error("Failed to rename group", err));
+  }
+}
+
+// --- Workspaces Logic ---
+// Workspaces are owned by the background worker (it parks and restores the tabs); this is just the list UI.
+
+async function fetchAndRenderWorkspaces() {
+  const listEl = document.getElementById("workspaces-list");
+  if (!listEl) return;
+
+  try {
+    const win = await chrome.windows.getCurrent();
+    const { activeId, workspaces } = await chrome.runtime.sendMessage({
+      type: "GET_WORKSPACES",
+      windowId: win.id,
+    });
+    listEl.innerHTML = "";
+    workspaces.forEach((ws) => {
+      listEl.appendChild(createWorkspaceNode(ws, ws.id === activeId, win.id));
+    });
+    const toggleBtn = document.getElementById("toggle-workspaces-btn");
+    const active = workspaces.find((ws) => ws.id === activeId);
+    if (toggleBtn && active) toggleBtn.title = `Workspaces (${active.name})`;
+  } catch (err) {
+    console.error("Failed to load workspaces", err);
+    listEl.innerHTML = `<div style="padding:10px; color:var(--text-secondary);">Error loading workspaces.</div>`;
+  }
+}
+
+function createWorkspaceNode(ws, isActive, windowId) {
+  const container = document.createElement("div");
+  container.className = "group-management-item workspace-item";
+  if (isActive) container.classList.add("active");
+
+  const header = document.createElement("div");
+  header.className = "group-management-header";
+
+  const dot = document.createElement("div");
+  dot.className = "group-color-dot";
+  dot.style.backgroundColor = "var(--text-secondary)";
+  header.appendChild(dot);
+
+  const info = document.createElement("div");
+  info.className = "group-management-info";
+
+  const title = document.createElement("div");
+  title.className = "group-management-title";
+  title.textContent = ws.name;
+  info.appendChild(title);
+
+  const meta = document.createElement("div");
+  meta.className = "group-management-meta";
+  meta.textContent = `${ws.tabCount} tab${ws.tabCount !== 1 ? "s" : ""}${isActive ? " • Current" : ""}`;
+  info.appendChild(meta);
+
+  header.appendChild(info);
+
+  const actions = document.createElement("div");
+  actions.className = "group-management-actions";
+
+  const renameBtn = document.createElement("button");
+  renameBtn.className = "group-action-btn";
+  renameBtn.title = "Rename Workspace";
+  renameBtn.innerHTML =
+    '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"></path></svg>';
+  renameBtn.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    const name = prompt("Enter new workspace name:", ws.name);
+    if (!name || !name.trim()) return;
+    await chrome.runtime.sendMessage({ type: "RENAME_WORKSPACE", workspaceId: ws.id, name: name.trim() });
+  });
+  actions.appendChild(renameBtn);
+
+  if (!isActive) {
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "group-action-btn";
+    deleteBtn.title = "Delete Workspace (its tabs move to this one)";
+    deleteBtn.innerHTML =
+      '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>';
+    deleteBtn.addEventListener("click", async (e) => {
+      e.stopPropagation();
+      if (!confirm(`Delete workspace "${ws.name}"? Its tabs will move into the current workspace.`)) return;
+      const res = await chrome.runtime.sendMessage({ type: "DELETE_WORKSPACE", workspaceId: ws.id, windowId });
+      if (res && res.error) alert(res.error);
+    });
+    actions.appendChild(deleteBtn);
+  }
+
+  header.appendChild(actions);
+  container.appendChild(header);
+
+  header.addEventListener("click", () => {
+    if (!isActive) switchWorkspace(ws.id);
+  });
+
+  return container;
+}
+
+async function switchWorkspace(workspaceId) {
+  const win = await chrome.windows.getCurrent();
+  await chrome.runtime.sendMessage({ type: "SWITCH_WORKSPACE", windowId: win.id, workspaceId });
+}
+
+async function createWorkspace() {
+  const name = prompt("Enter workspace name:");
+  if (!name || !name.trim()) return;
+  const res = await chrome.runtime.sendMessage({ type: "CREATE_WORKSPACE", name: name.trim() });
+  if (res && res.id) await switchWorkspace(res.id);
+}
+
+// --- Sessions Logic ---
+// A session is a named snapshot of one window's tree (see shared/tree-snapshot.js), reopened as
+// an identical tree in a new window.
+
+const SESSIONS_STORAGE_KEY = "ztSavedSessions";
+
+async function loadSavedSessions() {
+  const res = await chrome.storage.local.get({ [SESSIONS_STORAGE_KEY]: [] });
+  return res[SESSIONS_STORAGE_KEY];
+}
+
+async function saveSavedSessions(sessions) {
+  await chrome.storage.local.set({ [SESSIONS_STORAGE_KEY]: sessions });
+}
+
+/**
+ * Snapshot of the current window, or only the given tabs (used by export as well).
+ * @param {Set<number>|null} includeTabIds - null for every tab
+ */
+async function captureCurrentWindowTree(includeTabIds = null) {
+  const [tabs, groups] = await Promise.all([
+    chrome.tabs.query({ currentWindow: true }),
+    chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT }),
+  ]);
+  const isIncluded = includeTabIds ? (id) => includeTabIds.has(id) : undefined;
+  return ZenTreeSnapshot.captureTree(tabs, groups, { parentOverrides, customTitles, collapsedState }, isIncluded);
+}
+
+async function saveCurrentSession() {
+  const name = prompt("Enter session name:", `Session ${new Date().toLocaleString()}`);
+  if (!name || !name.trim()) return;
+  try {
+    const tree = await captureCurrentWindowTree();
+    const sessions = await loadSavedSessions();
+    sessions.unshift({ id: `s-${Date.now().toString(36)}`, name: name.trim(), savedAt: Date.now(), tree });
+    await saveSavedSessions(sessions);
+    fetchAndRenderSessions();
+  } catch (err) {
+    console.error("Failed to save session", err);
+  }
+}
+
+async function fetchAndRenderSessions() {
+  const listEl = document.getElementById("sessions-list");
+  if (!listEl) return;
+  listEl.innerHTML = "";
+
+  try {
+    const sessions = await loadSavedSessions();
+    if (sessions.length === 0) {
+      listEl.innerHTML = `<div style="padding:10px; color:var(--text-secondary); text-align:center;">No saved sessions</div>`;
+      return;
+    }
+    sessions.forEach((session) => listEl.appendChild(createSessionNode(session)));
+  } catch (err) {
+    console.error("Failed to load sessions", err);
+    listEl.innerHTML = `<div style="padding:10px; color:var(--text-secondary);">Error loading sessions.</div>`;
+  }
+}
+
+function createSessionNode(session) {
+  const container = document.createElement("div");
+  container.className = "group-management-item";
+
+  const header = document.createElement("div");
+  header.className = "group-management-header";
+  header.title = "Open in a new window";
+
+  const info = document.createElement("div");
+  info.className = "group-management-info";
+
+  const title = document.createElement("div");
+  title.className = "group-management-title";
+  title.textContent = session.name;
+  info.appendChild(title);
+
+  const tabCount = ZenTreeSnapshot.countTabs(session.tree.nodes);
+  const meta = document.createElement("div");
+  meta.className = "group-management-meta";
+  meta.textContent = `${tabCount} tab${tabCount !== 1 ? "s" : ""} • ${new Date(session.savedAt).toLocaleDateString()}`;
+  info.appendChild(meta);
+
+  header.appendChild(info);
+
+  const actions = document.createElement("div");
+  actions.className = "group-management-actions";
+
+  const renameBtn = document.createElement("button");
+  renameBtn.className = "group-action-btn";
+  renameBtn.title = "Rename Session";
+  renameBtn.innerHTML =
+    '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"></path></svg>';
+  renameBtn.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    const name = prompt("Enter new session name:", session.name);
+    if (!name || !name.trim()) return;
+    const sessions = await loadSavedSessions();
+    const target = sessions.find((s) => s.id === session.id);
+    if (target) target.name = name.trim();
+    await saveSavedSessions(sessions);
+    fetchAndRenderSessions();
+  });
+  actions.appendChild(renameBtn);
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "group-action-btn";
+  deleteBtn.title = "Delete Session";
+  deleteBtn.innerHTML =
+    '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path></svg>';
+  deleteBtn.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    if (!confirm(`Delete session "${session.name}"?`)) return;
+    const sessions = await loadSavedSessions();
+    await saveSavedSessions(sessions.filter((s) => s.id !== session.id));
+    fetchAndRenderSessions();
+  });
+  actions.appendChild(deleteBtn);
+
+  header.appendChild(actions);
+  container.appendChild(header);
+
+  header.addEventListener("click", () => {
+    openTreeInNewWindow(session.tree).catch((err) => console.error("Failed to open session", err));
+  });
+
+  return container;
+}
+
+/**
+ * Opens a snapshot tree in a new window, recreating nesting, custom titles,
+ * collapsed nodes and tab groups. With `discarded`, tabs are unloaded once their URL commits.
+ */
+async function openTreeInNewWindow(tree, { discarded = false } = {}) {
+  const win = await chrome.windows.create({ focused: true });
+  const placeholderTabId = win.tabs && win.tabs[0] ? win.tabs[0].id : null;
+
+  const merged = { parentOverrides: {}, customTitles: {}, collapsedState: [] };
+  const groupsToCreate = [];
+
+  // Depth-first in display order, so tabs land in the same order they were saved in
+  async function openNodes(nodes, parentTabId, pendingGroup) {
+    for (const node of nodes || []) {
+      if (node.type === "group") {
+        const pending = { node, tabIds: [] };
+        groupsToCreate.push(pending);
+        await openNodes(node.children, parentTabId, pending);
+        continue;
+      }
+      let tabId = parentTabId;
+      try {
+        const tab = await chrome.tabs.create({
+          windowId: win.id,
+          url: node.url || undefined,
+          pinned: !!node.pinned,
+          active: false,
+        });
+        tabId = tab.id;
+        merged.parentOverrides[tab.id] = parentTabId ?? -1;
+        if (node.customTitle) merged.customTitles[tab.id] = node.customTitle;
+        if (node.collapsed) merged.collapsedState.push(tab.id);
+        if (pendingGroup) pendingGroup.tabIds.push(tab.id);
+      } catch (err) {
+        // e.g. URLs extensions aren't allowed to open; its children nest under the nearest ancestor instead
+        console.warn("Could not reopen tab", node.url, err);
+      }
+      await openNodes(node.children, tabId, pendingGroup);
+    }
+  }
+  await openNodes(tree.nodes, null, null);
+
+  await chrome.runtime.sendMessage({ type: "MERGE_TREE_STATE", ...merged });
+
+  for (const { node, tabIds } of groupsToCreate) {
+    if (tabIds.length === 0) continue;
+    try {
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: win.id } });
+      await chrome.tabGroups.update(groupId, {
+        title: node.title || "",
+        color: node.color || "grey",
+        collapsed: !!node.collapsed,
+      });
+    } catch (err) {
+      console.warn("Could not recreate tab group", node.title, err);
+    }
+  }
+
+  if (placeholderTabId !== null && Object.keys(merged.parentOverrides).length > 0) {
+    await chrome.tabs.remove(placeholderTabId).catch(() => {});
+  }
+
+  if (discarded) {
+    // After MERGE_TREE_STATE: if discarding swaps a tab ID, the background migrates it (onReplaced)
+    await Promise.all(Object.keys(merged.parentOverrides).map((id) => discardWhenCommitted(Number(id))));
+  }
+}
+
+// Discarding before the navigation commits would leave an empty about:blank tab behind
+function discardWhenCommitted(tabId) {
+  return new Promise((resolve) => {
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      chrome.tabs.onUpdated.removeListener(listener);
+      clearTimeout(timer);
+      chrome.tabs.discard(tabId).catch(() => {}).finally(resolve);
+    };
+    const listener = (id, changeInfo) => {
+      if (id === tabId && changeInfo.url) finish();
+    };
+    const timer = setTimeout(finish, 10000);
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.get(tabId).then(
+      (tab) => {
+        if (tab.url && !tab.pendingUrl) finish();
+      },
+      () => finish(),
+    );
+  });
+}
+
+// --- Import Logic ---
+
+function showImportDialog() {
+  const modal = document.getElementById("import-modal");
+  if (!modal) return;
+  document.getElementById("import-text").value = "";
+  document.getElementById("import-error").classList.add("hidden");
+  modal.classList.remove("hidden");
+  modal.classList.add("fade-out");
+  requestAnimationFrame(() => {
+    modal.classList.remove("fade-out");
+  });
+}
+
+function closeImportDialog() {
+  const modal = document.getElementById("import-modal");
+  if (modal) {
+    modal.classList.add("fade-out");
+    setTimeout(() => {
+      modal.classList.add("hidden");
+      modal.classList.remove("fade-out");
+    }, 250);
+  }
+}
+
+async function importTree() {
+  const errorEl = document.getElementById("import-error");
+  const text = document.getElementById("import-text").value;
+  const discarded = document.getElementById("import-discarded").checked;
+
+  let parsed;
+  try {
+    parsed = ZenTreeImport.parse(text);
+  } catch (err) {
+    errorEl.textContent = err.message;
+    errorEl.classList.remove("hidden");
+    return;
+  }
+  closeImportDialog();
+  try {
+    await openTreeInNewWindow(parsed.tree, { discarded });
+  } catch (err) {
+    console.error("Import failed", err);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const importModal = document.getElementById("import-modal");
+  const fileInput = document.getElementById("import-file-input");
+  document.getElementById("close-import")?.addEventListener("click", closeImportDialog);
+  document.getElementById("import-confirm-btn")?.addEventListener("click", importTree);
+  document.getElementById("import-file-btn")?.addEventListener("click", () => fileInput?.click());
+  if (fileInput) {
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      document.getElementById("import-text").value = await file.text();
+      fileInput.value = "";
+    });
+  }
+  if (importModal) {
+    importModal.addEventListener("click", (e) => {
+      if (e.target === importModal) closeImportDialog();
+    });
+  }
+});
+
+// --- Export Logic ---
+// Exports are snapshots (captureCurrentWindowTree), nested like the panel and like saved sessions.
 
-        // Using mousedown instead of auxclick to prevent browser's autoscroll
-        tabItem.addEventListener("mousedown", (e) => {
-          if (e.button === 1) {
-            e.stopPropagation();
-            e.preventDefault();
+let pendingExportTree = null;
+let exportFormat = "markdown";
 
-            // Consistent multi-selection close logic if applicable here too
-            // Note: Groups management might not have the same selectedTabs logic as the main tree,
-            // but for consistency we use the simple remove if it's not selected in the main tree.
-            if (selectedTabs.has(tab.id) && selectedTabs.size > 1) {
-              chrome.tabs.remove(Array.from(selectedTabs));
-              selectedTabs.clear();
-              if (window.updateSelectionToolbar) window.updateSelectionToolbar();
-            } else {
-              chrome.tabs.remove(tab.id);
-            }
-            fetchAndRenderGroups(); // Refresh list after closing
-          }
-        });
+// The subtree on its own, without the tab group around it
+async function captureSubtree(tabId) {
+  const tree = await captureCurrentWindowTree(new Set(getSubtree(tabId)));
+  return { ...tree, nodes: tree.nodes.flatMap((node) => (node.type === "group" ? node.children : [node])) };
+}
 
-        tabsList.appendChild(tabItem);
-      });
-      container.appendChild(tabsList);
-    }
+function showExportDialog(tree, title) {
+  pendingExportTree = tree;
+  const modal = document.getElementById("export-modal");
+  const grid = document.getElementById("export-format-grid");
+  if (!modal || !grid) return;
+
+  const tabCount = ZenTreeSnapshot.countTabs(tree.nodes);
+  document.getElementById("export-title").textContent =
+    `${title} (${tabCount} tab${tabCount !== 1 ? "s" : ""})`;
+
+  grid.innerHTML = "";
+  Object.entries(ZenTreeExport.FORMATS).forEach(([id, format]) => {
+    const option = document.createElement("button");
+    option.className = `selection-btn export-format-btn${id === exportFormat ? " active" : ""}`;
+    option.textContent = format.label;
+    option.addEventListener("click", () => {
+      exportFormat = id;
+      grid.querySelectorAll(".export-format-btn").forEach((b) => b.classList.remove("active"));
+      option.classList.add("active");
+    });
+    grid.appendChild(option);
   });
 
-  return container;
+  modal.classList.remove("hidden");
+  modal.classList.add("fade-out");
+  requestAnimationFrame(() => {
+    modal.classList.remove("fade-out");
+  });
 }
 
-function showRenameDialog(group) {
-  const newTitle = prompt("Enter new group name:", group.title || "");
-  if (newTitle !== null) {
-    chrome.tabGroups
-      .update(group.id, { title: newTitle })
-      .then(() => fetchAndRenderGroups())
-      .catch((err) => console.error("Failed to rename group", err));
+function closeExportDialog() {
+  const modal = document.getElementById("export-modal");
+  if (modal) {
+    modal.classList.add("fade-out");
+    setTimeout(() => {
+      modal.classList.add("hidden");
+      modal.classList.remove("fade-out");
+      pendingExportTree = null;
+    }, 250);
+  }
+}
+
+function serializePendingExport() {
+  const format = ZenTreeExport.FORMATS[exportFormat];
+  return { format, text: format.serialize(pendingExportTree) };
+}
+
+async function copyExport() {
+  if (!pendingExportTree) return;
+  const { text } = serializePendingExport();
+  try {
+    await navigator.clipboard.writeText(text);
+    closeExportDialog();
+  } catch (err) {
+    console.error("Failed to copy export", err);
+  }
+}
+
+async function downloadExport() {
+  if (!pendingExportTree) return;
+  const { format, text } = serializePendingExport();
+  const url = URL.createObjectURL(new Blob([text], { type: format.mimeType }));
+  const stamp = new Date().toISOString().slice(0, 10);
+  try {
+    await chrome.downloads.download({ url, filename: `zentree-tabs-${stamp}.${format.extension}`, saveAs: true });
+    closeExportDialog();
+  } catch (err) {
+    console.error("Failed to download export", err);
   }
+  // The download has grabbed the data by the time the save dialog closes
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
 }
 
+document.addEventListener("DOMContentLoaded", () => {
+  const exportModal = document.getElementById("export-modal");
+  document.getElementById("close-export")?.addEventListener("click", closeExportDialog);
+  document.getElementById("export-copy-btn")?.addEventListener("click", copyExport);
+  document.getElementById("export-download-btn")?.addEventListener("click", downloadExport);
+  if (exportModal) {
+    exportModal.addEventListener("click", (e) => {
+      if (e.target === exportModal) closeExportDialog();
+    });
+  }
+});
+
 let currentGroupForColorPicker = null;
 
 function showColorPicker(group) {
@@ -3130,6 +4131,10 @@ document.addEventListener("DOMContentLoaded", () => {
   const selectionCount = document.getElementById("selection-count");
   const closeSelectedBtn = document.getElementById("close-selected-btn");
   const groupSelectedBtn = document.getElementById("group-selected-btn");
+  const newWindowSelectedBtn = document.getElementById("new-window-selected-btn");
+  const bookmarkSelectedBtn = document.getElementById("bookmark-selected-btn");
+  const copySelectedBtn = document.getElementById("copy-selected-btn");
+  const exportSelectedBtn = document.getElementById("export-selected-btn");
   const clearSelectionBtn = document.getElementById("clear-selection-btn");
 
   // Update selection toolbar visibility and count
@@ -3156,11 +4161,14 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Close selected tabs
   if (closeSelectedBtn) {
-    closeSelectedBtn.addEventListener("click", () => {
+    closeSelectedBtn.addEventListener("click", async () => {
       if (selectedTabs.size > 0) {
-        chrome.tabs.remove(Array.from(selectedTabs));
+        const tabIds = (await getSelectedTabObjects()).map((t) => t.id);
         selectedTabs.clear();
         updateSelectionToolbar();
+        if (tabIds.length > 0) {
+          chrome.tabs.remove(tabIds).catch((err) => console.error("Failed to close selected tabs:", err));
+        }
       }
     });
   }
@@ -3169,9 +4177,12 @@ document.addEventListener("DOMContentLoaded", () => {
   if (groupSelectedBtn) {
     groupSelectedBtn.addEventListener("click", async () => {
       if (selectedTabs.size > 0) {
-        const tabIds = Array.from(selectedTabs);
+        const tabIds = (await getSelectedTabObjects()).filter((t) => !t.pinned).map((t) => t.id);
+        if (tabIds.length === 0) return;
         try {
-          const group = await chrome.tabs.group({ tabIds });
+          // Search results can come from other windows; the new group gathers them in this one
+          const { id: windowId } = await chrome.windows.getCurrent();
+          const group = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
           const groupTitle = prompt("Enter group name (optional):");
           if (groupTitle) {
             await chrome.tabGroups.update(group, { title: groupTitle });
@@ -3186,13 +4197,87 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // Briefly says what an action did in place of the count
+  function flashSelectionStatus(text) {
+    selectionCount.textContent = text;
+    setTimeout(updateSelectionToolbar, 1500);
+  }
+
+  // Move just the selected tabs to a new window; tabs nested under them stay behind. The
+  // background worker does the move so it doesn't carry their subtrees along
+  if (newWindowSelectedBtn) {
+    newWindowSelectedBtn.addEventListener("click", async () => {
+      const tabs = await getSelectedTabObjects();
+      if (tabs.length === 0) return;
+      try {
+        const res = await chrome.runtime.sendMessage({ type: "MOVE_TO_NEW_WINDOW", tabIds: tabs.map((t) => t.id) });
+        if (res && res.error) throw new Error(res.error);
+        selectedTabs.clear();
+        updateSelectionToolbar();
+      } catch (err) {
+        console.error("Move to new window failed", err);
+      }
+    });
+  }
+
+  // Bookmark selected tabs into a folder (an existing one if the name matches)
+  if (bookmarkSelectedBtn) {
+    bookmarkSelectedBtn.addEventListener("click", async () => {
+      const tabs = await getSelectedTabObjects();
+      if (tabs.length === 0) return;
+      const query = searchInput ? searchInput.value.trim() : "";
+      const title = prompt("Bookmark folder:", query || `Tabs ${new Date().toLocaleDateString()}`);
+      if (!title || !title.trim()) return;
+      try {
+        const existing = (await chrome.bookmarks.search({ title: title.trim() })).find((node) => !node.url);
+        // Without a parentId Chrome puts the folder in "Other Bookmarks"
+        const folder = existing || (await chrome.bookmarks.create({ title: title.trim() }));
+        for (const tab of tabs) {
+          const url = tab.url || tab.pendingUrl;
+          if (url) await chrome.bookmarks.create({ parentId: folder.id, title: customTitles.get(tab.id) || tab.title || url, url });
+        }
+        flashSelectionStatus(`Bookmarked ${tabs.length}`);
+      } catch (err) {
+        console.error("Bookmarking selected tabs failed", err);
+      }
+    });
+  }
+
+  // Copy selected tabs as a Markdown list of links
+  if (copySelectedBtn) {
+    copySelectedBtn.addEventListener("click", async () => {
+      const tabs = await getSelectedTabObjects();
+      if (tabs.length === 0) return;
+      const nodes = tabs.map((tab) => ({
+        type: "tab",
+        url: tab.url || tab.pendingUrl || "",
+        title: tab.title || "",
+        customTitle: customTitles.get(tab.id),
+        children: [],
+      }));
+      try {
+        await navigator.clipboard.writeText(ZenTreeExport.toMarkdown({ nodes }));
+        flashSelectionStatus(`Copied ${tabs.length} link${tabs.length === 1 ? "" : "s"}`);
+      } catch (err) {
+        console.error("Copying links failed", err);
+      }
+    });
+  }
+
+  // Export selected tabs (nesting among the selected tabs is kept)
+  if (exportSelectedBtn) {
+    exportSelectedBtn.addEventListener("click", async () => {
+      if (selectedTabs.size > 0) {
+        showExportDialog(await captureCurrentWindowTree(new Set(selectedTabs)), "Export Selection");
+      }
+    });
+  }
+
   // Clear selection
   if (clearSelectionBtn) {
     clearSelectionBtn.addEventListener("click", () => {
       selectedTabs.clear();
-      document.querySelectorAll(".tab-tree-node.selected").forEach((el) => {
-        el.classList.remove("selected");
-      });
+      markSelectedRows();
       updateSelectionToolbar();
     });
   }
@@ -3223,7 +4308,12 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     // Tab from search bar — skip to tab list (focus active or first row)
-    if (e.key === "Tab" && !e.shiftKey && document.activeElement === searchInput) {
+    if (e.key === "Tab" && !e.shiftKey && document.activeElement === searchInput && isVirtualTree() && getVisibleTabIds().length) {
+      e.preventDefault();
+      const activeTab = Array.from(tabsMap.values()).find((t) => t.active);
+      const ids = getVisibleTabIds();
+      focusTreeTab(activeTab && ids.includes(activeTab.id) ? activeTab.id : ids[0]);
+    } else if (e.key === "Tab" && !e.shiftKey && document.activeElement === searchInput) {
       const rows = getFocusableTabRows();
       if (rows.length) {
         e.preventDefault();
@@ -3239,6 +4329,16 @@ document.addEventListener("DOMContentLoaded", () => {
     // Ctrl/Cmd + A - Select all tabs
     if ((e.ctrlKey || e.metaKey) && e.key === "a") {
       e.preventDefault();
+      if (searchResultTabIds.length > 0) {
+        // While searching: every match, in all the windows searched
+        selectAllSearchResults();
+        return;
+      }
+      if (!tabsListEl.classList.contains("is-search-results")) {
+        // Includes the tree rows that are scrolled out of the DOM
+        getVisibleTabIds().forEach((tabId) => selectedTabs.add(tabId));
+        refreshRowStates();
+      }
       const allTabNodes = document.querySelectorAll(".tab-tree-node");
       allTabNodes.forEach((node) => {
         const tabId = Number(node.dataset.tabId);
@@ -3253,9 +4353,7 @@ document.addEventListener("DOMContentLoaded", () => {
     // Escape - Clear selection
     if (e.key === "Escape" && selectedTabs.size > 0) {
       selectedTabs.clear();
-      document.querySelectorAll(".tab-tree-node.selected").forEach((el) => {
-        el.classList.remove("selected");
-      });
+      markSelectedRows();
       updateSelectionToolbar();
     }
 
@@ -3265,7 +4363,7 @@ document.addEventListener("DOMContentLoaded", () => {
       selectedTabs.size > 0
     ) {
       e.preventDefault();
-      chrome.tabs.remove(Array.from(selectedTabs));
+      closeTabs(Array.from(selectedTabs));
       selectedTabs.clear();
       updateSelectionToolbar();
     }
@@ -3281,6 +4379,25 @@ document.addEventListener("DOMContentLoaded", () => {
       .filter(Boolean);
   }
 
+  // The tree renders only the rows near the viewport, so it is navigated by tab ID and
+  // the target row is scrolled into the rendered range before it gets focus
+  function isVirtualTree() {
+    return !tabsListEl.classList.contains("is-search-results") && visibleRows.length > 0;
+  }
+
+  function focusRow(row) {
+    tabsListEl
+      .querySelectorAll(".tab-item, .search-result-tab-row-inner")
+      .forEach((r) => r.setAttribute("tabindex", r === row ? "0" : "-1"));
+    row.focus();
+    row.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }
+
+  function focusTreeTab(tabId) {
+    const row = revealTabRow(tabId);
+    if (row) focusRow(row);
+  }
+
   function getTabIdFromRow(row) {
     const node = row.closest("[data-tab-id]");
     return node ? Number(node.dataset.tabId) : NaN;
@@ -3305,12 +4422,38 @@ document.addEventListener("DOMContentLoaded", () => {
     const active = document.activeElement;
     if (active.closest("input, textarea, [contenteditable=true], .context-menu")) return;
 
-    const rows = getFocusableTabRows();
-    if (!rows.length) return;
-
     const key = e.key;
     if (key !== "ArrowDown" && key !== "ArrowUp" && key !== "Enter" && key !== "Home" && key !== "End") return;
 
+    if (isVirtualTree()) {
+      const ids = getVisibleTabIds();
+      const currentIndex = active.classList.contains("tab-item") ? ids.indexOf(getTabIdFromRow(active)) : -1;
+      let targetIndex = currentIndex;
+      if (key === "ArrowDown") {
+        targetIndex = currentIndex < 0 ? 0 : Math.min(currentIndex + 1, ids.length - 1);
+      } else if (key === "ArrowUp") {
+        targetIndex = currentIndex <= 0 ? ids.length - 1 : currentIndex - 1;
+      } else if (key === "Home") {
+        targetIndex = 0;
+      } else if (key === "End") {
+        targetIndex = ids.length - 1;
+      } else if (key === "Enter") {
+        if (currentIndex >= 0) {
+          e.preventDefault();
+          activateRowTab(active);
+        }
+        return;
+      }
+      if (ids.length && (targetIndex !== currentIndex || currentIndex < 0)) {
+        e.preventDefault();
+        focusTreeTab(ids[targetIndex]);
+      }
+      return;
+    }
+
+    const rows = getFocusableTabRows();
+    if (!rows.length) return;
+
     const currentIndex = rows.indexOf(active);
     let targetIndex = currentIndex;
 
@@ -3342,6 +4485,12 @@ document.addEventListener("DOMContentLoaded", () => {
   // When panel or list receives focus and no row is focused, first ArrowDown/Up will focus first/last row (handled above)
   tabsListEl.setAttribute("tabindex", "0");
   tabsListEl.addEventListener("focus", () => {
+    if (isVirtualTree()) {
+      const activeTab = Array.from(tabsMap.values()).find((t) => t.active);
+      const ids = getVisibleTabIds();
+      if (ids.length) focusTreeTab(activeTab && ids.includes(activeTab.id) ? activeTab.id : ids[0]);
+      return;
+    }
     const rows = getFocusableTabRows();
     if (rows.length && !rows.includes(document.activeElement)) {
       const activeRow = tabsListEl.querySelector(".tab-item.active, .search-result-tab-row-inner");
@@ -3365,6 +4514,20 @@ document.addEventListener("DOMContentLoaded", () => {
 let aiWorker = null;
 let preGroupingState = null; // Store tab states before AI grouping
 
+// One worker, and so one copy of the model, serves both grouping and semantic search
+function getAiWorker() {
+  if (!aiWorker) {
+    aiWorker = new Worker("worker/ai-worker.js", { type: "module" });
+    aiWorker.addEventListener("message", handleSemanticSearchMessage);
+    // A worker that fails to start never answers: settle the searches waiting on it
+    aiWorker.addEventListener("error", () => {
+      pendingSemanticRequests.forEach((resolve) => resolve([]));
+      pendingSemanticRequests.clear();
+    });
+  }
+  return aiWorker;
+}
+
 function setupAI() {
   const organizeBtn = document.getElementById("ai-organize-btn");
   const undoBtn = document.getElementById("undo-ai-grouping-btn");
@@ -3374,7 +4537,7 @@ function setupAI() {
   if (!organizeBtn) return;
 
   // Load AI enabled state
-  chrome.storage.local.get({ aiEnabled: true }, (res) => {
+  ZenTreeSettings.load(["aiEnabled"]).then((res) => {
     const enabled = res.aiEnabled;
     if (aiToggle) aiToggle.checked = enabled;
     updateAIButtonState(enabled);
@@ -3388,6 +4551,12 @@ function setupAI() {
       updateAIButtonState(enabled);
     });
   }
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !changes.aiEnabled) return;
+    const enabled = ZenTreeSettings.normalize({ aiEnabled: changes.aiEnabled.newValue }).aiEnabled;
+    if (aiToggle) aiToggle.checked = enabled;
+    updateAIButtonState(enabled);
+  });
 
   // Undo button listener
   if (undoBtn) {
@@ -3434,7 +4603,7 @@ function setupAI() {
 
   organizeBtn.addEventListener("click", async () => {
     // Check if AI is enabled
-    const { aiEnabled } = await chrome.storage.local.get({ aiEnabled: true });
+    const { aiEnabled } = await ZenTreeSettings.load(["aiEnabled"]);
     if (!aiEnabled) {
       statusEl.classList.remove('hidden');
       statusEl.classList.add('fade-out');
@@ -3455,12 +4624,12 @@ function setupAI() {
       return;
     }
 
-    // 1. Initialize Worker if needed
-    if (!aiWorker) {
-      aiWorker = new Worker("worker/ai-worker.js", { type: "module" });
-
+    // 1. Initialize Worker if needed (semantic search may have started it already)
+    if (!getAiWorker().onmessage) {
       aiWorker.onmessage = async (e) => {
         const { type, groups, error } = e.data;
+        // Semantic search replies, see handleSemanticSearchMessage
+        if (e.data.requestId !== undefined) return;
 
         if (type === "GROUPS_GENERATED") {
           statusEl.textContent = `Found ${Object.keys(groups).length} groups. Applying...`;
@@ -3568,7 +4737,7 @@ function setupAI() {
     }
 
     // 4. Send to Worker with hybrid mode (default)
-    const { groupingThreshold } = await chrome.storage.local.get({ groupingThreshold: 2 });
+    const { groupingThreshold } = await ZenTreeSettings.load(["groupingThreshold"]);
 
     aiWorker.postMessage({
       type: "SORT_TABS",
@@ -3663,8 +4832,7 @@ function initContextMenu() {
       if (tab) {
         const newTab = await chrome.tabs.create({ openerTabId: contextMenuTabId });
         // Persist as child so tree shows it nested (Chrome may not set openerTabId from extension)
-        parentOverrides.set(newTab.id, contextMenuTabId);
-        await saveParentOverrides();
+        await setParentOverride(newTab.id, contextMenuTabId);
         fetchAndRenderTabs();
         hideContextMenu();
       }
@@ -3761,28 +4929,140 @@ function initContextMenu() {
   document.getElementById("ctx-promote").addEventListener("click", async () => {
     if (contextMenuTabId) {
       // Remove from nested head -> Make it a root
-      parentOverrides.set(contextMenuTabId, -1);
-      await saveParentOverrides();
+      await setParentOverride(contextMenuTabId, -1);
       fetchAndRenderTabs();
       hideContextMenu();
     }
   });
 
+  document.getElementById("ctx-export-subtree")?.addEventListener("click", async () => {
+    if (contextMenuTabId && tabsMap.has(contextMenuTabId)) {
+      const tabId = contextMenuTabId;
+      hideContextMenu();
+      showExportDialog(await captureSubtree(tabId), "Export Subtree");
+    }
+  });
+
+  // --- Subtree actions (the tab and all its descendants) ---
+
+  document.getElementById("ctx-subtree-reload")?.addEventListener("click", async () => {
+    const tabIds = getContextSubtree();
+    hideContextMenu();
+    await Promise.all(tabIds.map((id) => chrome.tabs.reload(id).catch(() => {})));
+  });
+
+  document.getElementById("ctx-subtree-mute")?.addEventListener("click", async () => {
+    const tabIds = getContextSubtree();
+    hideContextMenu();
+    // Mute all unless every tab already is
+    const shouldMute = tabIds.some((id) => !tabsMap.get(id)?.mutedInfo?.muted);
+    await Promise.all(tabIds.map((id) => chrome.tabs.update(id, { muted: shouldMute }).catch(() => {})));
+  });
+
+  document.getElementById("ctx-subtree-discard")?.addEventListener("click", async () => {
+    // The active tab can't be discarded
+    const tabIds = getContextSubtree().filter((id) => !tabsMap.get(id)?.active);
+    hideContextMenu();
+    await Promise.all(tabIds.map((id) => chrome.tabs.discard(id).catch(() => {})));
+  });
+
+  document.getElementById("ctx-subtree-bookmark")?.addEventListener("click", async () => {
+    const rootId = contextMenuTabId;
+    hideContextMenu();
+    if (!rootId || !tabsMap.has(rootId)) return;
+    const name = prompt("Enter bookmark folder name:", customTitles.get(rootId) || tabsMap.get(rootId).title);
+    if (name === null) return;
+    try {
+      await bookmarkSubtree(rootId, name.trim() || tabsMap.get(rootId).title);
+      const section = document.getElementById("bookmarks-section");
+      if (section && !section.classList.contains("hidden")) fetchAndRenderBookmarks();
+    } catch (err) {
+      console.error("Failed to bookmark subtree:", err);
+    }
+  });
+
+  document.getElementById("ctx-subtree-group")?.addEventListener("click", async () => {
+    const rootId = contextMenuTabId;
+    // Pinned tabs can't be grouped
+    const tabIds = getContextSubtree().filter((id) => !tabsMap.get(id)?.pinned);
+    hideContextMenu();
+    if (tabIds.length === 0) return;
+    try {
+      const group = await chrome.tabs.group({ tabIds });
+      const groupTitle = prompt("Enter group name (optional):", customTitles.get(rootId) || tabsMap.get(rootId)?.title || "");
+      if (groupTitle) {
+        await chrome.tabGroups.update(group, { title: groupTitle });
+      }
+      fetchAndRenderTabs();
+    } catch (error) {
+      console.error("Failed to group subtree:", error);
+    }
+  });
+
+  document.getElementById("ctx-subtree-new-window")?.addEventListener("click", async () => {
+    const rootId = contextMenuTabId;
+    hideContextMenu();
+    if (!rootId || !tabsMap.has(rootId)) return;
+    try {
+      // The background worker sees the tab attach to the new window and carries its descendants along
+      await chrome.windows.create({ tabId: rootId, focused: true });
+    } catch (err) {
+      console.error("Move subtree to new window failed", err);
+    }
+  });
+
+  document.getElementById("ctx-subtree-close")?.addEventListener("click", () => {
+    const tabIds = getContextSubtree();
+    hideContextMenu();
+    if (tabIds.length > 0) {
+      chrome.tabs.remove(tabIds).catch((err) => console.error("Close subtree failed", err));
+    }
+  });
+
   document.getElementById("ctx-close").addEventListener("click", () => {
     if (contextMenuTabId) {
       // Check for multi-select
       if (selectedTabs.has(contextMenuTabId) && selectedTabs.size > 1) {
-        chrome.tabs.remove(Array.from(selectedTabs));
+        closeTabs(Array.from(selectedTabs));
         selectedTabs.clear();
         if (window.updateSelectionToolbar) window.updateSelectionToolbar();
       } else {
-        chrome.tabs.remove(contextMenuTabId);
+        closeTab(contextMenuTabId);
       }
       hideContextMenu();
     }
   });
 }
 
+// The right-clicked tab and its descendants, in display order
+function getContextSubtree() {
+  if (!contextMenuTabId || !tabsMap.has(contextMenuTabId)) return [];
+  return getSubtree(contextMenuTabId);
+}
+
+/**
+ * Saves a tab and its descendants as nested bookmark folders under "Other Bookmarks":
+ * every tab with children becomes a folder holding its own bookmark followed by its children.
+ */
+async function bookmarkSubtree(rootId, folderTitle) {
+  const addNode = async (tabId, parentId, title) => {
+    const tab = tabsMap.get(tabId);
+    if (!tab) return;
+    const name = customTitles.get(tabId) || tab.title || tab.url;
+    let folderId = parentId;
+    // The root always gets the folder the user named, even without children
+    if (tab.children.length > 0 || title) {
+      folderId = (await chrome.bookmarks.create({ parentId, title: title || name })).id;
+    }
+    await chrome.bookmarks.create({ parentId: folderId, title: name, url: tab.url || tab.pendingUrl });
+    for (const childId of tab.children) {
+      await addNode(childId, folderId);
+    }
+  };
+  // Without a parentId Chrome puts the folder in "Other Bookmarks"
+  await addNode(rootId, undefined, folderTitle);
+}
+
 function showContextMenu(e, tabId) {
   e.preventDefault();
   e.stopPropagation();
@@ -3807,6 +5087,21 @@ function showContextMenu(e, tabId) {
     muteText.textContent = tab.mutedInfo?.muted ? "Unmute Tab" : "Mute Tab";
   }
 
+  // Subtree actions only make sense for tabs with children
+  const subtreeSize = tab && tab.children && tab.children.length > 0 ? getSubtree(tabId).length : 0;
+  document.querySelectorAll(".ctx-subtree-item").forEach((item) => {
+    item.style.display = subtreeSize > 0 ? "" : "none";
+  });
+  if (subtreeSize > 0) {
+    const subtreeMuteText = document.getElementById("ctx-subtree-mute-text");
+    if (subtreeMuteText) {
+      const allMuted = getSubtree(tabId).every((id) => tabsMap.get(id)?.mutedInfo?.muted);
+      subtreeMuteText.textContent = allMuted ? "Unmute Subtree" : "Mute Subtree";
+    }
+    const subtreeCloseText = document.getElementById("ctx-subtree-close-text");
+    if (subtreeCloseText) subtreeCloseText.textContent = `Close Subtree (${subtreeSize} Tabs)`;
+  }
+
   // Toggle "Remove from Nested Head" visibility
   const promoteBtn = document.getElementById("ctx-promote");
   const node = document.querySelector(`.tab-tree-node[data-tab-id="${tabId}"]`);
@@ -3902,12 +5197,8 @@ function activateRenameMode(tabId) {
   input.className = "rename-input";
 
   const commit = async () => {
-    if (input.value && input.value !== tab.title) {
-      customTitles.set(tabId, input.value);
-    } else {
-      customTitles.delete(tabId); // Revert to original if empty or same
-    }
-    await saveCustomTitles();
+    // Revert to original if empty or same
+    await setCustomTitle(tabId, input.value && input.value !== tab.title ? input.value : null);
     fetchAndRenderTabs();
   };
 
@@ -3930,3 +5221,292 @@ function activateRenameMode(tabId) {
 document.addEventListener("DOMContentLoaded", () => {
   initContextMenu();
 });
+
+// --- Command Palette ---
+// Ctrl/Cmd+K lists every panel action plus the open tabs, fuzzy matched (shared/fuzzy.js).
+// Tab commands act on the active tab; they reuse the context menu's handlers.
+
+const RECENT_COMMANDS_KEY = "ztRecentCommands";
+const MAX_RECENT_COMMANDS = 8;
+const MAX_PALETTE_TABS = 20;
+
+let paletteEntries = []; // What the list shows: { id?, title, hint, run, indices }
+let paletteIndex = 0;
+let paletteTabs = [];
+let recentCommands = [];
+
+function getPaletteCommands() {
+  const activeTab = Array.from(tabsMap.values()).find((t) => t.active);
+  const hasChildren = () => !!activeTab && activeTab.children.length > 0;
+  const clickEl = (id) => () => document.getElementById(id)?.click();
+  const visitNav = (direction) => clickEl(direction < 0 ? "visit-prev-btn" : "visit-next-btn");
+  const isShown = (id) => {
+    const el = document.getElementById(id);
+    return !!el && !el.disabled && !el.classList.contains("hidden");
+  };
+  // Runs a context menu item as if the active tab had been right-clicked
+  const onActiveTab = (ctxId) => () => {
+    contextMenuTabId = activeTab.id;
+    document.getElementById(ctxId)?.click();
+  };
+
+  const commands = [
+    { id: "tab-new-child", title: "New Tab as Child", run: onActiveTab("ctx-new-child") },
+    { id: "tab-duplicate", title: "Duplicate Tab", run: onActiveTab("ctx-duplicate") },
+    { id: "tab-reload", title: "Reload Tab", run: onActiveTab("ctx-reload") },
+    { id: "tab-mute", title: activeTab?.mutedInfo?.muted ? "Unmute Tab" : "Mute Tab", run: onActiveTab("ctx-mute") },
+    {
+      id: "tab-rename",
+      title: "Rename Tab…",
+      run: () => {
+        revealTabRow(activeTab.id);
+        activateRenameMode(activeTab.id);
+      },
+    },
+    {
+      id: "tab-promote",
+      title: "Remove from Nested Head",
+      available: () => displayParents.has(activeTab.id),
+      run: onActiveTab("ctx-promote"),
+    },
+    {
+      id: "tab-collapse",
+      title: collapsedState.has(activeTab?.id) ? "Expand Subtree" : "Collapse Subtree",
+      available: hasChildren,
+      run: () => toggleCollapse(activeTab.id),
+    },
+    { id: "tab-export-subtree", title: "Export Subtree…", run: onActiveTab("ctx-export-subtree") },
+    { id: "subtree-reload", title: "Reload Subtree", available: hasChildren, run: onActiveTab("ctx-subtree-reload") },
+    { id: "subtree-mute", title: "Mute / Unmute Subtree", available: hasChildren, run: onActiveTab("ctx-subtree-mute") },
+    { id: "subtree-discard", title: "Discard Subtree", available: hasChildren, run: onActiveTab("ctx-subtree-discard") },
+    { id: "subtree-bookmark", title: "Bookmark Subtree…", available: hasChildren, run: onActiveTab("ctx-subtree-bookmark") },
+    { id: "subtree-group", title: "Group Subtree", available: hasChildren, run: onActiveTab("ctx-subtree-group") },
+    {
+      id: "subtree-new-window",
+      title: "Move Subtree to New Window",
+      available: hasChildren,
+      run: onActiveTab("ctx-subtree-new-window"),
+    },
+    { id: "subtree-close", title: "Close Subtree", available: hasChildren, run: onActiveTab("ctx-subtree-close") },
+    { id: "tab-close", title: "Close Tab", run: () => closeTab(activeTab.id) },
+  ].map((command) => ({
+    ...command,
+    hint: "Current tab",
+    available: () => !!activeTab && (!command.available || command.available()),
+  }));
+
+  commands.push(
+    { id: "search-focus", title: "Focus Search", hint: "/", run: () => searchInput.focus() },
+    { id: "visit-back", title: "Go Back", hint: "Visit order", available: () => isShown("visit-prev-btn"), run: visitNav(-1) },
+    { id: "visit-forward", title: "Go Forward", hint: "Visit order", available: () => isShown("visit-next-btn"), run: visitNav(1) },
+    { id: "toggle-bookmarks", title: "Toggle Bookmarks", hint: "Section", run: clickEl("toggle-bookmarks-btn") },
+    { id: "toggle-downloads", title: "Toggle Downloads", hint: "Section", run: clickEl("toggle-downloads-btn") },
+    { id: "toggle-groups", title: "Toggle Tab Groups", hint: "Section", run: clickEl("toggle-groups-btn") },
+    { id: "toggle-workspaces", title: "Toggle Workspaces", hint: "Section", run: clickEl("toggle-workspaces-btn") },
+    { id: "toggle-sessions", title: "Toggle Saved Sessions", hint: "Section", run: clickEl("toggle-sessions-btn") },
+    { id: "workspace-new", title: "New Workspace…", hint: "Workspaces", run: createWorkspace },
+    { id: "session-save", title: "Save Window as Session", hint: "Sessions", run: saveCurrentSession },
+    { id: "import-tabs", title: "Import Tabs…", hint: "Sessions", run: showImportDialog },
+    { id: "export-window", title: "Export Current Window…", hint: "Sessions", run: clickEl("export-window-btn") },
+    {
+      id: "ai-organize",
+      title: "Organize Tabs with AI",
+      hint: "AI",
+      available: () => isShown("ai-organize-btn"),
+      run: clickEl("ai-organize-btn"),
+    },
+    {
+      id: "ai-undo",
+      title: "Undo AI Grouping",
+      hint: "AI",
+      available: () => isShown("undo-ai-grouping-btn"),
+      run: clickEl("undo-ai-grouping-btn"),
+    },
+    { id: "settings", title: "Open Settings", hint: "Settings", run: clickEl("settings-btn") },
+    { id: "options", title: "Open All Settings…", hint: "Settings", run: () => chrome.runtime.openOptionsPage() },
+  );
+
+  document.querySelectorAll(".theme-swatch").forEach((swatch) => {
+    const theme = swatch.dataset.theme;
+    const run = () => updateThemeSettings({ themeColor: theme });
+    commands.push({ id: `theme-${theme}`, title: `Theme: ${swatch.title}`, hint: "Appearance", run });
+  });
+  ["System", "Light", "Dark"].forEach((mode) => {
+    const colorScheme = mode.toLowerCase();
+    const run = () => updateThemeSettings({ colorScheme });
+    commands.push({ id: `mode-${colorScheme}`, title: `Mode: ${mode}`, hint: "Appearance", run });
+  });
+
+  return commands.filter((command) => !command.available || command.available());
+}
+
+function paletteTabEntry(tab, indices) {
+  let hint = "";
+  try {
+    hint = new URL(tab.url || tab.pendingUrl).hostname;
+  } catch (e) {
+    // Not a URL (yet)
+  }
+  return {
+    title: customTitles.get(tab.id) || tab.title || tab.url,
+    hint,
+    indices,
+    run: () => chrome.windows.update(tab.windowId, { focused: true }).then(() => chrome.tabs.update(tab.id, { active: true })),
+  };
+}
+
+function updatePaletteEntries(query) {
+  const commands = getPaletteCommands();
+  const recentRank = (command) => {
+    const i = recentCommands.indexOf(command.id);
+    return i === -1 ? MAX_RECENT_COMMANDS : i;
+  };
+
+  if (!query.trim()) {
+    // Recently used first, then everything in its usual order
+    const recent = commands
+      .filter((c) => recentRank(c) < MAX_RECENT_COMMANDS)
+      .sort((a, b) => recentRank(a) - recentRank(b));
+    paletteEntries = [
+      ...recent.map((c) => ({ ...c, hint: "Recent", indices: [] })),
+      ...commands.filter((c) => !recent.includes(c)).map((c) => ({ ...c, indices: [] })),
+    ];
+    return;
+  }
+
+  const scored = [];
+  commands.forEach((command) => {
+    const m = ZenTreeFuzzy.match(query, command.title);
+    // Recently used commands win close calls
+    if (m) scored.push({ ...command, indices: m.indices, score: m.score + (MAX_RECENT_COMMANDS - recentRank(command)) });
+  });
+  const tabs = [];
+  paletteTabs.forEach((tab) => {
+    const title = customTitles.get(tab.id) || tab.title || tab.url;
+    const byTitle = ZenTreeFuzzy.match(query, title);
+    const byUrl = ZenTreeFuzzy.match(query, tab.url || "");
+    if (byTitle && (!byUrl || byTitle.score >= byUrl.score - 2)) {
+      tabs.push({ ...paletteTabEntry(tab, byTitle.indices), score: byTitle.score });
+    } else if (byUrl) {
+      tabs.push({ ...paletteTabEntry(tab, []), score: byUrl.score - 2 });
+    }
+  });
+  tabs.sort((a, b) => b.score - a.score);
+  paletteEntries = [...scored, ...tabs.slice(0, MAX_PALETTE_TABS)].sort((a, b) => b.score - a.score);
+}
+
+function renderPalette() {
+  const list = document.getElementById("command-palette-list");
+  list.innerHTML = "";
+  if (paletteEntries.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "command-palette-empty";
+    empty.textContent = "No matching commands or tabs";
+    list.appendChild(empty);
+    return;
+  }
+  paletteEntries.forEach((entry, i) => {
+    const item = document.createElement("div");
+    item.className = "command-palette-item" + (i === paletteIndex ? " selected" : "");
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", String(i === paletteIndex));
+
+    const title = document.createElement("span");
+    title.className = "command-palette-title";
+    highlightMatches(title, entry.title, entry.indices);
+    const hint = document.createElement("span");
+    hint.className = "command-palette-hint";
+    hint.textContent = entry.hint;
+    item.append(title, hint);
+
+    item.addEventListener("mousemove", () => {
+      if (paletteIndex === i) return;
+      paletteIndex = i;
+      list.querySelectorAll(".command-palette-item").forEach((el, j) => {
+        el.classList.toggle("selected", j === i);
+        el.setAttribute("aria-selected", String(j === i));
+      });
+    });
+    item.addEventListener("click", () => runPaletteEntry(entry));
+    list.appendChild(item);
+  });
+  list.children[paletteIndex]?.scrollIntoView({ block: "nearest" });
+}
+
+async function openCommandPalette() {
+  const palette = document.getElementById("command-palette");
+  const input = document.getElementById("command-palette-input");
+  hideContextMenu();
+  const [tabs, stored] = await Promise.all([
+    chrome.tabs.query({}),
+    chrome.storage.local.get({ [RECENT_COMMANDS_KEY]: [] }),
+  ]);
+  paletteTabs = tabs;
+  recentCommands = stored[RECENT_COMMANDS_KEY];
+  input.value = "";
+  paletteIndex = 0;
+  updatePaletteEntries("");
+  renderPalette();
+  palette.classList.remove("hidden");
+  input.focus();
+}
+
+function closeCommandPalette() {
+  document.getElementById("command-palette").classList.add("hidden");
+}
+
+function runPaletteEntry(entry) {
+  closeCommandPalette();
+  if (entry.id) {
+    recentCommands = [entry.id, ...recentCommands.filter((id) => id !== entry.id)].slice(0, MAX_RECENT_COMMANDS);
+    chrome.storage.local.set({ [RECENT_COMMANDS_KEY]: recentCommands });
+  }
+  Promise.resolve()
+    .then(entry.run)
+    .catch((err) => console.error("Command failed", err));
+}
+
+function initCommandPalette() {
+  const palette = document.getElementById("command-palette");
+  const input = document.getElementById("command-palette-input");
+  if (!palette || !input) return;
+
+  document.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      if (palette.classList.contains("hidden")) openCommandPalette();
+      else closeCommandPalette();
+    }
+  });
+
+  input.addEventListener("input", () => {
+    paletteIndex = 0;
+    updatePaletteEntries(input.value);
+    renderPalette();
+  });
+
+  // Kept away from the panel's own shortcuts (Escape clears the selection, Ctrl+A selects all)
+  input.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") return;
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeCommandPalette();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (paletteEntries.length === 0) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      paletteIndex = (paletteIndex + step + paletteEntries.length) % paletteEntries.length;
+      renderPalette();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (paletteEntries[paletteIndex]) runPaletteEntry(paletteEntries[paletteIndex]);
+    }
+  });
+
+  palette.addEventListener("click", (e) => {
+    if (e.target === palette) closeCommandPalette();
+  });
+}
+
+document.addEventListener("DOMContentLoaded", initCommandPalette);
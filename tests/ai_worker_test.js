@@ -0,0 +1,67 @@
+// Headless tests for worker/ai-worker.js, run against a fake embedding model
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWorker } = require("./helpers/load_worker");
+
+// Two-dimensional "embeddings": titles about cats point one way, everything else the other
+function fakeModel() {
+  const calls = [];
+  const embed = async (texts) => {
+    calls.push(texts.length);
+    const data = new Float32Array(texts.length * 2);
+    texts.forEach((text, i) => data.set(/cat/i.test(text) ? [1, 0] : [0, 1], i * 2));
+    return { data, dims: [texts.length, 2] };
+  };
+  return { calls, pipeline: async () => embed };
+}
+
+function titles(prefix, count) {
+  return Array.from({ length: count }, (_, i) => ({ key: `${prefix}${i}`, text: `${prefix} page ${i}` }));
+}
+
+test("searches keep working once the embedding cache is full", async () => {
+  const model = fakeModel();
+  const worker = loadWorker("ai-worker.js", { Transformers: { pipeline: model.pipeline }, TabGrouper: class {} });
+  const search = async (requestId, items) => {
+    await worker.send({ type: "SEMANTIC_SEARCH", requestId, query: "cats", items, limit: 3 });
+    return worker.posted.find((message) => message.requestId === requestId);
+  };
+
+  const first = await search(1, [...titles("cat", 2), ...titles("dog", 4990)]);
+  assert.equal(first.type, "SEMANTIC_RESULTS");
+  assert.deepEqual(first.results.map((r) => r.key).sort(), ["cat0", "cat1"]);
+  // Embedded in batches, never thousands at once
+  assert.ok(Math.max(...model.calls) <= 64);
+
+  // Past the cap: titles cached by the first search are still scored alongside the new ones
+  const second = await search(2, [...titles("cat", 2), ...titles("dog", 10), ...titles("kitten cat", 20)]);
+  assert.equal(second.type, "SEMANTIC_RESULTS");
+  assert.equal(second.results.length, 3);
+  assert.ok(second.results.every((r) => r.score > 0.99));
+
+  // Everything the last search used is still cached: only the query is embedded again
+  model.calls.length = 0;
+  const third = await search(3, [...titles("cat", 2), ...titles("kitten cat", 20)]);
+  assert.equal(third.type, "SEMANTIC_RESULTS");
+  assert.deepEqual(model.calls, [1]);
+});
+
+test("every search waiting on a failed model load gets an error", async () => {
+  const pipeline = async () => {
+    throw new Error("offline");
+  };
+  const worker = loadWorker("ai-worker.js", { Transformers: { pipeline }, TabGrouper: class {} });
+  await Promise.all([
+    worker.send({ type: "SEMANTIC_SEARCH", requestId: 1, query: "a", items: [] }),
+    worker.send({ type: "SEMANTIC_SEARCH", requestId: 2, query: "b", items: [] }),
+  ]);
+  assert.deepEqual(
+    worker.posted.map((message) => [message.type, message.requestId]),
+    [
+      ["ERROR", 1],
+      ["ERROR", 2],
+    ],
+  );
+});
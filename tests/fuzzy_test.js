@@ -0,0 +1,49 @@
+// Headless tests for shared/fuzzy.js
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers/load_shared");
+
+const { ZenTreeFuzzy: Fuzzy } = loadShared("fuzzy.js");
+
+test("every query word has to match, in any order", () => {
+  assert.deepEqual(Fuzzy.match("new chi", "New tab as child").indices, [0, 1, 2, 11, 12, 13]);
+  assert.ok(Fuzzy.match("child new", "New tab as child"));
+  assert.equal(Fuzzy.match("new xyz", "New tab as child"), null);
+  assert.equal(Fuzzy.match("", "New tab as child"), null);
+  // Letters left out
+  assert.deepEqual(Fuzzy.match("rdme", "README.md").indices, [0, 3, 4, 5]);
+});
+
+test("whole words and word starts rank above scattered letters", () => {
+  const score = (query, text) => Fuzzy.match(query, text).score;
+  assert.ok(score("tab", "Close Tab") > score("tab", "Settings: Stable"));
+  assert.ok(score("ct", "Close Tab") > score("ct", "Collect"));
+  assert.ok(score("sub", "Reload Subtree") > score("sub", "Status Bar"));
+  // Letters strewn across the whole title no longer match at all
+  assert.equal(Fuzzy.match("sub", "Close Duplicate Bookmarks"), null);
+});
+
+test("longer words may have one typo, scattered letters don't count", () => {
+  assert.ok(Fuzzy.match("hoosk", "React hooks reference"));
+  assert.ok(Fuzzy.match("refrence", "React hooks reference"));
+  assert.ok(Fuzzy.match("hooks", "React hooks").score > Fuzzy.match("hoosk", "React hooks").score);
+  assert.equal(Fuzzy.match("hks", "https://example.com/a/very/long/path?k=some&s=1"), null);
+});
+
+test("each word counts in the field where it matches best", () => {
+  const fields = { title: "Hooks at a Glance", url: "https://react.dev/reference/react/hooks" };
+  const result = Fuzzy.matchFields("react docs hooks", { ...fields, url: fields.url + "?docs" }, { url: 0.5 });
+  assert.deepEqual(result.indices.title, [0, 1, 2, 3, 4]);
+  assert.ok(result.indices.url.length > 0);
+  assert.equal(Fuzzy.matchFields("vue", fields), null);
+});
+
+test("matched characters split out for highlighting", () => {
+  const { indices } = Fuzzy.match("tab", "Close Tab");
+  assert.deepEqual(Fuzzy.splitMatches("Close Tab", indices), [
+    { text: "Close ", matched: false },
+    { text: "Tab", matched: true },
+  ]);
+});
@@ -0,0 +1,314 @@
+/**
+ * ZenTree Tabs - In-memory chrome.* fake for headless tests
+ * Covers the parts of chrome.tabs, chrome.tabGroups and chrome.windows the tree code uses.
+ * Tabs are kept per window in index order, API calls resolve like the real (promise-based)
+ * API, and events fire synchronously after each change so tests can assert right away.
+ *
+ * Usage (Node):
+ *   const { createChromeFake } = require("./helpers/chrome_fake");
+ *   const chrome = createChromeFake();
+ *   const parent = await chrome.tabs.create({ url: "https://example.com" });
+ *   await chrome.tabs.create({ url: "https://example.com/a", openerTabId: parent.id });
+ */
+
+const NEW_TAB_URL = "chrome://newtab/";
+
+function createEvent() {
+  const listeners = new Set();
+  return {
+    addListener: (fn) => listeners.add(fn),
+    removeListener: (fn) => listeners.delete(fn),
+    hasListener: (fn) => listeners.has(fn),
+    // Test-only: fire the event
+    dispatch: (...args) => listeners.forEach((fn) => fn(...args)),
+  };
+}
+
+function createChromeFake() {
+  let nextTabId = 1;
+  let nextGroupId = 1;
+  let nextWindowId = 1;
+  let focusedWindowId = null;
+  const windows = new Map(); // windowId -> Array<tab> in index order
+  const groups = new Map(); // groupId -> group
+
+  const copy = (obj) => ({ ...obj });
+
+  function reindex(windowId) {
+    windows.get(windowId).forEach((tab, i) => {
+      tab.index = i;
+    });
+  }
+
+  function findTab(tabId) {
+    for (const list of windows.values()) {
+      const tab = list.find((t) => t.id === tabId);
+      if (tab) return tab;
+    }
+    throw new Error(`No tab with id: ${tabId}.`);
+  }
+
+  function resolveWindowId(windowId) {
+    if (windowId === undefined || windowId === chrome.windows.WINDOW_ID_CURRENT) return focusedWindowId;
+    if (!windows.has(windowId)) throw new Error(`No window with id: ${windowId}.`);
+    return windowId;
+  }
+
+  // Groups without tabs disappear, like in Chrome
+  function dropEmptyGroups() {
+    for (const [groupId, group] of groups) {
+      const used = windows.get(group.windowId).some((t) => t.groupId === groupId);
+      if (!used) {
+        groups.delete(groupId);
+        chrome.tabGroups.onRemoved.dispatch(copy(group));
+      }
+    }
+  }
+
+  function createWindow() {
+    const windowId = nextWindowId++;
+    windows.set(windowId, []);
+    focusedWindowId = windowId;
+    return windowId;
+  }
+
+  function insertTab(props) {
+    const windowId = resolveWindowId(props.windowId);
+    const list = windows.get(windowId);
+    const tab = {
+      id: nextTabId++,
+      windowId,
+      index: 0,
+      url: props.url || NEW_TAB_URL,
+      title: props.title || props.url || "New Tab",
+      active: false,
+      pinned: !!props.pinned,
+      discarded: false,
+      groupId: -1,
+      openerTabId: props.openerTabId,
+    };
+    const index = props.index === undefined || props.index < 0 ? list.length : Math.min(props.index, list.length);
+    list.splice(index, 0, tab);
+    reindex(windowId);
+    return tab;
+  }
+
+  function activate(tab) {
+    windows.get(tab.windowId).forEach((t) => {
+      t.active = t === tab;
+    });
+    chrome.tabs.onActivated.dispatch({ tabId: tab.id, windowId: tab.windowId });
+  }
+
+  const chrome = {
+    tabs: {
+      TAB_ID_NONE: -1,
+      onCreated: createEvent(),
+      onRemoved: createEvent(),
+      onUpdated: createEvent(),
+      onMoved: createEvent(),
+      onActivated: createEvent(),
+      onReplaced: createEvent(),
+      onAttached: createEvent(),
+      onDetached: createEvent(),
+
+      async create(props = {}) {
+        const tab = insertTab(props);
+        chrome.tabs.onCreated.dispatch(copy(tab));
+        if (props.active !== false) activate(tab);
+        return copy(tab);
+      },
+
+      async get(tabId) {
+        return copy(findTab(tabId));
+      },
+
+      async query(queryInfo = {}) {
+        const result = [];
+        for (const [windowId, list] of windows) {
+          if (queryInfo.currentWindow && windowId !== focusedWindowId) continue;
+          if (queryInfo.windowId !== undefined && windowId !== resolveWindowId(queryInfo.windowId)) continue;
+          list.forEach((tab) => {
+            if (queryInfo.active !== undefined && tab.active !== queryInfo.active) return;
+            if (queryInfo.pinned !== undefined && tab.pinned !== queryInfo.pinned) return;
+            if (queryInfo.groupId !== undefined && tab.groupId !== queryInfo.groupId) return;
+            result.push(copy(tab));
+          });
+        }
+        return result;
+      },
+
+      async update(tabId, props) {
+        const tab = findTab(tabId);
+        const changeInfo = {};
+        ["url", "title", "pinned"].forEach((key) => {
+          if (props[key] !== undefined && props[key] !== tab[key]) {
+            tab[key] = props[key];
+            changeInfo[key] = props[key];
+          }
+        });
+        if (Object.keys(changeInfo).length > 0) chrome.tabs.onUpdated.dispatch(tabId, changeInfo, copy(tab));
+        if (props.active) activate(tab);
+        return copy(tab);
+      },
+
+      async remove(tabIds) {
+        [].concat(tabIds).forEach((tabId) => {
+          const tab = findTab(tabId);
+          const list = windows.get(tab.windowId);
+          list.splice(list.indexOf(tab), 1);
+          reindex(tab.windowId);
+          chrome.tabs.onRemoved.dispatch(tabId, { windowId: tab.windowId, isWindowClosing: false });
+        });
+        dropEmptyGroups();
+      },
+
+      // Each tab is placed at `index` (the next one right after it), like chrome.tabs.move
+      async move(tabIds, { windowId, index }) {
+        const moved = [];
+        let position = index;
+        [].concat(tabIds).forEach((tabId) => {
+          const tab = findTab(tabId);
+          const fromWindowId = tab.windowId;
+          const toWindowId = windowId === undefined ? fromWindowId : resolveWindowId(windowId);
+          const fromList = windows.get(fromWindowId);
+          const fromIndex = fromList.indexOf(tab);
+          fromList.splice(fromIndex, 1);
+          reindex(fromWindowId);
+
+          const toList = windows.get(toWindowId);
+          const toIndex = position < 0 || position > toList.length ? toList.length : position;
+          toList.splice(toIndex, 0, tab);
+          tab.windowId = toWindowId;
+          reindex(toWindowId);
+          if (position >= 0) position = toIndex + 1;
+
+          if (fromWindowId !== toWindowId) {
+            tab.groupId = -1;
+            chrome.tabs.onDetached.dispatch(tabId, { oldWindowId: fromWindowId, oldPosition: fromIndex });
+            chrome.tabs.onAttached.dispatch(tabId, { newWindowId: toWindowId, newPosition: toIndex });
+          } else if (fromIndex !== toIndex) {
+            chrome.tabs.onMoved.dispatch(tabId, { windowId: toWindowId, fromIndex, toIndex });
+          }
+          moved.push(copy(tab));
+        });
+        dropEmptyGroups();
+        return Array.isArray(tabIds) ? moved : moved[0];
+      },
+
+      async group({ tabIds, groupId, createProperties }) {
+        const ids = [].concat(tabIds);
+        const windowId = findTab(ids[0]).windowId;
+        if (groupId === undefined) {
+          groupId = nextGroupId++;
+          const group = { id: groupId, windowId, title: "", color: "grey", collapsed: false };
+          groups.set(groupId, group);
+          chrome.tabGroups.onCreated.dispatch(copy(group));
+        } else if (!groups.has(groupId)) {
+          throw new Error(`No group with id: ${groupId}.`);
+        }
+        ids.forEach((tabId) => {
+          const tab = findTab(tabId);
+          tab.groupId = groupId;
+          chrome.tabs.onUpdated.dispatch(tabId, { groupId }, copy(tab));
+        });
+        dropEmptyGroups();
+        return groupId;
+      },
+
+      async ungroup(tabIds) {
+        [].concat(tabIds).forEach((tabId) => {
+          const tab = findTab(tabId);
+          tab.groupId = -1;
+          chrome.tabs.onUpdated.dispatch(tabId, { groupId: -1 }, copy(tab));
+        });
+        dropEmptyGroups();
+      },
+
+      /**
+       * Test-only: swaps a tab for a new ID in place, like Chrome does for prerendered pages.
+       * @returns {number} the new tab ID
+       */
+      replace(tabId) {
+        const tab = findTab(tabId);
+        const oldId = tab.id;
+        tab.id = nextTabId++;
+        chrome.tabs.onReplaced.dispatch(tab.id, oldId);
+        return tab.id;
+      },
+    },
+
+    tabGroups: {
+      TAB_GROUP_ID_NONE: -1,
+      onCreated: createEvent(),
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      onMoved: createEvent(),
+
+      async get(groupId) {
+        if (!groups.has(groupId)) throw new Error(`No group with id: ${groupId}.`);
+        return copy(groups.get(groupId));
+      },
+
+      async query(queryInfo = {}) {
+        const windowId = queryInfo.windowId === undefined ? undefined : resolveWindowId(queryInfo.windowId);
+        return Array.from(groups.values())
+          .filter((g) => windowId === undefined || g.windowId === windowId)
+          .map(copy);
+      },
+
+      async update(groupId, props) {
+        if (!groups.has(groupId)) throw new Error(`No group with id: ${groupId}.`);
+        const group = groups.get(groupId);
+        ["title", "color", "collapsed"].forEach((key) => {
+          if (props[key] !== undefined) group[key] = props[key];
+        });
+        chrome.tabGroups.onUpdated.dispatch(copy(group));
+        return copy(group);
+      },
+    },
+
+    windows: {
+      WINDOW_ID_CURRENT: -2,
+      onCreated: createEvent(),
+      onRemoved: createEvent(),
+
+      // New windows open with a new tab page and take focus
+      async create() {
+        const windowId = createWindow();
+        chrome.windows.onCreated.dispatch({ id: windowId });
+        await chrome.tabs.create({ windowId });
+        return { id: windowId, tabs: await chrome.tabs.query({ windowId }) };
+      },
+
+      async getAll() {
+        return Array.from(windows.keys()).map((id) => ({ id, focused: id === focusedWindowId }));
+      },
+
+      async update(windowId, props) {
+        resolveWindowId(windowId);
+        if (props.focused) focusedWindowId = windowId;
+        return { id: windowId, focused: windowId === focusedWindowId };
+      },
+
+      async remove(windowId) {
+        const list = windows.get(resolveWindowId(windowId));
+        list.splice(0).forEach((tab) => {
+          chrome.tabs.onRemoved.dispatch(tab.id, { windowId, isWindowClosing: true });
+        });
+        for (const [groupId, group] of groups) {
+          if (group.windowId === windowId) groups.delete(groupId);
+        }
+        windows.delete(windowId);
+        if (focusedWindowId === windowId) focusedWindowId = windows.keys().next().value ?? null;
+        chrome.windows.onRemoved.dispatch(windowId);
+      },
+    },
+  };
+
+  // Start like a fresh browser: one window, no tabs yet
+  createWindow();
+  return chrome;
+}
+
+module.exports = { createChromeFake, NEW_TAB_URL };
@@ -0,0 +1,24 @@
+/**
+ * ZenTree Tabs - Loads a shared/ module in Node
+ * Shared modules are classic scripts that attach themselves to `self`; this runs one against a
+ * plain object and returns it, e.g. loadShared("tree-model.js").ZenTreeModel. Modules that use
+ * another one are loaded together: loadShared("fuzzy.js", "tab-search.js").
+ *
+ * runInThisContext keeps the module's Maps and Arrays in the test's realm, so deepEqual
+ * comparisons work.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+function loadShared(...files) {
+  const self = {};
+  files.forEach((file) => {
+    const source = fs.readFileSync(path.join(__dirname, "..", "..", "shared", file), "utf8");
+    vm.runInThisContext(`(function (self) {\n${source}\n})`, { filename: file })(self);
+  });
+  return self;
+}
+
+module.exports = { loadShared };
@@ -0,0 +1,47 @@
+/**
+ * ZenTree Tabs - Runs a module worker (worker/*.js) in Node
+ * The worker's `import` lines are dropped and the names they bind are passed in instead, so a
+ * test can hand it a fake Transformers pipeline. `self` is a stand-in worker scope: send() posts
+ * a message to the worker and resolves once its handlers have finished, and every message the
+ * worker posted back is collected in `posted`.
+ *
+ * Usage (Node):
+ *   const worker = loadWorker("ai-worker.js", { Transformers: { pipeline }, TabGrouper });
+ *   await worker.send({ type: "SEMANTIC_SEARCH", requestId: 1, query: "cats", items });
+ *   worker.posted; // [{ type: "SEMANTIC_RESULTS", requestId: 1, results }]
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+function loadWorker(file, imports) {
+  const listeners = [];
+  const posted = [];
+  const self = {
+    location: { origin: "chrome-extension://zentree-test" },
+    addEventListener: (type, fn) => {
+      if (type === "message") listeners.push(fn);
+    },
+    postMessage: (message) => posted.push(message),
+  };
+  // The worker patches console.warn, so it gets its own quiet console
+  const console = { log() {}, warn() {}, error() {} };
+
+  const source = fs
+    .readFileSync(path.join(__dirname, "..", "..", "worker", file), "utf8")
+    .replace(/^import .*;$/gm, "");
+  const names = Object.keys(imports);
+  vm.runInThisContext(`(function (self, console, ${names.join(", ")}) {\n${source}\n})`, { filename: file })(
+    self,
+    console,
+    ...names.map((name) => imports[name]),
+  );
+
+  return {
+    posted,
+    send: (data) => Promise.all(listeners.map((fn) => fn({ data }))),
+  };
+}
+
+module.exports = { loadWorker };
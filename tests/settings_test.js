@@ -0,0 +1,99 @@
+// Headless tests for shared/settings.js
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers/load_shared");
+
+const { ZenTreeSettings: Settings, ZenTreeModel: Model } = loadShared("tree-model.js", "settings.js");
+
+test("settings from before the schema are migrated to valid values", () => {
+  const { items, removed } = Settings.migrate(
+    {
+      themeSettings: { themeColor: "ocean", colorScheme: "light", blurIntensity: 12 },
+      groupingThreshold: "4",
+      aiEnabled: false,
+      closePolicy: "explode",
+      someOtherKey: [1, 2],
+    },
+    1,
+  );
+  assert.deepEqual(items, {
+    themeSettings: { themeColor: "minimal-blue", colorScheme: "light" },
+    groupingThreshold: 4,
+    aiEnabled: false,
+    closePolicy: "promote",
+    someOtherKey: [1, 2],
+  });
+  assert.deepEqual(removed, []);
+
+  // AMOLED only works dark
+  const amoled = Settings.migrate({ themeSettings: { themeColor: "minimal-amoled", colorScheme: "light" } }, 1);
+  assert.equal(amoled.items.themeSettings.colorScheme, "dark");
+  // Nothing to do at the current version
+  assert.deepEqual(Settings.migrate({ closePolicy: "explode" }, Settings.SCHEMA_VERSION).items, { closePolicy: "explode" });
+});
+
+test("tree setting defaults match what the tree model assumes", () => {
+  assert.equal(Settings.getDefault("closePolicy"), Model.DEFAULT_CLOSE_POLICY);
+  assert.deepEqual(Settings.getDefault("placementRules"), Model.DEFAULT_PLACEMENT_RULES);
+  assert.deepEqual(Settings.normalize({ placementRules: Model.DEFAULT_PLACEMENT_RULES }).placementRules, Model.DEFAULT_PLACEMENT_RULES);
+  Object.values(Model.CLOSE_POLICIES).forEach((policy) => {
+    assert.equal(Settings.normalize({ closePolicy: policy }).closePolicy, policy);
+  });
+  Object.values(Model.NEW_TAB_PLACEMENTS).forEach((placement) => {
+    assert.equal(Settings.normalize({ placementRules: { newTabPlacement: placement } }).placementRules.newTabPlacement, placement);
+  });
+  // Defaults are copies
+  Settings.getDefault("placementRules").domainRules.push({ domain: "a.example", mode: "never" });
+  assert.deepEqual(Settings.getDefault("placementRules").domainRules, []);
+});
+
+test("synced settings merge by whichever device changed them last", () => {
+  const local = {
+    values: { aiEnabled: false, closePolicy: "ask", groupingThreshold: 3 },
+    modified: { aiEnabled: 200, closePolicy: 100 },
+  };
+  const remote = {
+    values: { aiEnabled: true, closePolicy: "close-subtree", searchAllWindows: true },
+    modified: { aiEnabled: 100, closePolicy: 300, searchAllWindows: 50 },
+  };
+  const { toLocal, toRemote, modified } = Settings.mergeSynced(local, remote);
+  assert.deepEqual(toLocal, { closePolicy: "close-subtree", searchAllWindows: true });
+  assert.deepEqual(toRemote, { aiEnabled: false, groupingThreshold: 3 });
+  assert.deepEqual(modified, { aiEnabled: 200, closePolicy: 300, groupingThreshold: 0, searchAllWindows: 50 });
+
+  // A device turning sync on takes the settings already there; merging again changes nothing
+  const fresh = Settings.mergeSynced({ values: { aiEnabled: false }, modified: {} }, remote);
+  assert.equal(fresh.toLocal.aiEnabled, true);
+  const again = Settings.mergeSynced({ values: remote.values, modified }, { values: remote.values, modified });
+  assert.deepEqual([again.toLocal, again.toRemote], [{}, {}]);
+});
+
+test("exported settings import back, other files are rejected", () => {
+  const values = Settings.getDefaults();
+  values.closePolicy = "ask";
+  const text = JSON.stringify(Settings.exportSettings({ ...values, parentOverrides: { 5: 3 } }));
+  assert.deepEqual(Settings.parseSettingsImport(text), values);
+
+  // Older exports are migrated, unknown keys dropped
+  const old = { format: "zentree-settings", version: 1, settings: { groupingThreshold: "5", tabs: [] } };
+  assert.deepEqual(Settings.parseSettingsImport(JSON.stringify(old)), { groupingThreshold: 5 });
+  assert.throws(() => Settings.parseSettingsImport("{"), /Invalid JSON/);
+  assert.throws(() => Settings.parseSettingsImport(JSON.stringify({ parentOverrides: {} })), /Not a ZenTree settings file/);
+});
+
+test("site rules accept pasted URLs and replace the earlier rule for a domain", () => {
+  const rules = Settings.getDefault("placementRules");
+  const first = Settings.upsertSiteRule(rules, "  https://www.GitHub.com/org/repo?tab=1 ", "never");
+  assert.deepEqual(first.domainRules, [{ domain: "github.com", mode: "never" }]);
+  assert.deepEqual(rules.domainRules, []);
+
+  const second = Settings.upsertSiteRule(first, "*.docs.example.com", "always");
+  const third = Settings.upsertSiteRule(second, "github.com/other", "always");
+  assert.deepEqual(third.domainRules, [
+    { domain: "docs.example.com", mode: "always" },
+    { domain: "github.com", mode: "always" },
+  ]);
+  assert.equal(Settings.upsertSiteRule(third, "   ", "never"), null);
+});
@@ -0,0 +1,102 @@
+// Headless tests for shared/tab-search.js
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers/load_shared");
+
+const { ZenTreeSearch: Search } = loadShared("fuzzy.js", "tab-search.js");
+
+const HOUR = 60 * 60 * 1000;
+const NOW = 1_000 * HOUR;
+
+function tab(id, title, url, hoursAgo = 100) {
+  return { id, title, url, lastAccessed: NOW - hoursAgo * HOUR };
+}
+
+test("tabs match on title, custom title, domain or URL, out of order and with typos", () => {
+  const tabs = [
+    tab(1, "Hooks at a Glance", "https://react.dev/reference/react/hooks"),
+    tab(2, "Inbox (3)", "https://mail.example.com/"),
+    tab(3, "Untitled", "https://docs.google.com/document/d/1"),
+  ];
+  const ids = (query, options) => Search.rankTabs(query, tabs, { now: NOW, ...options }).map((r) => r.tab.id);
+
+  assert.deepEqual(ids("react hooks"), [1]);
+  assert.deepEqual(ids("hooks react"), [1]);
+  assert.deepEqual(ids("raect"), [1]);
+  assert.deepEqual(ids("google docs"), [3]);
+  assert.deepEqual(ids("budget", { customTitles: new Map([[3, "Budget 2026"]]) }), [3]);
+  assert.deepEqual(ids("zzz"), []);
+});
+
+test("better matches rank first, recently used tabs win close calls", () => {
+  const tabs = [
+    tab(1, "Notes about a map", "https://a.example/"),
+    tab(2, "Maps", "https://maps.example/"),
+    tab(3, "Maps", "https://maps.example/", 0),
+  ];
+  const ranked = Search.rankTabs("maps", tabs, { now: NOW });
+  // "map" is one letter short of "maps", so it comes last
+  assert.deepEqual(ranked.map((r) => r.tab.id), [3, 2, 1]);
+  assert.deepEqual(ranked[0].indices, [0, 1, 2, 3]);
+  assert.equal(ranked[0].title, "Maps");
+});
+
+test("bookmarks match on their folder path too", () => {
+  const bookmarks = [
+    { title: "Consent banners", url: "https://a.example/c", path: "Research › Cookies › Consent banners" },
+    { title: "Recipes", url: "https://b.example/r", path: "Home › Recipes" },
+  ];
+  const ranked = Search.rankBookmarks("cookies consent", bookmarks);
+  assert.deepEqual(ranked.map((r) => r.bookmark.title), ["Consent banners"]);
+  assert.deepEqual(ranked[0].indices, [0, 1, 2, 3, 4, 5, 6]);
+});
+
+test("queries split into free text, filters and exclusions", () => {
+  assert.deepEqual(Search.parseQuery('react domain:GitHub.com -is:pinned group:"Cookie Research" -youtube'), {
+    text: "react",
+    excluded: ["youtube"],
+    filters: [
+      { key: "domain", value: "github.com", negate: false },
+      { key: "is", value: "pinned", negate: true },
+      { key: "group", value: "Cookie Research", negate: false },
+    ],
+    scope: null,
+  });
+  assert.equal(Search.parseQuery("in:bookmarks recipes").scope, "bookmarks");
+  // Unknown filters and URLs stay free text
+  const loose = Search.parseQuery("is:loud https://a.example window:x");
+  assert.equal(loose.text, "is:loud https://a.example window:x");
+  assert.deepEqual(loose.filters, []);
+});
+
+test("filters narrow tabs down, with or without free text", () => {
+  const tabs = [
+    { ...tab(1, "Pull requests", "https://github.com/pulls"), pinned: true, windowId: 1, groupId: 7 },
+    { ...tab(2, "Gist", "https://gist.github.com/x"), audible: true, windowId: 1, groupId: -1 },
+    { ...tab(3, "Pull requests", "https://github.com/pulls#top"), windowId: 2, groupId: -1 },
+    { ...tab(4, "Music", "https://youtube.com/watch"), audible: true, windowId: 2, groupId: -1 },
+  ];
+  const context = {
+    now: NOW,
+    groupTitles: new Map([[7, "Cookie Research"]]),
+    windowNumbers: new Map([[1, 1], [2, 2]]),
+  };
+  const ids = (query) => Search.searchTabs(Search.parseQuery(query), tabs, context).map((r) => r.tab.id);
+
+  assert.deepEqual(ids("domain:github.com"), [1, 2, 3]);
+  assert.deepEqual(ids("is:audible -youtube"), [2]);
+  assert.deepEqual(ids("is:duplicate -is:pinned"), [3]);
+  assert.deepEqual(ids("group:cookie"), [1]);
+  assert.deepEqual(ids("window:2 pull"), [3]);
+  assert.deepEqual(ids("in:bookmarks"), []);
+
+  const bookmarks = [
+    { title: "Pull requests", url: "https://github.com/pulls", path: "Work" },
+    { title: "Recipes", url: "https://food.example/", path: "Home" },
+  ];
+  const titles = (query) => Search.searchBookmarks(Search.parseQuery(query), bookmarks).map((r) => r.bookmark.title);
+  assert.deepEqual(titles("-domain:github.com"), ["Recipes"]);
+  assert.deepEqual(titles("pull is:pinned"), []);
+});
@@ -0,0 +1,96 @@
+// Headless tests for shared/tree-export.js
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers/load_shared");
+
+const { ZenTreeExport: Export } = loadShared("tree-export.js");
+
+const tree = {
+  format: "zentree-tree",
+  version: 1,
+  nodes: [
+    {
+      type: "group",
+      title: "R&D <team>",
+      color: "blue",
+      children: [
+        {
+          type: "tab",
+          url: "https://a.example/?q=1&r=\"2\"",
+          title: "<script>alert('x')</script>",
+          children: [{ type: "tab", url: "https://en.wikipedia.org/wiki/Tree_(graph_theory)", title: "Tree [graph]", children: [] }],
+        },
+      ],
+    },
+    { type: "tab", url: "https://b.example/", title: "Original", customTitle: "Mine", children: [] },
+    { type: "tab", url: "https://c.example/", title: "", children: [] },
+  ],
+};
+
+test("Markdown nests links, escapes their text and keeps URLs with parentheses intact", () => {
+  assert.equal(
+    Export.toMarkdown(tree),
+    [
+      "- **R&D \\<team\\>**",
+      "  - [\\<script\\>alert\\('x'\\)\\</script\\>](https://a.example/?q=1&r=\"2\")",
+      "    - [Tree \\[graph\\]](https://en.wikipedia.org/wiki/Tree_%28graph_theory%29)",
+      "- [Mine](https://b.example/)",
+      "- [https://c.example/](https://c.example/)",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("Markdown link text can't turn into emphasis or code, or end the link early", () => {
+  const nodes = [
+    { type: "tab", url: "https://x.example/a b/(c)", title: "f(x) = *a* + _b_ `c` \\ [d]", children: [] },
+    { type: "group", title: "**bold** _group_", children: [] },
+  ];
+  assert.equal(
+    Export.toMarkdown({ nodes }),
+    [
+      "- [f\\(x\\) = \\*a\\* + \\_b\\_ \\`c\\` \\\\ \\[d\\]](https://x.example/a%20b/%28c%29)",
+      "- **\\*\\*bold\\*\\* \\_group\\_**",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("OPML escapes titles and URLs inside attributes", () => {
+  const opml = Export.toOPML(tree, "Tabs & <more>");
+  assert.match(opml, /<title>Tabs &amp; &lt;more&gt;<\/title>/);
+  assert.ok(opml.includes('    <outline text="R&amp;D &lt;team&gt;">'));
+  assert.ok(
+    opml.includes(
+      '      <outline text="&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;" type="link" url="https://a.example/?q=1&amp;r=&quot;2&quot;">',
+    ),
+  );
+  assert.ok(opml.includes('<outline text="Mine" type="link" url="https://b.example/"/>'));
+  assert.ok(!opml.includes("<script>"));
+  assert.equal((opml.match(/<outline /g) || []).length, 5);
+  assert.equal((opml.match(/<\/outline>/g) || []).length, 2);
+});
+
+test("HTML escapes everything it writes and nests lists", () => {
+  const html = Export.toHTML(tree, "<b>Tabs</b>");
+  assert.ok(html.includes("<title>&lt;b&gt;Tabs&lt;/b&gt;</title>"));
+  assert.ok(html.includes("<h1>&lt;b&gt;Tabs&lt;/b&gt;</h1>"));
+  assert.ok(html.includes("<strong>R&amp;D &lt;team&gt;</strong>"));
+  assert.ok(
+    html.includes(
+      '<a href="https://a.example/?q=1&amp;r=&quot;2&quot;">&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;</a>',
+    ),
+  );
+  assert.ok(!html.includes("<script>"));
+  assert.equal((html.match(/<ul>/g) || []).length, 3);
+  assert.equal((html.match(/<\/ul>/g) || []).length, 3);
+});
+
+test("JSON is the snapshot itself and every format has a serializer", () => {
+  assert.deepEqual(JSON.parse(Export.toJSON(tree)), tree);
+  for (const [key, format] of Object.entries(Export.FORMATS)) {
+    assert.equal(typeof format.serialize(tree), "string", key);
+  }
+});
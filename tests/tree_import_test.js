@@ -0,0 +1,122 @@
+// Headless tests for shared/tree-import.js
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers/load_shared");
+
+const { ZenTreeImport: Import, ZenTreeSnapshot: Snapshot } = loadShared("tree-snapshot.js", "tree-import.js");
+
+// Compact picture of imported nodes: "url" per tab, ["url", [children...]] when nested,
+// { group: title, children } per group
+function shape(nodes) {
+  return nodes.map((node) => {
+    if (node.type === "group") return { group: node.title, children: shape(node.children) };
+    return node.children.length > 0 ? [node.url, shape(node.children)] : node.url;
+  });
+}
+
+test("ZenTree JSON is re-validated: unsafe URLs dropped, their children kept", () => {
+  const text = JSON.stringify({
+    format: "zentree-tree",
+    version: 1,
+    nodes: [
+      {
+        type: "group",
+        title: "Research",
+        color: "not-a-color",
+        children: [{ type: "tab", url: "https://a.example", title: "A", customTitle: "Renamed", children: [] }],
+      },
+      {
+        type: "tab",
+        url: "javascript:alert(1)",
+        children: [{ type: "tab", url: "https://b.example", children: [{ type: "group", title: "Nested" }] }],
+      },
+    ],
+  });
+  const { source, tree } = Import.parse(text);
+  assert.equal(source, "zentree");
+  assert.deepEqual([tree.format, tree.version], [Snapshot.FORMAT, Snapshot.VERSION]);
+  assert.deepEqual(shape(tree.nodes), [{ group: "Research", children: ["https://a.example"] }, "https://b.example"]);
+  assert.equal(tree.nodes[0].color, "grey");
+  assert.equal(tree.nodes[0].children[0].customTitle, "Renamed");
+
+  // A single saved session wraps the tree
+  const session = JSON.stringify({ name: "Monday", tree: { format: "zentree-tree", nodes: [{ type: "tab", url: "https://c.example" }] } });
+  assert.deepEqual(shape(Import.parse(session).tree.nodes), ["https://c.example"]);
+});
+
+test("OneTab lists become tabs, and several blocks become groups", () => {
+  const single = Import.parse("https://a.example | A | with a bar\nhttps://b.example\ndata:text/html,x | Bad\n");
+  assert.equal(single.source, "onetab");
+  assert.deepEqual(shape(single.tree.nodes), ["https://a.example", "https://b.example"]);
+  assert.equal(single.tree.nodes[0].title, "A | with a bar");
+
+  const blocks = Import.parse("https://a.example | A\n\n\nhttps://b.example | B\nhttps://c.example | C");
+  assert.deepEqual(shape(blocks.tree.nodes), [
+    { group: "OneTab 1", children: ["https://a.example"] },
+    { group: "OneTab 2", children: ["https://b.example", "https://c.example"] },
+  ]);
+});
+
+test("Tree Style Tab backups keep their nesting, nested or flat", () => {
+  const nested = Import.parse(
+    JSON.stringify([
+      {
+        url: "https://a.example",
+        states: ["subtree-collapsed"],
+        children: [{ url: "https://a1.example", children: [{ url: "https://a2.example" }] }],
+      },
+      {
+        url: "ext+treestyletab:group?title=Cookies",
+        children: [{ url: "https://c.example" }],
+      },
+    ]),
+  );
+  assert.equal(nested.source, "tst");
+  assert.deepEqual(shape(nested.tree.nodes), [
+    ["https://a.example", [["https://a1.example", ["https://a2.example"]]]],
+    { group: "Cookies", children: ["https://c.example"] },
+  ]);
+  assert.equal(nested.tree.nodes[0].collapsed, true);
+
+  const byAncestors = Import.parse(
+    JSON.stringify({
+      tabs: [
+        { id: 1, url: "https://a.example", ancestorTabIds: [] },
+        { id: 2, url: "https://b.example", ancestorTabIds: [1] },
+        { id: 3, url: "https://c.example", ancestorTabIds: [2, 1] },
+        { id: 4, url: "https://d.example", ancestorTabIds: [1] },
+      ],
+    }),
+  );
+  assert.deepEqual(shape(byAncestors.tree.nodes), [
+    ["https://a.example", [["https://b.example", ["https://c.example"]], "https://d.example"]],
+  ]);
+
+  const byIndent = Import.parse(
+    JSON.stringify([
+      { url: "https://a.example", indent: 0 },
+      { url: "https://b.example", indent: 1 },
+      { url: "https://c.example", indent: 2 },
+      { url: "https://d.example", indent: 0 },
+    ]),
+  );
+  assert.deepEqual(shape(byIndent.tree.nodes), [
+    ["https://a.example", [["https://b.example", ["https://c.example"]]]],
+    "https://d.example",
+  ]);
+});
+
+test("malformed or empty input is refused with a reason", () => {
+  assert.throws(() => Import.parse("   "), /Nothing to import/);
+  assert.throws(() => Import.parse("{ not json"), /Invalid JSON/);
+  assert.throws(() => Import.parse(JSON.stringify({ hello: "world" })), /Unrecognized JSON format/);
+  assert.throws(() => Import.parse("just some words\nno links here"), /No tabs found/);
+  assert.throws(
+    () => Import.parse(JSON.stringify({ format: "zentree-tree", nodes: [{ type: "tab", url: "javascript:void(0)" }] })),
+    /No tabs found/,
+  );
+  assert.equal(Import.isAllowedUrl("file:///home/notes.txt"), true);
+  assert.equal(Import.isAllowedUrl("data:text/html,<script>"), false);
+});
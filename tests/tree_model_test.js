@@ -0,0 +1,256 @@
+// Headless tests for shared/tree-model.js
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createChromeFake } = require("./helpers/chrome_fake");
+const { loadShared } = require("./helpers/load_shared");
+
+const { ZenTreeModel: Model } = loadShared("tree-model.js");
+const { ROOT } = Model;
+
+// Keeps tree state in step with tab events, the way background.js does
+function trackTree(chrome, state = Model.createState()) {
+  chrome.tabs.onCreated.addListener((tab) => {
+    if (state.parentOverrides.has(tab.id)) return;
+    const parentId = Model.defaultParent(tab);
+    if (parentId !== undefined) state.parentOverrides.set(tab.id, parentId);
+  });
+  chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+    if (!removeInfo.isWindowClosing) Model.removeTab(state, tabId);
+  });
+  chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+    Model.replaceTabId(state, removedTabId, addedTabId);
+  });
+  return state;
+}
+
+async function currentTree(chrome, state) {
+  const tabs = await chrome.tabs.query({ currentWindow: true });
+  const groups = await chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT });
+  return Model.buildTree(tabs, groups.map((g) => g.id), state);
+}
+
+// Compact picture of the displayed tree: [id, [children...]] per root
+function shape(tree, ids) {
+  return ids.map((id) => {
+    const children = tree.tabsById.get(id).children;
+    return children.length > 0 ? [id, shape(tree, children)] : id;
+  });
+}
+
+async function openTab(chrome, url, openerTab) {
+  return chrome.tabs.create({ url, openerTabId: openerTab ? openerTab.id : undefined });
+}
+
+test("new tab pages are roots, links nest under their opener", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const b = await openTab(chrome, "https://b.example", a);
+  const c = await openTab(chrome, "https://c.example", b);
+  const blank = await chrome.tabs.create({ openerTabId: a.id });
+
+  const tree = await currentTree(chrome, state);
+  assert.deepEqual(shape(tree, tree.rootTabs), [[a.id, [[b.id, [c.id]]]], blank.id]);
+  assert.equal(tree.displayParents.get(c.id), b.id);
+  assert.equal(state.parentOverrides.get(blank.id), ROOT);
+});
+
+test("closing a tab hands its children to the grandparent", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const b = await openTab(chrome, "https://b.example", a);
+  const c1 = await openTab(chrome, "https://c1.example", b);
+  const c2 = await openTab(chrome, "https://c2.example", b);
+
+  await chrome.tabs.remove(b.id);
+  let tree = await currentTree(chrome, state);
+  assert.deepEqual(shape(tree, tree.rootTabs), [[a.id, [c1.id, c2.id]]]);
+  assert.equal(state.parentOverrides.has(b.id), false);
+
+  // Without a grandparent the children become roots
+  await chrome.tabs.remove(a.id);
+  tree = await currentTree(chrome, state);
+  assert.deepEqual(tree.rootTabs, [c1.id, c2.id]);
+});
+
+test("the first child can take a closed parent's place", () => {
+  const state = Model.createState();
+  Model.reparent(state, 2, 1);
+  Model.reparent(state, 3, 2);
+  Model.reparent(state, 4, 2);
+  Model.reparent(state, 5, 2);
+  state.collapsedState.add(2);
+
+  assert.equal(Model.promoteFirstChild(state, 2, [3, 4, 5]), 3);
+  assert.equal(state.parentOverrides.get(3), 1);
+  assert.deepEqual(Model.getChildren(state, 3), [4, 5]);
+  assert.equal(state.parentOverrides.has(2), false);
+  assert.equal(state.collapsedState.has(2), false);
+});
+
+test("placement rules decide where new tabs go", () => {
+  const state = Model.createState();
+  Model.reparent(state, 2, 1);
+  const active = { id: 2, windowId: 1, url: "https://docs.example.com/a" };
+  const newTab = { id: 10, windowId: 1, pendingUrl: "chrome://newtab/" };
+  const link = (url) => ({ id: 11, windowId: 1, pendingUrl: url, openerTabId: 2 });
+  const place = (tab, rules) => Model.placeNewTab(state, tab, { rules, activeTab: active, opener: active });
+
+  assert.equal(place(newTab, {}), ROOT);
+  assert.equal(place(newTab, { newTabPlacement: "child" }), 2);
+  assert.equal(place(newTab, { newTabPlacement: "sibling" }), 1);
+
+  assert.equal(place(link("https://other.org"), {}), 2);
+  assert.equal(place(link("https://docs.example.com/b"), { sameDomainAsSiblings: true }), 1);
+  const rules = (mode) => ({ sameDomainAsSiblings: true, domainRules: [{ domain: "example.com", mode }] });
+  assert.equal(place(link("https://docs.example.com/b"), rules("always")), 2);
+  assert.equal(place(link("https://docs.example.com/b"), rules("never")), ROOT);
+
+  // Tab 2 sits at depth 1, so its children would be too deep
+  assert.equal(place(link("https://other.org"), { maxDepth: 1 }), 1);
+  assert.equal(Model.placeNewTab(state, { id: 12, url: "https://a.example" }), undefined);
+});
+
+test("closing a whole window keeps its tree", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const b = await openTab(chrome, "https://b.example", a);
+
+  await chrome.windows.remove(a.windowId);
+  assert.equal(state.parentOverrides.get(b.id), a.id);
+});
+
+test("tabs only nest inside their own tab group", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const b = await openTab(chrome, "https://b.example", a);
+  const c = await openTab(chrome, "https://c.example", b);
+  const groupId = await chrome.tabs.group({ tabIds: [b.id, c.id] });
+
+  const tree = await currentTree(chrome, state);
+  assert.deepEqual(tree.rootTabs, [a.id]);
+  assert.deepEqual(shape(tree, tree.groupBuckets.get(groupId)), [[b.id, [c.id]]]);
+  // The link to the ungrouped parent is kept for display
+  assert.deepEqual(Array.from(tree.crossGroupParents), [[b.id, a.id]]);
+});
+
+test("reparent refuses to create cycles", () => {
+  const state = Model.createState();
+  assert.equal(Model.reparent(state, 2, 1), true);
+  assert.equal(Model.reparent(state, 3, 2), true);
+  assert.equal(Model.reparent(state, 1, 3), false);
+  assert.equal(Model.reparent(state, 1, 1), false);
+  assert.equal(state.parentOverrides.has(1), false);
+  assert.equal(Model.reparent(state, 3, ROOT), true);
+  assert.deepEqual(Model.getDescendants(state, 1), [2]);
+});
+
+test("loops in stored state are shown and repaired", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const b = await openTab(chrome, "https://b.example");
+  const c = await openTab(chrome, "https://c.example");
+  // A stale three-tab loop, plus an entry for a tab that is long gone
+  state.parentOverrides.set(a.id, c.id);
+  state.parentOverrides.set(b.id, a.id);
+  state.parentOverrides.set(c.id, b.id);
+  state.parentOverrides.set(99, a.id);
+  state.collapsedState.add(99);
+
+  const tree = await currentTree(chrome, state);
+  assert.deepEqual(shape(tree, tree.rootTabs), [[a.id, [[b.id, [c.id]]]]]);
+
+  const liveIds = (await chrome.tabs.query({})).map((t) => t.id);
+  const report = Model.repairTree(state, liveIds);
+  assert.equal(report.cycles.length, 1);
+  assert.equal(report.closedTabs, 1);
+  assert.equal(state.parentOverrides.get(a.id), ROOT);
+  assert.equal(state.parentOverrides.has(99), false);
+  assert.equal(state.collapsedState.has(99), false);
+  assert.deepEqual(Model.repairTree(state, liveIds), { invalid: 0, selfParents: 0, cycles: [], closedTabs: 0 });
+});
+
+test("a replaced tab keeps its place, children and title", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const b = await openTab(chrome, "https://b.example", a);
+  const c = await openTab(chrome, "https://c.example", b);
+  state.customTitles.set(b.id, "Renamed");
+  state.collapsedState.add(b.id);
+
+  const newId = chrome.tabs.replace(b.id);
+  assert.equal(state.parentOverrides.get(newId), a.id);
+  assert.equal(state.parentOverrides.get(c.id), newId);
+  assert.equal(state.customTitles.get(newId), "Renamed");
+  assert.equal(state.collapsedState.has(newId), true);
+  assert.equal(state.customTitles.has(b.id), false);
+});
+
+test("planMove nests, and places siblings before or after a subtree", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const a1 = await openTab(chrome, "https://a1.example", a);
+  const b = await openTab(chrome, "https://b.example");
+  const b1 = await openTab(chrome, "https://b1.example", b);
+  const tree = await currentTree(chrome, state);
+
+  assert.deepEqual(Model.planMove(tree, b.id, a.id, "nest"), { movingIds: [b.id, b1.id], parentId: a.id, index: 2 });
+  assert.deepEqual(Model.planMove(tree, b.id, a1.id, "before"), { movingIds: [b.id, b1.id], parentId: a.id, index: 1 });
+  assert.deepEqual(Model.planMove(tree, b1.id, a.id, "after"), { movingIds: [b1.id], parentId: ROOT, index: 2 });
+  // Into its own subtree
+  assert.equal(Model.planMove(tree, a.id, a1.id, "nest"), null);
+});
+
+test("siblings are the tabs shown at the same level", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const a1 = await openTab(chrome, "https://a1.example", a);
+  const a2 = await openTab(chrome, "https://a2.example", a);
+  const b = await openTab(chrome, "https://b.example");
+  const c = await openTab(chrome, "https://c.example");
+  const groupId = await chrome.tabs.group({ tabIds: [c.id] });
+
+  const tree = await currentTree(chrome, state);
+  assert.deepEqual(Model.getSiblings(tree, a2.id), [a1.id, a2.id]);
+  assert.deepEqual(Model.getSiblings(tree, b.id), [a.id, b.id]);
+  assert.deepEqual(Model.getSiblings(tree, c.id), tree.groupBuckets.get(groupId));
+  assert.deepEqual(Model.getSiblings(tree, 99), []);
+});
+
+test("moving a subtree keeps it together", async () => {
+  const chrome = createChromeFake();
+  const state = trackTree(chrome);
+  const a = await openTab(chrome, "https://a.example");
+  const b = await openTab(chrome, "https://b.example");
+  const b1 = await openTab(chrome, "https://b1.example", b);
+  const b2 = await openTab(chrome, "https://b2.example", b1);
+
+  const plan = Model.planMove(await currentTree(chrome, state), b.id, a.id, "before");
+  Model.reparent(state, b.id, plan.parentId);
+  await chrome.tabs.move(plan.movingIds, { index: plan.index });
+
+  const tree = await currentTree(chrome, state);
+  assert.deepEqual(shape(tree, tree.rootTabs), [[b.id, [[b1.id, [b2.id]]]], a.id]);
+  assert.deepEqual(Model.getSubtree(tree, b.id), [b.id, b1.id, b2.id]);
+});
+
+test("serialize and deserialize round-trip through JSON", () => {
+  const state = Model.createState();
+  state.parentOverrides.set(5, 3);
+  state.parentOverrides.set(6, ROOT);
+  state.collapsedState.add(3);
+  state.customTitles.set(5, "Docs");
+
+  const restored = Model.deserialize(JSON.parse(JSON.stringify(Model.serialize(state))));
+  assert.deepEqual(restored, state);
+  assert.deepEqual(Model.deserialize(undefined), Model.createState());
+});
@@ -0,0 +1,101 @@
+// Headless tests for shared/tree-persistence.js
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers/load_shared");
+
+const { ZenTreePersistence: Persistence } = loadShared("tree-persistence.js");
+
+function tab(id, url, windowId, index, openerTabId) {
+  return { id, url, windowId, index, openerTabId };
+}
+
+test("fingerprints record the tree parent, falling back to the opener", () => {
+  const fingerprints = Persistence.captureFingerprints(
+    [tab(1, "https://a.example", 1, 0), tab(2, "https://b.example", 1, 1, 1), tab(3, "", 1, 2)],
+    new Map([[1, -1]]),
+  );
+  assert.deepEqual(fingerprints, {
+    1: { url: "https://a.example", windowId: 1, index: 0, parentId: -1 },
+    2: { url: "https://b.example", windowId: 1, index: 1, parentId: 1 },
+  });
+});
+
+test("duplicate URLs are told apart by their restored opener", () => {
+  const fingerprints = {
+    10: { url: "https://p.example", windowId: 1, index: 0, parentId: -1 },
+    11: { url: "https://x.example", windowId: 1, index: 1, parentId: 10 },
+    20: { url: "https://q.example", windowId: 1, index: 2, parentId: -1 },
+    21: { url: "https://x.example", windowId: 1, index: 3, parentId: 20 },
+  };
+  // Restored in a different order: the nearest "x" by index belongs to the other parent
+  const live = [
+    tab(110, "https://p.example", 5, 0),
+    tab(120, "https://q.example", 5, 1),
+    tab(121, "https://x.example", 5, 2, 120),
+    tab(111, "https://x.example", 5, 3, 110),
+  ];
+  const idMap = Persistence.matchRestoredTabs(fingerprints, live);
+  assert.deepEqual(Object.fromEntries(idMap), { 10: 110, 11: 111, 20: 120, 21: 121 });
+});
+
+test("duplicate URLs in different windows stay in their own window", () => {
+  const fingerprints = {
+    1: { url: "https://a.example", windowId: 1, index: 0, parentId: -1 },
+    2: { url: "https://b.example", windowId: 1, index: 1, parentId: -1 },
+    3: { url: "https://a.example", windowId: 2, index: 0, parentId: -1 },
+    4: { url: "https://c.example", windowId: 2, index: 1, parentId: -1 },
+  };
+  const live = [
+    tab(51, "https://a.example", 7, 0),
+    tab(52, "https://c.example", 7, 1),
+    tab(61, "https://a.example", 8, 0),
+    tab(62, "https://b.example", 8, 1),
+  ];
+  const idMap = Persistence.matchRestoredTabs(fingerprints, live);
+  assert.deepEqual(Object.fromEntries(idMap), { 1: 61, 2: 62, 3: 51, 4: 52 });
+});
+
+test("matching keeps surviving IDs and falls back to ignoring the #hash", () => {
+  const fingerprints = {
+    1: { url: "https://a.example", windowId: 1, index: 0, parentId: -1 },
+    2: { url: "https://a.example", windowId: 1, index: 1, parentId: -1 },
+    3: { url: "https://docs.example/page#intro", windowId: 1, index: 2, parentId: -1 },
+    4: { url: "https://gone.example", windowId: 1, index: 3, parentId: -1 },
+  };
+  const live = [
+    tab(1, "https://a.example", 1, 1),
+    tab(2, "https://a.example", 1, 0),
+    tab(9, "https://docs.example/page#usage", 1, 2),
+  ];
+  const idMap = Persistence.matchRestoredTabs(fingerprints, live);
+  assert.deepEqual(Object.fromEntries(idMap), { 1: 1, 2: 2, 3: 9 });
+  assert.equal(Persistence.matchRestoredTabs(null, live).size, 0);
+  assert.equal(Persistence.matchRestoredTabs(fingerprints, []).size, 0);
+});
+
+test("remapping drops tabs that weren't restored and re-roots their children", () => {
+  const state = {
+    parentOverrides: new Map([
+      [2, 1],
+      [3, 4],
+      [4, -1],
+      [5, 1],
+    ]),
+    collapsedState: new Set([1, 4]),
+    customTitles: new Map([
+      [1, "Parent"],
+      [4, "Gone"],
+    ]),
+  };
+  const idMap = new Map([
+    [1, 101],
+    [2, 102],
+    [3, 103],
+  ]);
+  const remapped = Persistence.remapTreeState(state, idMap);
+  assert.deepEqual(Object.fromEntries(remapped.parentOverrides), { 102: 101, 103: -1 });
+  assert.deepEqual([...remapped.collapsedState], [101]);
+  assert.deepEqual(Object.fromEntries(remapped.customTitles), { 101: "Parent" });
+});
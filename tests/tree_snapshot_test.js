@@ -0,0 +1,111 @@
+// Headless tests for shared/tree-snapshot.js
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers/load_shared");
+
+const {
+  ZenTreeModel: Model,
+  ZenTreeSnapshot: Snapshot,
+  ZenTreeImport: Import,
+} = loadShared("tree-model.js", "tree-snapshot.js", "tree-import.js");
+
+const NO_STATE = { parentOverrides: new Map(), customTitles: new Map(), collapsedState: new Set() };
+
+function tab(id, index, extra = {}) {
+  return { id, index, url: `https://${id}.example/`, title: `Tab ${id}`, pinned: false, groupId: -1, ...extra };
+}
+
+test("captures nesting from overrides and openers, with groups at the top level", () => {
+  const tabs = [
+    tab(1, 0, { pinned: true }),
+    tab(2, 1, { openerTabId: 99 }), // Opener in another window: stays a root
+    tab(3, 2, { groupId: 7 }),
+    tab(4, 3, { groupId: 7, openerTabId: 3 }),
+    tab(5, 4, { openerTabId: 3 }), // Opener in another group: stays a root
+    tab(6, 5),
+  ];
+  const groups = [{ id: 7, title: "Work", color: "blue", collapsed: true }];
+  const state = {
+    parentOverrides: new Map([[6, 2]]),
+    customTitles: new Map([[2, "Renamed"]]),
+    collapsedState: new Set([2]),
+  };
+  const tree = Snapshot.captureTree(tabs, groups, state);
+
+  assert.equal(tree.format, Snapshot.FORMAT);
+  assert.equal(tree.version, Snapshot.VERSION);
+  const [pinned, parent, group, loose] = tree.nodes;
+  assert.equal(tree.nodes.length, 4);
+  assert.deepEqual([pinned.url, pinned.pinned, pinned.children], ["https://1.example/", true, []]);
+  assert.deepEqual([parent.customTitle, parent.collapsed], ["Renamed", true]);
+  assert.deepEqual(parent.children.map((n) => n.url), ["https://6.example/"]);
+  assert.deepEqual([group.type, group.title, group.color, group.collapsed], ["group", "Work", "blue", true]);
+  assert.deepEqual(group.children.map((n) => n.url), ["https://3.example/"]);
+  assert.deepEqual(group.children[0].children.map((n) => n.url), ["https://4.example/"]);
+  assert.equal(loose.url, "https://5.example/");
+});
+
+test("nesting matches the panel's tree, cycles broken at their leftmost tab", () => {
+  const tabs = [tab(1, 0), tab(2, 1), tab(3, 2, { openerTabId: 2 })];
+  const state = { ...NO_STATE, parentOverrides: new Map([[1, 2], [2, 1]]) };
+  const tree = Snapshot.captureTree(tabs, [], state);
+  assert.equal(Snapshot.countTabs(tree.nodes), 3);
+  assert.deepEqual(tree.nodes.map((n) => n.url), ["https://1.example/"]);
+
+  // Every nested node sits under the parent the panel shows it under
+  const { displayParents } = Model.buildTree(tabs, [], state);
+  const urlToId = (url) => Number(new URL(url).hostname.split(".")[0]);
+  const parents = new Map();
+  Snapshot.walkTree(tree.nodes, (node) => node.children.forEach((child) => parents.set(urlToId(child.url), urlToId(node.url))));
+  assert.deepEqual(parents, displayParents);
+});
+
+test("capturing some tabs lifts the rest's children and drops emptied groups", () => {
+  const tabs = [
+    tab(1, 0),
+    tab(2, 1, { openerTabId: 1 }),
+    tab(3, 2, { openerTabId: 2 }),
+    tab(4, 3, { groupId: 9 }),
+    tab(5, 4, { groupId: 8 }),
+  ];
+  const groups = [
+    { id: 8, title: "Kept", color: "red" },
+    { id: 9, title: "Left out", color: "blue" },
+  ];
+  const included = new Set([1, 3, 5]);
+  const tree = Snapshot.captureTree(tabs, groups, NO_STATE, (id) => included.has(id));
+  assert.equal(tree.nodes.length, 2);
+  assert.deepEqual(tree.nodes[0].children.map((n) => n.url), ["https://3.example/"]);
+  assert.deepEqual([tree.nodes[1].title, tree.nodes[1].children.length], ["Kept", 1]);
+});
+
+test("a snapshot survives a JSON round-trip through the importer unchanged", () => {
+  const tabs = [
+    tab(1, 0, { groupId: 3 }),
+    tab(2, 1, { groupId: 3, openerTabId: 1 }),
+    tab(4, 2),
+    tab(5, 3, { openerTabId: 4 }),
+    tab(6, 4, { openerTabId: 5, pendingUrl: "https://pending.example/", url: "" }),
+  ];
+  const groups = [{ id: 3, title: "Reading", color: "green", collapsed: false }];
+  const state = { ...NO_STATE, customTitles: new Map([[5, "Mine"]]), collapsedState: new Set([4]) };
+  const tree = Snapshot.captureTree(tabs, groups, state);
+
+  const { source, tree: restored } = Import.parse(JSON.stringify(tree));
+  assert.equal(source, "zentree");
+  assert.deepEqual(restored, tree);
+});
+
+test("walkTree visits in display order with group children at depth 0", () => {
+  const nodes = [
+    { type: "group", title: "G", children: [{ type: "tab", url: "a", children: [{ type: "tab", url: "b", children: [] }] }] },
+    { type: "tab", url: "c", children: [] },
+  ];
+  const visited = [];
+  Snapshot.walkTree(nodes, (node, depth) => visited.push(`${node.url || node.title}@${depth}`));
+  assert.deepEqual(visited, ["G@0", "a@0", "b@1", "c@0"]);
+  assert.equal(Snapshot.countTabs(nodes), 3);
+  assert.equal(Snapshot.countTabs(undefined), 0);
+});
@@ -30,32 +30,70 @@ if (env && env.backends && env.backends.onnx) {
 }
 
 let pipe = null;
+// The one model load every message waits for; null again after a failed load so the next one retries
+let pipeReady = null;
+
+function loadPipeline() {
+  pipeReady ??= (async () => {
+    if (!pipeline) throw new Error('Transformers lib not found');
+
+    // Use all-MiniLM-L6-v2: Faster and lighter than L12-v2
+    // 384-dim embeddings vs 384-dim (L12 has same dims but more layers)
+    // L6 is 2x faster with minimal accuracy loss for tab grouping
+    return pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', {
+      progress_callback: (data) => {
+        if (data.status === 'progress') {
+          self.postMessage({
+            type: 'MODEL_DOWNLOAD_PROGRESS',
+            data: { ...data }
+          });
+        }
+      }
+    });
+  })().catch((err) => {
+    pipeReady = null;
+    throw err;
+  });
+  return pipeReady;
+}
+
+// Embeddings of tab and bookmark titles, kept between searches so typing only embeds the query.
+// Once full, the titles used least recently are dropped first
+const embeddingCache = new Map();
+const MAX_CACHED_EMBEDDINGS = 5000;
+// Titles are embedded a batch at a time instead of thousands in one call
+const EMBED_BATCH_SIZE = 64;
+
+async function embedTexts(texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const output = await pipe(texts.slice(i, i + EMBED_BATCH_SIZE), { pooling: 'mean', normalize: true });
+    vectors.push(...toArrays(output));
+  }
+  return vectors;
+}
+
+function cacheEmbedding(text, vector) {
+  // Re-inserting moves the title to the end of the Map's order, the last to be evicted
+  embeddingCache.delete(text);
+  embeddingCache.set(text, vector);
+  while (embeddingCache.size > MAX_CACHED_EMBEDDINGS) {
+    embeddingCache.delete(embeddingCache.keys().next().value);
+  }
+}
 
 // --- Main Message Listener ---
 self.addEventListener('message', async (event) => {
   const { type, tabs } = event.data;
 
-  // Initialize pipeline on first run or explicit request
-  if (!pipe && (type === 'SORT_TABS' || type === 'INIT')) {
+  // Initialize pipeline on first run or explicit request. Messages arriving while the model
+  // is still downloading wait for the same load; if it fails, each of them gets an ERROR
+  if (type === 'SORT_TABS' || type === 'INIT' || type === 'SEMANTIC_SEARCH') {
     try {
-      if (!pipeline) throw new Error('Transformers lib not found');
-
-      // Use all-MiniLM-L6-v2: Faster and lighter than L12-v2
-      // 384-dim embeddings vs 384-dim (L12 has same dims but more layers)
-      // L6 is 2x faster with minimal accuracy loss for tab grouping
-      pipe = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', {
-        progress_callback: (data) => {
-          if (data.status === 'progress') {
-            self.postMessage({
-              type: 'MODEL_DOWNLOAD_PROGRESS',
-              data: { ...data }
-            });
-          }
-        }
-      });
+      pipe = await loadPipeline();
     } catch (err) {
       console.error("Failed to load model:", err);
-      self.postMessage({ type: 'ERROR', error: "Failed to load AI model: " + err.message });
+      self.postMessage({ type: 'ERROR', requestId: event.data.requestId, error: "Failed to load AI model: " + err.message });
       return;
     }
   }
@@ -74,19 +112,7 @@ self.addEventListener('message', async (event) => {
       const output = await pipe(inputs, { pooling: 'mean', normalize: true });
 
       step = 'formatting';
-      // Convert Tensor to clean Arrays
-      let embeddings = [];
-      if (output.data && output.dims) {
-        // Flat Float32Array
-        const [numInputs, dim] = output.dims;
-        for (let i = 0; i < numInputs; i++) {
-          embeddings.push(Array.from(output.data.subarray(i * dim, (i + 1) * dim)));
-        }
-      } else if (Array.isArray(output)) {
-        embeddings = output; // Fallback
-      } else {
-        embeddings = output.tolist();
-      }
+      const embeddings = toArrays(output);
 
       step = 'grouping';
       // Use the Enhanced Deterministic Grouper with proximity weighting
@@ -125,8 +151,57 @@ self.addEventListener('message', async (event) => {
       self.postMessage({ type: 'ERROR', error: `(${step}) ${err.message}` });
     }
   }
+
+  // Ranks items ({ key, text }) by how close their text is in meaning to the query.
+  // Replies with SEMANTIC_RESULTS: [{ key, score }], best first, carrying the requestId back
+  if (type === 'SEMANTIC_SEARCH') {
+    const { requestId, query, items, limit = 10, minScore = 0.35 } = event.data;
+    try {
+      // Scored from this search's own vectors, so evictions below can't take any of them away
+      const vectors = new Map();
+      const missing = [];
+      new Set(items.map(item => item.text)).forEach(text => {
+        if (embeddingCache.has(text)) vectors.set(text, embeddingCache.get(text));
+        else missing.push(text);
+      });
+      (await embedTexts(missing)).forEach((vector, i) => vectors.set(missing[i], vector));
+      vectors.forEach((vector, text) => cacheEmbedding(text, vector));
+      const [queryVector] = await embedTexts([query]);
+
+      // Embeddings are normalized, so the dot product is the cosine similarity
+      const results = items
+        .map(item => {
+          const vector = vectors.get(item.text);
+          let score = 0;
+          for (let i = 0; i < vector.length; i++) score += vector[i] * queryVector[i];
+          return { key: item.key, score };
+        })
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+      self.postMessage({ type: 'SEMANTIC_RESULTS', requestId, results });
+    } catch (err) {
+      console.error('AI Worker semantic search failed:', err);
+      self.postMessage({ type: 'ERROR', requestId, error: `(semantic search) ${err.message}` });
+    }
+  }
 });
 
+// Convert Tensor to clean Arrays, one per input
+function toArrays(output) {
+  if (output.data && output.dims) {
+    // Flat Float32Array
+    const [numInputs, dim] = output.dims;
+    const embeddings = [];
+    for (let i = 0; i < numInputs; i++) {
+      embeddings.push(Array.from(output.data.subarray(i * dim, (i + 1) * dim)));
+    }
+    return embeddings;
+  }
+  if (Array.isArray(output)) return output; // Fallback
+  return output.tolist();
+}
+
 // Helper to convert internal group structure to what the extension expects (map format)
 function formatGroupsForExtension(internalGroups) {
   const groupMap = {};